@@ -0,0 +1,367 @@
+'use strict';
+
+var account = require( '../models/account-model' );
+var auditModel = require( '../models/audit-model' );
+var config = require( '../models/config-model' ).server;
+var auth = require( 'basic-auth' );
+var express = require( 'express' );
+var utils = require( '../lib/utils' );
+var router = express.Router();
+var DEFAULT_AUDIT_ENTRIES = 100;
+var MAX_AUDIT_ENTRIES = 1000;
+// var debug = require( 'debug' )( 'admin-api-controller' );
+
+module.exports = function( app ) {
+    app.use( app.get( 'base path' ) + '/api/admin', router );
+};
+
+router
+    .all( '*', authCheck )
+    .get( '/accounts', getAccounts )
+    .get( '/account', getAccount )
+    .post( '/account', createAccount )
+    .put( '/account', updateAccount )
+    .delete( '/account', suspendAccount )
+    .post( '/account/key', rotateKey )
+    .get( '/account/keys', getKeys )
+    .post( '/account/keys', addKey )
+    .delete( '/account/keys', revokeKey )
+    .get( '/audit', getAuditLog )
+    .all( '*', function( req, res, next ) {
+        var error = new Error( 'Not allowed.' );
+        error.status = 405;
+        next( error );
+    } );
+
+function authCheck( req, res, next ) {
+    var error;
+    var creds = auth( req );
+    var key = ( creds ) ? creds.name : undefined;
+    var adminKey = config[ 'admin api key' ];
+
+    // set content-type to json to provide appropriate json Error responses
+    res.set( 'Content-Type', 'application/json' );
+
+    if ( !adminKey ) {
+        error = new Error( 'Not allowed. The admin API is not enabled.' );
+        error.status = 405;
+        next( error );
+    } else if ( !utils.equals( key, adminKey ) ) {
+        error = new Error( 'Not Allowed. Invalid admin API key.' );
+        error.status = 401;
+        res
+            .status( error.status )
+            .set( 'WWW-Authenticate', 'Basic realm="Enter valid admin API key as user name"' );
+        next( error );
+    } else {
+        next();
+    }
+}
+
+function getAccounts( req, res, next ) {
+    account.list()
+        .then( function( accounts ) {
+            _render( 200, {
+                accounts: accounts.map( _toResponse )
+            }, res );
+        } )
+        .catch( next );
+}
+
+function getAccount( req, res, next ) {
+    account.getStored( req.query.server_url )
+        .then( function( acc ) {
+            _render( 200, _toResponse( acc ), res );
+        } )
+        .catch( next );
+}
+
+function createAccount( req, res, next ) {
+    var quota;
+
+    try {
+        quota = _getQuotaParam( req );
+    } catch ( error ) {
+        return next( error );
+    }
+
+    account.create( {
+            linkedServer: req.body.server_url,
+            key: req.body.api_key,
+            quota: quota,
+            requireSignedUrls: _getBooleanParam( req, 'require_signed_urls' ),
+            returnUrlOrigins: _getListParam( req, 'return_url_origins' )
+        } )
+        .then( function( acc ) {
+            _render( 201, _toResponse( acc ), res );
+        } )
+        .catch( next );
+}
+
+function updateAccount( req, res, next ) {
+    var quota;
+
+    try {
+        quota = _getQuotaParam( req );
+    } catch ( error ) {
+        return next( error );
+    }
+
+    account.update( {
+            linkedServer: req.body.server_url,
+            quota: quota,
+            active: _getBooleanParam( req, 'active' ),
+            requireSignedUrls: _getBooleanParam( req, 'require_signed_urls' ),
+            returnUrlOrigins: _getListParam( req, 'return_url_origins' )
+        } )
+        .then( function( acc ) {
+            _render( 200, _toResponse( acc ), res );
+        } )
+        .catch( next );
+}
+
+function suspendAccount( req, res, next ) {
+    account.update( {
+            linkedServer: req.body.server_url,
+            active: false
+        } )
+        .then( function() {
+            _render( 204, null, res );
+        } )
+        .catch( next );
+}
+
+/**
+ * Replaces the main API key, or an additional key if an id is provided. The replaced key remains valid
+ * during the optional grace period (in seconds).
+ */
+function rotateKey( req, res, next ) {
+    var grace = req.body.grace;
+
+    if ( typeof grace !== 'undefined' && !/^\d+$/.test( String( grace ) ) ) {
+        return next( _getBadRequestError( 'Invalid grace parameter. Use a number of seconds.' ) );
+    }
+
+    account.rotateKey( req.body.server_url, {
+            id: req.body.id,
+            grace: Number( grace ) || 0
+        } )
+        .then( function( result ) {
+            _render( 200, req.body.id ? _toKeyResponse( result ) : _toResponse( result ), res );
+        } )
+        .catch( next );
+}
+
+function getKeys( req, res, next ) {
+    account.listKeys( req.query.server_url )
+        .then( function( keys ) {
+            _render( 200, {
+                keys: keys.map( _toKeyResponse )
+            }, res );
+        } )
+        .catch( next );
+}
+
+function addKey( req, res, next ) {
+    var scopes = req.body.scopes;
+
+    account.addKey( req.body.server_url, {
+            name: req.body.name,
+            scopes: typeof scopes === 'string' ? scopes.split( ',' ) : scopes,
+            expires: req.body.expires
+        } )
+        .then( function( key ) {
+            _render( 201, _toKeyResponse( key ), res );
+        } )
+        .catch( next );
+}
+
+function revokeKey( req, res, next ) {
+    account.revokeKey( req.body.server_url, req.body.id )
+        .then( function() {
+            _render( 204, null, res );
+        } )
+        .catch( next );
+}
+
+/**
+ * Obtains the most recent audit log entries, optionally filtered by account, survey and time range.
+ */
+function getAuditLog( req, res, next ) {
+    var filter;
+    var limit = req.query.limit;
+    var offset = req.query.offset;
+
+    try {
+        if ( typeof limit !== 'undefined' && ( !/^\d+$/.test( limit ) || Number( limit ) < 1 || Number( limit ) > MAX_AUDIT_ENTRIES ) ) {
+            throw _getBadRequestError( 'Invalid limit parameter. Use an integer between 1 and ' + MAX_AUDIT_ENTRIES + '.' );
+        }
+        if ( typeof offset !== 'undefined' && !/^\d+$/.test( offset ) ) {
+            throw _getBadRequestError( 'Invalid offset parameter. Use a non-negative integer.' );
+        }
+        filter = {
+            account: req.query.server_url,
+            formId: req.query.form_id,
+            from: _getDateParam( req, 'from' ),
+            to: _getDateParam( req, 'to' ),
+            offset: Number( offset ) || 0,
+            limit: Number( limit ) || DEFAULT_AUDIT_ENTRIES
+        };
+    } catch ( error ) {
+        return next( error );
+    }
+
+    auditModel.query( filter )
+        .then( function( entries ) {
+            _render( 200, {
+                entries: entries.map( _toAuditResponse )
+            }, res );
+        } )
+        .catch( next );
+}
+
+/**
+ * Obtains the quota parameter. An empty string means unlimited.
+ *
+ * @param  {*} req [description]
+ * @return {number|null|undefined}     quota, null for unlimited or undefined if not provided
+ */
+function _getQuotaParam( req ) {
+    var quota = req.body.quota;
+
+    if ( typeof quota === 'undefined' ) {
+        return undefined;
+    }
+    if ( quota === '' || quota === null ) {
+        return null;
+    }
+    if ( !/^\d+$/.test( String( quota ) ) ) {
+        throw _getBadRequestError( 'Invalid quota parameter. Use a non-negative integer.' );
+    }
+
+    return Number( quota );
+}
+
+/**
+ * Obtains a boolean parameter.
+ *
+ * @param  {*} req  [description]
+ * @param  {string} name parameter name
+ * @return {boolean|undefined}      value, or undefined if not provided
+ */
+function _getBooleanParam( req, name ) {
+    var value = req.body[ name ];
+
+    return typeof value === 'undefined' ? undefined : ( value === true || value === 'true' );
+}
+
+/**
+ * Obtains a list parameter, provided as an array or as a comma-separated string. An empty string means an empty list.
+ *
+ * @param  {*} req  [description]
+ * @param  {string} name parameter name
+ * @return {Array<string>|undefined}      values, or undefined if not provided
+ */
+function _getListParam( req, name ) {
+    var value = req.body[ name ];
+
+    if ( typeof value === 'undefined' ) {
+        return undefined;
+    }
+
+    return ( Array.isArray( value ) ? value : String( value ).split( ',' ) )
+        .map( function( item ) {
+            return String( item ).trim();
+        } )
+        .filter( function( item ) {
+            return item.length > 0;
+        } );
+}
+
+/**
+ * The API key itself is only included when it is created or rotated. Otherwise, the last 4 characters are included as hint.
+ */
+function _toResponse( acc ) {
+    return {
+        server_url: acc.linkedServer,
+        api_key: acc.key,
+        api_key_hint: acc.keyHint,
+        // null means unlimited
+        quota: acc.quota === Infinity ? null : acc.quota,
+        active: acc.active,
+        require_signed_urls: acc.requireSignedUrls,
+        return_url_origins: acc.returnUrlOrigins,
+        created: acc.created,
+        updated: acc.updated
+    };
+}
+
+/**
+ * The key itself is only included when it is created. Otherwise, the last 4 characters are included as hint.
+ */
+function _toKeyResponse( key ) {
+    var response = {
+        id: key.id,
+        name: key.name,
+        scopes: key.scopes,
+        expires: key.expires,
+        created: key.created
+    };
+
+    if ( key.key ) {
+        response.api_key = key.key;
+    } else {
+        response.hint = key.hint;
+        response.calls = key.calls;
+        response.last_used = key.lastUsed;
+    }
+
+    return response;
+}
+
+function _toAuditResponse( entry ) {
+    return {
+        time: entry.time,
+        server_url: entry.account,
+        key_name: entry.key,
+        method: entry.method,
+        endpoint: entry.endpoint,
+        form_id: entry.formId,
+        instance_id: entry.instanceId,
+        status: entry.status,
+        ip: entry.ip
+    };
+}
+
+function _getDateParam( req, name ) {
+    var value = req.query[ name ];
+    var date;
+
+    if ( !value ) {
+        return undefined;
+    }
+
+    date = new Date( value );
+    if ( isNaN( date ) ) {
+        throw _getBadRequestError( 'Invalid ' + name + ' parameter. Use an ISO 8601 date.' );
+    }
+
+    return date;
+}
+
+function _getBadRequestError( message ) {
+    var error = new Error( message );
+    error.status = 400;
+    return error;
+}
+
+function _render( status, body, res ) {
+    if ( status === 204 ) {
+        // send 204 response without a body
+        res.status( status ).end();
+    } else {
+        body = body || {};
+        body.code = status;
+        res.status( status ).json( body );
+    }
+}
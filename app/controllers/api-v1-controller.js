@@ -2,8 +2,11 @@
 
 var surveyModel = require( '../models/survey-model' );
 var instanceModel = require( '../models/instance-model' );
-var account = require( '../models/account-model' );
-var auth = require( 'basic-auth' );
+var rateLimit = require( '../lib/rate-limit' );
+var auditLog = require( '../lib/audit-log' );
+var apiAuth = require( '../lib/api-auth' );
+var returnUrl = require( '../lib/return-url' );
+var urlSignature = require( '../lib/url-signature' );
 var express = require( 'express' );
 var router = express.Router();
 var quotaErrorMessage = 'Forbidden. No quota left';
@@ -19,7 +22,10 @@ router
     .get( '/', function( req, res ) {
         res.redirect( 'http://apidocs.enketo.org/v1' );
     } )
-    .all( '*', authCheck )
+    .all( '*', rateLimit.byIp )
+    .all( '*', apiAuth.check )
+    .all( '*', auditLog.record )
+    .all( '*', rateLimit.byKey )
     .all( '*', _setQuotaUsed )
     .all( '/*/iframe', _setIframe )
     .all( '/survey/preview*', function( req, res, next ) {
@@ -34,7 +40,7 @@ router
         req.webformType = 'edit';
         next();
     } )
-    .all( '*', _setReturnQueryParam )
+    .all( '*', returnUrl.setQueryParam )
     .get( '/survey', getExistingSurvey )
     .get( '/survey/iframe', getExistingSurvey )
     .post( '/survey', getNewOrExistingSurvey )
@@ -59,33 +65,6 @@ router
         next( error );
     } );
 
-function authCheck( req, res, next ) {
-    // check authentication and account
-    var error;
-    var creds = auth( req );
-    var key = ( creds ) ? creds.name : undefined;
-    var server = req.body.server_url || req.query.server_url;
-
-    // set content-type to json to provide appropriate json Error responses
-    res.set( 'Content-Type', 'application/json' );
-
-    account.get( server )
-        .then( function( account ) {
-            if ( !key || ( key !== account.key ) ) {
-                error = new Error( 'Not Allowed. Invalid API key.' );
-                error.status = 401;
-                res
-                    .status( error.status )
-                    .set( 'WWW-Authenticate', 'Basic realm="Enter valid API key as user name"' );
-                next( error );
-            } else {
-                req.account = account;
-                next();
-            }
-        } )
-        .catch( next );
-}
-
 function getExistingSurvey( req, res, next ) {
 
     if ( req.account.quota < req.account.quotaUsed ) {
@@ -265,14 +244,6 @@ function _setIframe( req, res, next ) {
     next();
 }
 
-function _setReturnQueryParam( req, res, next ) {
-    var returnUrl = req.body.return_url || req.query.return_url;
-    if ( returnUrl && ( req.webformType === 'edit' || req.webformType === 'single' ) ) {
-        req.returnQueryParam = 'returnUrl=' + encodeURIComponent( decodeURIComponent( returnUrl ) );
-    }
-    next();
-}
-
 function _generateQueryString( params ) {
     var paramsJoined;
 
@@ -285,6 +256,13 @@ function _generateQueryString( params ) {
     return paramsJoined ? '?' + paramsJoined : '';
 }
 
+/**
+ * Signs a webform URL if the account requires signed URLs (see API v2).
+ */
+function _sign( id, url, req ) {
+    return req.account.requireSignedUrls ? urlSignature.sign( id, url ) : url;
+}
+
 function _generateWebformUrls( id, req ) {
     var queryString;
     var obj = {};
@@ -300,27 +278,30 @@ function _generateWebformUrls( id, req ) {
 
     switch ( req.webformType ) {
         case 'preview':
-            obj.preview_url = baseUrl + 'preview/' + iframePart + idPartOnline;
+            obj.preview_url = _sign( id, baseUrl + 'preview/' + iframePart + idPartOnline, req );
             break;
         case 'edit':
             queryString = _generateQueryString( [ 'instance_id=' + req.body.instance_id, req.returnQueryParam ] );
-            obj.edit_url = baseUrl + 'edit/' + iframePart + idPartOnline + queryString;
+            obj.edit_url = _sign( id, baseUrl + 'edit/' + iframePart + idPartOnline + queryString, req );
+            if ( req.returnUrlWarning ) {
+                obj.warning = req.returnUrlWarning;
+            }
             break;
         case 'all':
             // non-iframe views
-            obj.url = ( offline ) ? baseUrl + 'x/' + idPartOffline : baseUrl + idPartOnline;
-            obj.preview_url = baseUrl + 'preview/' + idPartOnline;
+            obj.url = ( offline ) ? _sign( id, baseUrl + 'x/', req ) + idPartOffline : _sign( id, baseUrl + idPartOnline, req );
+            obj.preview_url = _sign( id, baseUrl + 'preview/' + idPartOnline, req );
             // iframe views
-            obj.iframe_url = baseUrl + IFRAMEPATH + idPartOnline;
-            obj.preview_iframe_url = baseUrl + 'preview/' + IFRAMEPATH + idPartOnline;
+            obj.iframe_url = _sign( id, baseUrl + IFRAMEPATH + idPartOnline, req );
+            obj.preview_iframe_url = _sign( id, baseUrl + 'preview/' + IFRAMEPATH + idPartOnline, req );
             // enketo-legacy
             obj.subdomain = '';
             break;
         default:
             if ( iframePart ) {
-                obj.url = ( offline ) ? baseUrl + 'x/' + idPartOffline : baseUrl + iframePart + idPartOnline;
+                obj.url = ( offline ) ? _sign( id, baseUrl + 'x/', req ) + idPartOffline : _sign( id, baseUrl + iframePart + idPartOnline, req );
             } else {
-                obj.url = ( offline ) ? baseUrl + 'x/' + idPartOffline : baseUrl + idPartOnline;
+                obj.url = ( offline ) ? _sign( id, baseUrl + 'x/', req ) + idPartOffline : _sign( id, baseUrl + idPartOnline, req );
             }
             break;
     }
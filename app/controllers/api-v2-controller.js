@@ -1,12 +1,24 @@
 'use strict';
 
+var Promise = require( 'lie' );
 var surveyModel = require( '../models/survey-model' );
+var cacheModel = require( '../models/cache-model' );
 var instanceModel = require( '../models/instance-model' );
-var account = require( '../models/account-model' );
-var auth = require( 'basic-auth' );
+var aliasModel = require( '../models/alias-model' );
+var tokenModel = require( '../models/token-model' );
+var rateLimit = require( '../lib/rate-limit' );
+var auditLog = require( '../lib/audit-log' );
+var apiAuth = require( '../lib/api-auth' );
+var returnUrl = require( '../lib/return-url' );
+var urlSignature = require( '../lib/url-signature' );
 var express = require( 'express' );
 var router = express.Router();
 var quotaErrorMessage = 'Forbidden. No quota left';
+var MAX_INFO_ITEMS = 100;
+var MAX_BULK_ITEMS = 500;
+var MAX_TOKENS = 1000;
+var MAX_SUBMISSION_DAYS = 366;
+var DEFAULT_SUBMISSION_DAYS = 30;
 // var debug = require( 'debug' )( 'api-controller-v2' );
 
 module.exports = function( app ) {
@@ -19,7 +31,10 @@ router
     .get( '/', function( req, res, next ) {
         res.redirect( 'http://apidocs.enketo.org/v2' );
     } )
-    .all( '*', authCheck )
+    .all( '*', rateLimit.byIp )
+    .all( '*', apiAuth.check )
+    .all( '*', auditLog.record )
+    .all( '*', rateLimit.byKey )
     .all( '*', _setQuotaUsed )
     .all( '*', _setDefaultsQueryParam )
     .all( '/*/iframe', _setIframe )
@@ -52,7 +67,8 @@ router
             next( error );
         }
     } )
-    .all( '*', _setReturnQueryParam )
+    .all( '*', returnUrl.setQueryParam )
+    .all( '*', _setSignatureParams )
     .get( '/survey', getExistingSurvey )
     .get( '/survey/offline', getExistingSurvey )
     .get( '/survey/iframe', getExistingSurvey )
@@ -60,6 +76,19 @@ router
     .post( '/survey/offline', getNewOrExistingSurvey )
     .post( '/survey/iframe', getNewOrExistingSurvey )
     .delete( '/survey', deactivateSurvey )
+    .post( '/surveys', getNewOrExistingSurveys )
+    .delete( '/surveys', deactivateSurveys )
+    .get( '/survey/info', getInfo )
+    .get( '/survey/variants', getVariants )
+    .get( '/survey/defaults', getDefaults )
+    .post( '/survey/defaults', setDefaults )
+    .delete( '/survey/defaults', removeDefaults )
+    .get( '/survey/submissions', getSubmissionCounts )
+    .get( '/survey/aliases', getAliases )
+    .post( '/survey/alias', setAlias )
+    .delete( '/survey/alias', removeAlias )
+    .post( '/survey/tokens', createTokens )
+    .delete( '/survey/tokens', removeTokens )
     .get( '/survey/preview', getExistingSurvey )
     .get( '/survey/preview/iframe', getExistingSurvey )
     .post( '/survey/preview', getNewOrExistingSurvey )
@@ -70,6 +99,9 @@ router
     .post( '/surveys/number', getNumber )
     .get( '/surveys/list', getList )
     .post( '/surveys/list', getList )
+    .get( '/surveys/info', getInfoList )
+    .post( '/surveys/info', getInfoList )
+    .get( '/surveys/submissions', getSubmissionCounts )
     .post( '/instance', cacheInstance )
     .post( '/instance/iframe', cacheInstance )
     .delete( '/instance', removeInstance )
@@ -79,33 +111,6 @@ router
         next( error );
     } );
 
-function authCheck( req, res, next ) {
-    // check authentication and account
-    var error;
-    var creds = auth( req );
-    var key = ( creds ) ? creds.name : undefined;
-    var server = req.body.server_url || req.query.server_url;
-
-    // set content-type to json to provide appropriate json Error responses
-    res.set( 'Content-Type', 'application/json' );
-
-    account.get( server )
-        .then( function( account ) {
-            if ( !key || ( key !== account.key ) ) {
-                error = new Error( 'Not Allowed. Invalid API key.' );
-                error.status = 401;
-                res
-                    .status( error.status )
-                    .set( 'WWW-Authenticate', 'Basic realm="Enter valid API key as user name"' );
-                next( error );
-            } else {
-                req.account = account;
-                next();
-            }
-        } )
-        .catch( next );
-}
-
 function getExistingSurvey( req, res, next ) {
 
     if ( req.account.quota < req.account.quotaUsed ) {
@@ -115,7 +120,8 @@ function getExistingSurvey( req, res, next ) {
     return surveyModel
         .getId( {
             openRosaServer: req.query.server_url,
-            openRosaId: req.query.form_id
+            openRosaId: req.query.form_id,
+            variant: req.query.variant
         } )
         .then( function( id ) {
             if ( id ) {
@@ -139,10 +145,21 @@ function getNewOrExistingSurvey( req, res, next ) {
         return _render( 403, quotaErrorMessage, res );
     }
 
-    return surveyModel
-        .getId( survey ) // will return id only for existing && active surveys
+    try {
+        _setAvailabilityParams( req, survey );
+        _setCapParams( req, survey );
+        _setVariantParams( req, survey );
+    } catch ( error ) {
+        return next( error );
+    }
+
+    return _checkBaseSurvey( survey )
+        .then( function() {
+            return surveyModel.getId( survey ); // will return id only for existing && active surveys
+        } )
         .then( function( id ) {
-            if ( !id && req.account.quota <= req.account.quotaUsed ) {
+            // variants do not count towards the quota
+            if ( !id && !survey.variant && req.account.quota <= req.account.quotaUsed ) {
                 return _render( 403, quotaErrorMessage, res );
             }
             status = ( id ) ? 200 : 201;
@@ -165,6 +182,7 @@ function deactivateSurvey( req, res, next ) {
         .update( {
             openRosaServer: req.body.server_url,
             openRosaId: req.body.form_id,
+            variant: req.body.variant,
             active: false
         } )
         .then( function( id ) {
@@ -177,44 +195,430 @@ function deactivateSurvey( req, res, next ) {
         .catch( next );
 }
 
+/**
+ * Bulk variant of getNewOrExistingSurvey. The quota is checked once for the whole batch, and
+ * the result of each form is reported separately.
+ */
+function getNewOrExistingSurveys( req, res, next ) {
+    var server = req.body.server_url || req.query.server_url;
+    var theme = req.body.theme || req.query.theme;
+    var quotaLeft = req.account.quota - req.account.quotaUsed;
+    var properties = {};
+    var formIds;
+
+    try {
+        formIds = _getFormIdsParam( req, MAX_BULK_ITEMS );
+        _setAvailabilityParams( req, properties );
+        _setCapParams( req, properties );
+    } catch ( error ) {
+        return next( error );
+    }
+
+    return Promise.all( formIds.map( function( formId ) {
+            return surveyModel.getId( {
+                    openRosaServer: server,
+                    openRosaId: formId
+                } )
+                .catch( function( error ) {
+                    return error;
+                } );
+        } ) )
+        .then( function( ids ) {
+            return Promise.all( formIds.map( function( formId, index ) {
+                var existing = !!ids[ index ];
+
+                if ( ids[ index ] instanceof Error ) {
+                    return _getFailedItem( formId, ids[ index ].status || 500, ids[ index ].message );
+                }
+                if ( !existing ) {
+                    if ( quotaLeft <= 0 ) {
+                        return _getFailedItem( formId, 403, quotaErrorMessage );
+                    }
+                    quotaLeft--;
+                }
+
+                // even if id was found still call .set() method to update any properties
+                return surveyModel.set( {
+                        openRosaServer: server,
+                        openRosaId: formId,
+                        theme: theme,
+                        openFrom: properties.openFrom,
+                        openUntil: properties.openUntil,
+                        submissionCap: properties.submissionCap,
+                        capField: properties.capField
+                    } )
+                    .then( function( id ) {
+                        var item = _generateWebformUrls( id, req );
+                        item.form_id = formId;
+                        item.status = existing ? 'existing' : 'created';
+                        item.code = existing ? 200 : 201;
+                        return item;
+                    } )
+                    .catch( function( error ) {
+                        return _getFailedItem( formId, error.status || 500, error.message );
+                    } );
+            } ) );
+        } )
+        .then( function( items ) {
+            _render( 200, {
+                surveys: items
+            }, res );
+        } )
+        .catch( next );
+}
+
+/**
+ * Bulk variant of deactivateSurvey. The result of each form is reported separately.
+ */
+function deactivateSurveys( req, res, next ) {
+    var server = req.body.server_url || req.query.server_url;
+    var formIds;
+
+    try {
+        formIds = _getFormIdsParam( req, MAX_BULK_ITEMS );
+    } catch ( error ) {
+        return next( error );
+    }
+
+    return Promise.all( formIds.map( function( formId ) {
+            return surveyModel.update( {
+                    openRosaServer: server,
+                    openRosaId: formId,
+                    active: false
+                } )
+                .then( function() {
+                    return {
+                        form_id: formId,
+                        status: 'deactivated',
+                        code: 204
+                    };
+                } )
+                .catch( function( error ) {
+                    return _getFailedItem( formId, error.status || 500, error.message );
+                } );
+        } ) )
+        .then( function( items ) {
+            _render( 200, {
+                surveys: items
+            }, res );
+        } )
+        .catch( next );
+}
+
 function getNumber( req, res, next ) {
+    var options;
+
+    try {
+        options = _getListOptions( req );
+    } catch ( error ) {
+        return next( error );
+    }
 
     return surveyModel
-        .getNumber( req.body.server_url || req.query.server_url )
+        .getNumber( req.body.server_url || req.query.server_url, options )
         .then( function( number ) {
-            if ( number ) {
-                _render( 200, {
-                    code: 200,
-                    number: number
-                }, res );
-            } else {
-                // this cannot be reached I think
-                _render( 404, 'No surveys found.', res );
-            }
+            // 0 is a valid number, e.g. if no survey matches the filters
+            _render( 200, {
+                code: 200,
+                number: number
+            }, res );
         } )
         .catch( next );
 }
 
 function getList( req, res, next ) {
     var obj;
+    var options;
+
+    try {
+        options = _getListOptions( req );
+    } catch ( error ) {
+        return next( error );
+    }
 
     return surveyModel
-        .getList( req.body.server_url || req.query.server_url )
-        .then( function( list ) {
-            list = list.map( function( survey ) {
+        .getPage( req.body.server_url || req.query.server_url, options )
+        .then( function( page ) {
+            var list = page.surveys.map( function( survey ) {
                 obj = _generateWebformUrls( survey.enketoId, req );
                 obj.form_id = survey.openRosaId;
                 obj.server_url = survey.openRosaServer;
                 return obj;
             } );
-            _render( 200, {
+            var body = {
                 code: 200,
-                forms: list
+                forms: list,
+                total: page.total,
+                offset: options.offset
+            };
+
+            if ( options.limit ) {
+                body.limit = options.limit;
+            }
+
+            _render( 200, body, res );
+        } )
+        .catch( next );
+}
+
+function getAliases( req, res, next ) {
+
+    return _getExistingEnketoId( req )
+        .then( aliasModel.list )
+        .then( function( aliases ) {
+            _render( 200, {
+                aliases: aliases.map( function( alias ) {
+                    return _generateAliasUrls( alias, req );
+                } )
             }, res );
         } )
         .catch( next );
 }
 
+/**
+ * Lets an alias refer to a survey. An existing alias of another survey of the same server is moved.
+ */
+function setAlias( req, res, next ) {
+
+    return _getExistingEnketoId( req )
+        .then( function( id ) {
+            return aliasModel.set( req.body.alias || req.query.alias, id );
+        } )
+        .then( function( result ) {
+            var body = _generateAliasUrls( result.alias, req );
+            body.enketo_id = result.enketoId;
+            body.previous_enketo_id = result.previous;
+            _render( result.previous ? 200 : 201, body, res );
+        } )
+        .catch( next );
+}
+
+function removeAlias( req, res, next ) {
+
+    return _getExistingEnketoId( req )
+        .then( function( id ) {
+            return aliasModel.remove( req.body.alias || req.query.alias, id );
+        } )
+        .then( function() {
+            _render( 204, null, res );
+        } )
+        .catch( next );
+}
+
+/**
+ * Generates single-use (or N-use) respondent tokens. Once a survey has tokens, it only accepts submissions
+ * with a token.
+ */
+function createTokens( req, res, next ) {
+    var error;
+    var count = req.body.count || req.query.count;
+    var uses = req.body.uses || req.query.uses;
+    var prefills = req.body.prefills;
+
+    if ( prefills ) {
+        if ( !Array.isArray( prefills ) || prefills.length === 0 || prefills.length > MAX_TOKENS ||
+            !prefills.every( _isDefaultsMap ) ) {
+            error = new Error( 'Prefills should be a list of 1 to ' + MAX_TOKENS + ' objects with defaults.' );
+        }
+    } else if ( !/^[1-9][0-9]*$/.test( count ) || Number( count ) > MAX_TOKENS ) {
+        error = new Error( 'Count should be a number from 1 to ' + MAX_TOKENS + '.' );
+    }
+    if ( !error && typeof uses !== 'undefined' && !/^[1-9][0-9]*$/.test( uses ) ) {
+        error = new Error( 'Uses should be a positive integer.' );
+    }
+    if ( error ) {
+        error.status = 400;
+        return next( error );
+    }
+
+    return _getExistingEnketoId( req )
+        .then( function( id ) {
+            return tokenModel.create( id, {
+                    count: Number( count ),
+                    uses: Number( uses ) || 1,
+                    prefills: prefills
+                } )
+                .then( function( tokens ) {
+                    _render( 201, {
+                        tokens: tokens.map( function( item ) {
+                            return _generateTokenUrls( id, item, req );
+                        } )
+                    }, res );
+                } );
+        } )
+        .catch( next );
+}
+
+/**
+ * Obtains the defaults that are stored with a survey, or with a respondent token if the token parameter is provided.
+ */
+function getDefaults( req, res, next ) {
+
+    return _getExistingEnketoId( req )
+        .then( function( id ) {
+            var token = req.query.token;
+            return token ? tokenModel.getDefaults( id, token ) : surveyModel.getDefaults( id );
+        } )
+        .then( function( defaults ) {
+            _render( 200, {
+                defaults: defaults
+            }, res );
+        } )
+        .catch( next );
+}
+
+/**
+ * Stores defaults with a survey, or with a respondent token if the token parameter is provided.
+ * The webform applies these without query parameters.
+ */
+function setDefaults( req, res, next ) {
+    var defaults = req.body.defaults || req.query.defaults;
+
+    if ( !_isDefaultsMap( defaults ) ) {
+        return next( _getBadRequestError( 'Invalid defaults parameter. Use an object with defaults.' ) );
+    }
+
+    return _storeDefaults( req, defaults )
+        .then( function( defaults ) {
+            _render( 200, {
+                defaults: defaults
+            }, res );
+        } )
+        .catch( next );
+}
+
+function removeDefaults( req, res, next ) {
+
+    return _storeDefaults( req, null )
+        .then( function() {
+            _render( 204, null, res );
+        } )
+        .catch( next );
+}
+
+function removeTokens( req, res, next ) {
+
+    return _getExistingEnketoId( req )
+        .then( tokenModel.remove )
+        .then( function() {
+            _render( 204, null, res );
+        } )
+        .catch( next );
+}
+
+function getInfo( req, res, next ) {
+
+    return _getInfo( req.query.server_url, req.query.form_id, req.query.variant )
+        .then( function( info ) {
+            _render( 200, info, res );
+        } )
+        .catch( next );
+}
+
+/**
+ * Lists the variants of a survey with their own enketo ID, webform URL and settings.
+ */
+function getVariants( req, res, next ) {
+
+    return surveyModel.getVariants( {
+            openRosaServer: req.query.server_url,
+            openRosaId: req.query.form_id
+        } )
+        .then( function( variants ) {
+            _render( 200, {
+                variants: variants.map( function( info ) {
+                    return _toVariantResponse( info, req );
+                } )
+            }, res );
+        } )
+        .catch( next );
+}
+
+/**
+ * Obtains the information of multiple surveys of a server. Surveys that do not exist are listed separately.
+ */
+function getInfoList( req, res, next ) {
+    var server = req.body.server_url || req.query.server_url;
+    var notFound = [];
+    var formIds;
+
+    try {
+        formIds = _getFormIdsParam( req, MAX_INFO_ITEMS );
+    } catch ( error ) {
+        return next( error );
+    }
+
+    return Promise.all( formIds.map( function( formId ) {
+            return _getInfo( server, formId )
+                .catch( function( error ) {
+                    if ( error.status === 404 ) {
+                        notFound.push( formId );
+                        return null;
+                    }
+                    throw error;
+                } );
+        } ) )
+        .then( function( infos ) {
+            _render( 200, {
+                surveys: infos.filter( function( info ) {
+                    return !!info;
+                } ),
+                not_found: notFound
+            }, res );
+        } )
+        .catch( next );
+}
+
+/**
+ * Returns the submission counts of a survey (survey/submissions) or of all surveys of the account
+ * (surveys/submissions) as JSON or CSV.
+ */
+function getSubmissionCounts( req, res, next ) {
+    var options;
+    var format = req.query.format || 'json';
+
+    try {
+        options = _getSubmissionCountOptions( req );
+    } catch ( error ) {
+        return next( error );
+    }
+    if ( [ 'json', 'csv' ].indexOf( format ) === -1 ) {
+        return next( _getBadRequestError( 'Invalid format parameter. Use json or csv.' ) );
+    }
+
+    return ( req.query.form_id ? surveyModel.getInfo( {
+            openRosaServer: req.query.server_url,
+            openRosaId: req.query.form_id
+        } ) : Promise.resolve( null ) )
+        .then( function( info ) {
+            if ( info ) {
+                options.enketoId = info.enketoId;
+            } else {
+                options.server = req.account.linkedServer || req.query.server_url;
+            }
+            return surveyModel.getSubmissionCounts( options );
+        } )
+        .then( function( counts ) {
+            if ( format === 'csv' ) {
+                res
+                    .status( 200 )
+                    .set( 'Content-Type', 'text/csv' )
+                    .send( [ 'period,submissions' ].concat( counts.map( function( count ) {
+                        return count.period + ',' + count.submissions;
+                    } ) ).join( '\n' ) );
+            } else {
+                _render( 200, {
+                    interval: options.interval,
+                    total: counts.reduce( function( total, count ) {
+                        return total + count.submissions;
+                    }, 0 ),
+                    counts: counts
+                }, res );
+            }
+        } )
+        .catch( next );
+}
+
 function cacheInstance( req, res, next ) {
     var survey;
     var enketoId;
@@ -272,6 +676,321 @@ function removeInstance( req, res, next ) {
         .catch( next );
 }
 
+/**
+ * Obtains the usage information of a survey including the hash of the cached form (null if not cached).
+ *
+ * @param  {string} server OpenRosa server URL
+ * @param  {string} formId OpenRosa form ID
+ * @param  {string=} variant name of a variant of the survey
+ * @return {Promise}        resolves with API response object
+ */
+function _getInfo( server, formId, variant ) {
+    var survey = {
+        openRosaServer: server,
+        openRosaId: formId,
+        variant: variant
+    };
+
+    return surveyModel.getInfo( survey )
+        .then( function( info ) {
+            return cacheModel.getHashes( survey )
+                .then( function( hashes ) {
+                    return {
+                        enketo_id: info.enketoId,
+                        form_id: info.openRosaId,
+                        server_url: info.openRosaServer,
+                        variant: info.variant,
+                        active: info.active,
+                        theme: info.theme,
+                        launch_date: info.launchDate,
+                        last_accessed: info.lastAccessed,
+                        submissions: info.submissions,
+                        open_from: info.openFrom,
+                        open_until: info.openUntil,
+                        submission_cap: info.submissionCap,
+                        cap_field: info.capField,
+                        form_hash: hashes ? hashes.formHash : null
+                    };
+                } );
+        } );
+}
+
+/**
+ * Obtains the enketo ID of the (active or inactive) survey identified by the server_url and form_id parameters.
+ *
+ * @param  {*} req [description]
+ * @return {Promise}     resolves with enketo ID, or rejects with a 404 error
+ */
+function _getExistingEnketoId( req ) {
+    return surveyModel.getId( {
+            openRosaServer: req.body.server_url || req.query.server_url,
+            openRosaId: req.body.form_id || req.query.form_id,
+            variant: req.body.variant || req.query.variant
+        } )
+        .then( function( id ) {
+            var error;
+
+            if ( !id ) {
+                error = new Error( 'Survey not found.' );
+                error.status = 404;
+                throw error;
+            }
+
+            return id;
+        } );
+}
+
+/**
+ * Obtains the filter and pagination options for the surveys/list and surveys/number endpoints.
+ *
+ * @param  {*} req [description]
+ * @return {*}     options, see surveyModel.getList()
+ */
+function _getListOptions( req ) {
+    // JSON requests may use a boolean
+    var active = typeof req.body.active !== 'undefined' ? String( req.body.active ) : req.query.active;
+    var options = {
+        active: active === 'all' ? null : ( active === 'false' ? false : true ),
+        launchedAfter: _getDateParam( req, 'launched_after' ),
+        launchedBefore: _getDateParam( req, 'launched_before' ),
+        formIdPrefix: req.body.form_id_prefix || req.query.form_id_prefix,
+        offset: _getIntegerParam( req, 'offset' ) || 0,
+        limit: _getIntegerParam( req, 'limit' )
+    };
+
+    if ( active && [ 'true', 'false', 'all' ].indexOf( active ) === -1 ) {
+        throw _getBadRequestError( 'Invalid active parameter. Use true, false or all.' );
+    }
+
+    return options;
+}
+
+/**
+ * Obtains the interval and date range for the submission counts endpoints. By default, the daily counts
+ * of the last 30 days (including today) are returned.
+ *
+ * @param  {*} req [description]
+ * @return {*}     options, see surveyModel.getSubmissionCounts()
+ */
+function _getSubmissionCountOptions( req ) {
+    var interval = req.query.interval || 'day';
+    var to = _getDateParam( req, 'to' ) || new Date();
+    var from = _getDateParam( req, 'from' ) || new Date( to.getTime() - ( DEFAULT_SUBMISSION_DAYS - 1 ) * 24 * 60 * 60 * 1000 );
+
+    if ( [ 'day', 'hour' ].indexOf( interval ) === -1 ) {
+        throw _getBadRequestError( 'Invalid interval parameter. Use day or hour.' );
+    }
+    if ( from > to ) {
+        throw _getBadRequestError( 'Invalid date range. The from parameter should not be after the to parameter.' );
+    }
+    if ( to - from >= MAX_SUBMISSION_DAYS * 24 * 60 * 60 * 1000 ) {
+        throw _getBadRequestError( 'Invalid date range. The maximum is ' + MAX_SUBMISSION_DAYS + ' days.' );
+    }
+
+    return {
+        interval: interval,
+        from: from,
+        to: to
+    };
+}
+
+/**
+ * Obtains the unique form IDs of a bulk request, provided as an array or as a comma-separated list.
+ * They are also set as req.formIds for the audit log.
+ *
+ * @param  {*} req [description]
+ * @param  {number} max maximum number of form IDs
+ * @return {Array<string>}     form IDs
+ */
+function _getFormIdsParam( req, max ) {
+    var formIds = req.body.form_ids || req.query.form_ids;
+
+    if ( typeof formIds === 'string' ) {
+        formIds = formIds.split( ',' );
+    }
+    if ( !Array.isArray( formIds ) || formIds.length === 0 ) {
+        throw _getBadRequestError( 'Missing form_ids parameter.' );
+    }
+    if ( formIds.length > max ) {
+        throw _getBadRequestError( 'Too many form_ids. The maximum is ' + max + '.' );
+    }
+
+    req.formIds = formIds.filter( function( formId, index ) {
+        return formIds.indexOf( formId ) === index;
+    } );
+
+    return req.formIds;
+}
+
+function _getFailedItem( formId, code, reason ) {
+    return {
+        form_id: formId,
+        status: 'failed',
+        code: code,
+        reason: reason
+    };
+}
+
+function _getDateParam( req, name ) {
+    var value = req.body[ name ] || req.query[ name ];
+    var date;
+
+    if ( !value ) {
+        return undefined;
+    }
+
+    date = new Date( value );
+    if ( isNaN( date ) ) {
+        throw _getBadRequestError( 'Invalid ' + name + ' parameter. Use an ISO 8601 date.' );
+    }
+
+    return date;
+}
+
+/**
+ * Adds the optional open_from and open_until parameters to a survey object. An empty value removes the date.
+ *
+ * @param {*} req    [description]
+ * @param {*} survey [description]
+ */
+function _setAvailabilityParams( req, survey ) {
+    [
+        [ 'open_from', 'openFrom' ],
+        [ 'open_until', 'openUntil' ]
+    ].forEach( function( param ) {
+        var value = typeof req.body[ param[ 0 ] ] !== 'undefined' ? req.body[ param[ 0 ] ] : req.query[ param[ 0 ] ];
+
+        if ( value === '' ) {
+            survey[ param[ 1 ] ] = null;
+        } else if ( typeof value !== 'undefined' ) {
+            survey[ param[ 1 ] ] = _getDateParam( req, param[ 0 ] );
+        }
+    } );
+
+    if ( survey.openFrom && survey.openUntil && survey.openFrom >= survey.openUntil ) {
+        throw _getBadRequestError( 'Invalid availability window. The open_from date should be before the open_until date.' );
+    }
+}
+
+/**
+ * Adds the optional submission_cap and cap_field parameters to a survey object. An empty value removes the cap
+ * or the field.
+ *
+ * @param {*} req    [description]
+ * @param {*} survey [description]
+ */
+function _setCapParams( req, survey ) {
+    var cap = typeof req.body.submission_cap !== 'undefined' ? req.body.submission_cap : req.query.submission_cap;
+    var field = typeof req.body.cap_field !== 'undefined' ? req.body.cap_field : req.query.cap_field;
+
+    if ( cap === '' ) {
+        survey.submissionCap = null;
+    } else if ( typeof cap !== 'undefined' ) {
+        if ( !/^\d+$/.test( String( cap ) ) || Number( cap ) < 1 ) {
+            throw _getBadRequestError( 'Invalid submission_cap parameter. Use a positive integer.' );
+        }
+        survey.submissionCap = Number( cap );
+    }
+
+    if ( field === '' ) {
+        survey.capField = null;
+    } else if ( typeof field !== 'undefined' ) {
+        if ( !/^[A-Za-z_][A-Za-z0-9_.\-]*$/.test( field ) ) {
+            throw _getBadRequestError( 'Invalid cap_field parameter. Use the name of a question.' );
+        }
+        survey.capField = field;
+    }
+}
+
+function _storeDefaults( req, defaults ) {
+    return _getExistingEnketoId( req )
+        .then( function( id ) {
+            var token = req.body.token || req.query.token;
+            return token ? tokenModel.setDefaults( id, token, defaults ) : surveyModel.setDefaults( id, defaults );
+        } );
+}
+
+/**
+ * Adds the optional variant parameter to a survey object, with the defaults and submission_parameter parameters
+ * that are stored with a variant. An empty value removes the stored setting.
+ *
+ * @param {*} req    [description]
+ * @param {*} survey [description]
+ */
+function _setVariantParams( req, survey ) {
+    var variant = req.body.variant || req.query.variant;
+    var defaults = req.body.defaults || req.query.defaults;
+    var submissionParameter = typeof req.body.submission_parameter !== 'undefined' ? req.body.submission_parameter :
+        req.query.submission_parameter;
+
+    if ( !variant ) {
+        return;
+    }
+
+    survey.variant = variant;
+
+    if ( defaults === '' ) {
+        survey.defaults = null;
+    } else if ( typeof defaults !== 'undefined' ) {
+        if ( !_isDefaultsMap( defaults ) ) {
+            throw _getBadRequestError( 'Invalid defaults parameter. Use an object with defaults.' );
+        }
+        survey.defaults = defaults;
+    }
+
+    if ( submissionParameter === '' ) {
+        survey.submissionParameter = null;
+    } else if ( typeof submissionParameter !== 'undefined' ) {
+        survey.submissionParameter = String( submissionParameter );
+    }
+}
+
+/**
+ * Checks whether the survey of a variant exists. A variant can only be created for an existing survey,
+ * which counts towards the quota.
+ *
+ * @param  {*} survey [description]
+ * @return {Promise}        rejects with a 404 error if the survey of a variant does not exist
+ */
+function _checkBaseSurvey( survey ) {
+    if ( !survey.variant ) {
+        return Promise.resolve();
+    }
+
+    return surveyModel.getId( {
+            openRosaServer: survey.openRosaServer,
+            openRosaId: survey.openRosaId
+        } )
+        .then( function( id ) {
+            var error;
+
+            if ( !id ) {
+                error = new Error( 'Survey not found. Create the survey before its variants.' );
+                error.status = 404;
+                throw error;
+            }
+        } );
+}
+
+function _getIntegerParam( req, name ) {
+    var value = req.body[ name ] || req.query[ name ];
+
+    if ( typeof value === 'undefined' || value === '' ) {
+        return undefined;
+    }
+    if ( !/^\d+$/.test( String( value ) ) ) {
+        throw _getBadRequestError( 'Invalid ' + name + ' parameter. Use a non-negative integer.' );
+    }
+
+    return Number( value );
+}
+
+function _getBadRequestError( message ) {
+    var error = new Error( message );
+    error.status = 400;
+    return error;
+}
+
 function _setQuotaUsed( req, res, next ) {
     surveyModel
         .getNumber( req.account.linkedServer )
@@ -286,7 +1005,8 @@ function _setDefaultsQueryParam( req, res, next ) {
     var queryParam = '';
     var map = req.body.defaults || req.query.defaults;
 
-    if ( map ) {
+    // defaults that are stored with a variant are not added to the URL
+    if ( map && !req.body.variant && !req.query.variant ) {
         for ( var prop in map ) {
             if ( map.hasOwnProperty( prop ) ) {
                 queryParam += 'd[' + encodeURIComponent( decodeURIComponent( prop ) ) + ']' + '=' +
@@ -299,6 +1019,10 @@ function _setDefaultsQueryParam( req, res, next ) {
     next();
 }
 
+function _isDefaultsMap( map ) {
+    return map !== null && typeof map === 'object' && !Array.isArray( map );
+}
+
 function _setIframe( req, res, next ) {
     var parentWindowOrigin = req.body.parent_window_origin || req.query.parent_window_origin;
 
@@ -309,15 +1033,35 @@ function _setIframe( req, res, next ) {
     next();
 }
 
-function _setReturnQueryParam( req, res, next ) {
-    var returnUrl = req.body.return_url || req.query.return_url;
+/**
+ * Determines whether the webform URLs are signed, which is the case if requested with the sign or expires parameter,
+ * or if the account requires signed URLs.
+ */
+function _setSignatureParams( req, res, next ) {
+    var sign = req.body.sign || req.query.sign;
 
-    if ( returnUrl && ( req.webformType === 'edit' || req.webformType === 'single' ) ) {
-        req.returnQueryParam = 'returnUrl=' + encodeURIComponent( decodeURIComponent( returnUrl ) );
+    try {
+        req.signatureExpiry = _getDateParam( req, 'expires' );
+    } catch ( error ) {
+        return next( error );
     }
+
+    req.signUrls = sign === true || sign === 'true' || !!req.signatureExpiry || !!req.account.requireSignedUrls;
     next();
 }
 
+/**
+ * Signs a webform URL if required, so that its protected query parameters cannot be changed.
+ *
+ * @param  {string} id  enketo ID
+ * @param  {string} url webform URL
+ * @param  {*} req [description]
+ * @return {string}     (signed) URL
+ */
+function _sign( id, url, req ) {
+    return req.signUrls ? urlSignature.sign( id, url, req.signatureExpiry ) : url;
+}
+
 function _generateQueryString( params ) {
     var paramsJoined;
 
@@ -346,35 +1090,38 @@ function _generateWebformUrls( id, req ) {
     switch ( req.webformType ) {
         case 'preview':
             queryString = _generateQueryString( [ req.defaultsQueryParam, req.parentWindowOriginParam ] );
-            obj.preview_url = baseUrl + 'preview/' + iframePart + idPartOnline + queryString;
+            obj.preview_url = _sign( id, baseUrl + 'preview/' + iframePart + idPartOnline + queryString, req );
             break;
         case 'edit':
             // no defaults query parameter in edit view
             queryString = _generateQueryString( [ 'instance_id=' + req.body.instance_id, req.parentWindowOriginParam, req.returnQueryParam ] );
-            obj.edit_url = baseUrl + 'edit/' + iframePart + idPartOnline + queryString;
+            obj.edit_url = _sign( id, baseUrl + 'edit/' + iframePart + idPartOnline + queryString, req );
+            if ( req.returnUrlWarning ) {
+                obj.warning = req.returnUrlWarning;
+            }
             break;
         case 'all':
             // non-iframe views
             queryString = _generateQueryString( [ req.defaultsQueryParam ] );
-            obj.url = baseUrl + idPartOnline + queryString;
-            obj.offline_url = baseUrl + OFFLINEPATH + idPartOffline;
-            obj.preview_url = baseUrl + 'preview/' + idPartOnline + queryString;
+            obj.url = _sign( id, baseUrl + idPartOnline + queryString, req );
+            obj.offline_url = _sign( id, baseUrl + OFFLINEPATH, req ) + idPartOffline;
+            obj.preview_url = _sign( id, baseUrl + 'preview/' + idPartOnline + queryString, req );
             // iframe views
             queryString = _generateQueryString( [ req.defaultsQueryParam, req.parentWindowOriginParam ] );
-            obj.iframe_url = baseUrl + IFRAMEPATH + idPartOnline + queryString;
-            obj.preview_iframe_url = baseUrl + 'preview/' + IFRAMEPATH + idPartOnline + queryString;
+            obj.iframe_url = _sign( id, baseUrl + IFRAMEPATH + idPartOnline + queryString, req );
+            obj.preview_iframe_url = _sign( id, baseUrl + 'preview/' + IFRAMEPATH + idPartOnline + queryString, req );
             // rest
             obj.enketo_id = id;
             break;
         case 'offline':
-            obj.offline_url = baseUrl + OFFLINEPATH + idPartOffline;
+            obj.offline_url = _sign( id, baseUrl + OFFLINEPATH, req ) + idPartOffline;
             break;
         default:
             queryString = _generateQueryString( [ req.defaultsQueryParam, req.parentWindowOriginParam ] );
             if ( iframePart ) {
-                obj.iframe_url = baseUrl + iframePart + idPartOnline + queryString;
+                obj.iframe_url = _sign( id, baseUrl + iframePart + idPartOnline + queryString, req );
             } else {
-                obj.url = baseUrl + idPartOnline + queryString;
+                obj.url = _sign( id, baseUrl + idPartOnline + queryString, req );
             }
 
             break;
@@ -383,6 +1130,54 @@ function _generateWebformUrls( id, req ) {
     return obj;
 }
 
+function _generateAliasUrls( alias, req ) {
+    var protocol = req.headers[ 'x-forwarded-proto' ] || req.protocol;
+    var baseUrl = protocol + '://' + req.headers.host + req.app.get( 'base path' ) + '/';
+    var obj = {
+        alias: alias,
+        url: baseUrl + 's/' + alias,
+        preview_url: baseUrl + 'preview/s/' + alias
+    };
+
+    if ( req.app.get( 'offline enabled' ) ) {
+        obj.offline_url = baseUrl + 'x/s/' + alias;
+    }
+
+    return obj;
+}
+
+function _toVariantResponse( info, req ) {
+    var protocol = req.headers[ 'x-forwarded-proto' ] || req.protocol;
+    var baseUrl = protocol + '://' + req.headers.host + req.app.get( 'base path' ) + '/';
+
+    return {
+        variant: info.variant,
+        enketo_id: info.enketoId,
+        url: _sign( info.enketoId, baseUrl + '::' + info.enketoId, req ),
+        active: info.active,
+        theme: info.theme,
+        launch_date: info.launchDate,
+        submissions: info.submissions,
+        open_from: info.openFrom,
+        open_until: info.openUntil,
+        defaults: info.defaults,
+        submission_parameter: info.submissionParameter
+    };
+}
+
+function _generateTokenUrls( id, item, req ) {
+    var protocol = req.headers[ 'x-forwarded-proto' ] || req.protocol;
+    var baseUrl = protocol + '://' + req.headers.host + req.app.get( 'base path' ) + '/';
+
+    // the defaults are obtained with the form, so respondents cannot change them
+    return {
+        token: item.token,
+        uses: item.uses,
+        defaults: item.defaults,
+        url: _sign( id, baseUrl + '::' + id + '?token=' + encodeURIComponent( item.token ), req )
+    };
+}
+
 function _render( status, body, res ) {
     if ( status === 204 ) {
         // send 204 response without a body
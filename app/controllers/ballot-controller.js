@@ -0,0 +1,130 @@
+'use strict';
+
+var Promise = require( 'lie' );
+var ballot = require( '../lib/ballot' );
+var surveyModel = require( '../models/survey-model' );
+var cacheModel = require( '../models/cache-model' );
+var user = require( '../models/user-model' );
+var communicator = require( '../lib/communicator' );
+var apiAuth = require( '../lib/api-auth' );
+var express = require( 'express' );
+var router = express.Router();
+// var debug = require( 'debug' )( 'ballot-controller' );
+
+module.exports = function( app ) {
+    app.use( app.get( 'base path' ) + '/ballot', router );
+};
+
+// duplicate in survey-controller and submission-controller
+router.param( 'enketo_id', function( req, res, next, id ) {
+    if ( /^::[A-z0-9]{4,8}$/.test( id ) ) {
+        req.enketoId = id.substring( 2 );
+        next();
+    } else {
+        next( 'route' );
+    }
+} );
+
+router
+    .all( '*', function( req, res, next ) {
+        res.set( 'Content-Type', 'application/json' );
+        next();
+    } )
+    .post( '/sign/:enketo_id', signBallot )
+    .post( '/verify/:enketo_id', verifyBallot )
+    .all( '/*', function( req, res, next ) {
+        var error = new Error( 'Not allowed' );
+        error.status = 405;
+        next( error );
+    } );
+
+/**
+ * Signs a ballot payload that belongs to the current version of the form. Only authenticated callers
+ * obtain a signature, otherwise anyone could have any payload signed.
+ *
+ * @param  {[type]}   req  [description]
+ * @param  {[type]}   res  [description]
+ * @param  {Function} next [description]
+ */
+function signBallot( req, res, next ) {
+    var formVersion;
+
+    _getFormVersion( req.enketoId )
+        .then( function( version ) {
+            formVersion = version;
+            return _authenticate( req );
+        } )
+        .then( function() {
+            ballot.check( req.body.payload, req.enketoId, formVersion );
+            res.status( 200 ).json( ballot.sign( req.body.payload, req.enketoId ) );
+        } )
+        .catch( next );
+}
+
+/**
+ * Verifies a scanned ballot. The body contains either the contents of all QR codes (`chunks`)
+ * or the decoded signed ballot (`ballot`).
+ *
+ * @param  {[type]}   req  [description]
+ * @param  {[type]}   res  [description]
+ * @param  {Function} next [description]
+ */
+function verifyBallot( req, res, next ) {
+    _getFormVersion( req.enketoId )
+        .then( function( formVersion ) {
+            var signed = req.body.chunks ? ballot.decode( req.body.chunks ) : req.body.ballot;
+            res.status( 200 ).json( {
+                valid: true,
+                payload: ballot.verify( signed, req.enketoId, formVersion )
+            } );
+        } )
+        .catch( next );
+}
+
+/**
+ * Checks whether the caller may have ballots signed for a survey: with an API key of the survey's account
+ * that has the edit scope, or in a session of a user that logged in to the form server.
+ *
+ * @param  {*} req [description]
+ * @return {Promise}     rejects with a 401 or 403 error if the caller is not allowed
+ */
+function _authenticate( req ) {
+    return surveyModel.get( req.enketoId )
+        .then( function( survey ) {
+            var error;
+            var credentials = user.getCredentials( req );
+
+            if ( req.headers.authorization ) {
+                return apiAuth.authenticate( req, survey, 'edit' );
+            }
+            if ( credentials ) {
+                survey.credentials = credentials;
+                return communicator.authenticate( survey );
+            }
+
+            error = new Error( 'Not Allowed. Ballots are only signed for authenticated users.' );
+            error.status = 401;
+            throw error;
+        } );
+}
+
+function _getFormVersion( enketoId ) {
+    var error;
+
+    if ( !ballot.isSigningEnabled() ) {
+        error = new Error( 'Ballot signing is not enabled.' );
+        error.status = 501;
+        return Promise.reject( error );
+    }
+
+    return surveyModel.get( enketoId )
+        .then( cacheModel.get )
+        .then( function( survey ) {
+            if ( !survey || !survey.model ) {
+                error = new Error( 'Form definition is not available. Load the webform first.' );
+                error.status = 404;
+                throw error;
+            }
+            return ballot.getFormVersion( survey.model );
+        } );
+}
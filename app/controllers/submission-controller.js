@@ -1,21 +1,34 @@
 'use strict';
 
+var crypto = require( 'crypto' );
+var stream = require( 'stream' );
 var communicator = require( '../lib/communicator' );
+var ballot = require( '../lib/ballot' );
+var urlSignature = require( '../lib/url-signature' );
 var surveyModel = require( '../models/survey-model' );
+var cacheModel = require( '../models/cache-model' );
 var userModel = require( '../models/user-model' );
 var instanceModel = require( '../models/instance-model' );
 var submissionModel = require( '../models/submission-model' );
+var tokenModel = require( '../models/token-model' );
+var account = require( '../models/account-model' );
 var utils = require( '../lib/utils' );
+var config = require( '../models/config-model' ).server;
+var Promise = require( 'lie' );
 var request = require( 'request' );
+var Busboy = require( 'busboy' );
+var libxml = require( 'libxslt' ).libxmljs;
 var express = require( 'express' );
 var router = express.Router();
+// the maximum size of the part of a submission that is read before the XML file is found
+var MAX_XML_SIZE = 5 * 1024 * 1024;
 // var debug = require( 'debug' )( 'submission-controller' );
 
 module.exports = function( app ) {
     app.use( app.get( 'base path' ) + '/submission', router );
 };
 
-// duplicate in survey-controller
+// duplicate in survey-controller and ballot-controller
 router.param( 'enketo_id', function( req, res, next, id ) {
     if ( /^::[A-z0-9]{4,8}$/.test( id ) ) {
         req.enketoId = id.substring( 2 );
@@ -31,7 +44,9 @@ router
         next();
     } )
     .get( '/max-size/:enketo_id', maxSize )
+    .get( '/remaining/:enketo_id', remaining )
     .get( '/:enketo_id', getInstance )
+    .post( '/ballot/:enketo_id', submitBallot )
     .post( '/:enketo_id', submit )
     .all( '/*', function( req, res, next ) {
         var error = new Error( 'Not allowed' );
@@ -49,43 +64,190 @@ router
  * @return {[type]}        [description]
  */
 function submit( req, res, next ) {
-    var submissionUrl;
-    var credentials;
-    var options;
-    var paramName = req.app.get( 'query parameter to pass to submission' );
-    var paramValue = req.query[ paramName ];
-    var query = ( paramValue ) ? '?' + paramName + '=' + paramValue : '';
     var instanceId = req.headers[ 'x-openrosa-instance-id' ];
     var deprecatedId = req.headers[ 'x-openrosa-deprecated-id' ];
+    var token = req.query.token;
     var id = req.enketoId;
+    var source = req;
+    var cap = null;
+    var tokenUsed = false;
+    var editSession;
+    var exempt;
 
-    surveyModel.get( id )
+    _checkOpen( id, req )
+        .then( function() {
+            return surveyModel.get( id );
+        } )
         .then( function( survey ) {
-            submissionUrl = communicator.getSubmissionUrl( survey.openRosaServer ) + query;
-            credentials = userModel.getCredentials( req );
-
-            // first check if authentication is required and if so get the Basic or Digest Authorization header
-            return communicator.getAuthHeader( submissionUrl, credentials );
+            return _checkSignature( req, survey );
         } )
-        .then( function( authHeader ) {
-            options = {
-                url: submissionUrl,
-                headers: authHeader ? {
-                    'Authorization': authHeader
-                } : {}
-            };
-
+        .then( function( survey ) {
+            // edited records and subsequent batches of a large submission do not count towards the cap
+            // and do not use the respondent token again, but only if the server knows about the edit or the first batch
+            return Promise.all( [
+                    submissionModel.isEditSession( id, deprecatedId ),
+                    submissionModel.hasBatchMarker( id, instanceId )
+                ] )
+                .then( function( results ) {
+                    editSession = results[ 0 ];
+                    exempt = results[ 0 ] || results[ 1 ];
+                    if ( exempt || !Number( survey.submissionCap ) ) {
+                        return;
+                    }
+                    if ( !survey.capField ) {
+                        return _reserveCap( id );
+                    }
+                    // the cap field value is in the XML file, so the request has to be read up to the XML file
+                    // before it is passed on
+                    return _readXmlSubmission( req )
+                        .then( function( result ) {
+                            source = result.source;
+                            return _reserveCap( id, survey.capField, result.xml );
+                        } );
+                } )
+                .then( function( reserved ) {
+                    cap = reserved || null;
+                } )
+                .then( function() {
+                    if ( !exempt && ( token || survey.requireToken === 'true' ) ) {
+                        return tokenModel.consume( id, token )
+                            .then( function() {
+                                tokenUsed = true;
+                            } );
+                    }
+                } )
+                .then( function() {
+                    return survey;
+                } );
+        } )
+        .then( function( survey ) {
+            return _getSubmissionOptions( req, survey );
+        } )
+        .then( function( options ) {
             // pipe the request 
-            req.pipe( request( options ) ).on( 'response', function( orResponse ) {
+            source.pipe( request( options ) ).on( 'response', function( orResponse ) {
                 if ( orResponse.statusCode === 201 ) {
-                    _logSubmission( id, instanceId, deprecatedId );
-                } else if ( orResponse.statusCode === 401 ) {
+                    _logSubmission( id, instanceId, deprecatedId, cap );
+                    _markSubmission( id, instanceId, editSession ? deprecatedId : null );
+                } else {
+                    _releaseCap( id, cap );
+                }
+                if ( orResponse.statusCode === 401 ) {
                     // replace the www-authenticate header to avoid browser built-in authentication dialog
                     orResponse.headers[ 'WWW-Authenticate' ] = 'enketo' + orResponse.headers[ 'WWW-Authenticate' ];
                 }
+                if ( tokenUsed && orResponse.statusCode >= 400 ) {
+                    // allow the respondent to try again
+                    tokenModel.release( id, token );
+                }
             } ).pipe( res );
 
         } )
+        .catch( function( error ) {
+            if ( tokenUsed ) {
+                tokenModel.release( id, token );
+            }
+            _releaseCap( id, cap );
+            next( error );
+        } );
+}
+
+/**
+ * Converts a scanned QR ballot into an XML instance and submits it to the OpenRosa server.
+ * The body contains either the contents of all QR codes (`chunks`) or the decoded ballot (`ballot`).
+ *
+ * @param  {[type]}   req  [description]
+ * @param  {[type]}   res  [description]
+ * @param  {Function} next [description]
+ */
+function submitBallot( req, res, next ) {
+    var id = req.enketoId;
+    var token = req.query.token;
+    var tokenUsed = false;
+    var survey;
+    var instanceId;
+    var cap = null;
+    var xml;
+    var error;
+
+    _checkOpen( id, req )
+        .then( function() {
+            return surveyModel.get( id );
+        } )
+        .then( function( survey ) {
+            return _checkSignature( req, survey );
+        } )
+        .then( cacheModel.get )
+        .then( function( cached ) {
+            var chunks = req.body.chunks;
+            var payload;
+
+            if ( !cached || !cached.model ) {
+                error = new Error( 'Form definition is not available. Load the webform first.' );
+                error.status = 404;
+                throw error;
+            }
+
+            survey = cached;
+            payload = _openBallot( chunks ? ballot.decode( [].concat( chunks ) ) : req.body.ballot, id, ballot.getFormVersion( survey.model ) );
+            xml = ballot.toInstance( payload, survey.model, survey.form );
+            instanceId = ballot.getInstanceId( xml );
+
+            if ( !instanceId ) {
+                // the same ballot scanned twice should get the same instanceID
+                instanceId = 'uuid:' + _getHash( id + JSON.stringify( payload.data ) );
+                xml = ballot.setInstanceId( xml, instanceId );
+            }
+
+            return submissionModel.isNew( id, instanceId );
+        } )
+        .then( function( notRecorded ) {
+            if ( !notRecorded ) {
+                error = new Error( 'This ballot was submitted before (' + instanceId + ').' );
+                error.status = 409;
+                throw error;
+            }
+
+            return ( Number( survey.submissionCap ) ? _reserveCap( id, survey.capField, xml ) : Promise.resolve() )
+                .then( function( reserved ) {
+                    cap = reserved || null;
+                    if ( token || survey.requireToken === 'true' ) {
+                        return tokenModel.consume( id, token )
+                            .then( function() {
+                                tokenUsed = true;
+                            } );
+                    }
+                } )
+                .then( function() {
+                    return _getSubmissionOptions( req, survey );
+                } )
+                .then( function( options ) {
+                    return _postInstance( options, xml );
+                } )
+                .then( function( orResponse ) {
+                    if ( orResponse.statusCode !== 201 && orResponse.statusCode !== 202 ) {
+                        error = new Error( 'Ballot submission failed (' + orResponse.statusCode + ').' );
+                        error.status = orResponse.statusCode === 401 ? 401 : 502;
+                        throw error;
+                    }
+                    surveyModel.incrementSubmissions( id, cap ? cap.value : undefined, !!cap );
+                    submissionModel.add( id, instanceId );
+                    res.status( orResponse.statusCode ).json( {
+                        instanceId: instanceId
+                    } );
+                } )
+                .catch( function( error ) {
+                    if ( tokenUsed ) {
+                        tokenModel.release( id, token );
+                    }
+                    _releaseCap( id, cap );
+                    // allow the ballot to be submitted again
+                    return submissionModel.remove( id, instanceId )
+                        .then( function() {
+                            throw error;
+                        } );
+                } );
+        } )
         .catch( next );
 }
 
@@ -104,6 +266,24 @@ function maxSize( req, res, next ) {
         .catch( next );
 }
 
+/**
+ * Obtains the number of submissions that the survey still accepts, if it has a submission cap.
+ *
+ * @param  {[type]}   req  [description]
+ * @param  {[type]}   res  [description]
+ * @param  {Function} next [description]
+ */
+function remaining( req, res, next ) {
+    surveyModel.get( req.enketoId )
+        .then( function( survey ) {
+            return surveyModel.getRemainingSubmissions( survey.enketoId );
+        } )
+        .then( function( result ) {
+            res.json( result );
+        } )
+        .catch( next );
+}
+
 /**
  * Obtains cached instance (for editing)
  *
@@ -122,9 +302,13 @@ function getInstance( req, res, next ) {
                 .then( function( survey ) {
                     // check if found instance actually belongs to the form
                     if ( utils.getOpenRosaKey( survey ) === survey.openRosaKey ) {
-                        res.json( {
-                            instance: survey.instance
-                        } );
+                        // the record was cached for editing through the API, so its submission is an edit
+                        return submissionModel.startEditSession( req.enketoId, survey.instanceId )
+                            .then( function() {
+                                res.json( {
+                                    instance: survey.instance
+                                } );
+                            } );
                     } else {
                         error = new Error( 'Instance doesn\'t belong to this form' );
                         error.status = 400;
@@ -135,14 +319,309 @@ function getInstance( req, res, next ) {
         .catch( next );
 }
 
-function _logSubmission( id, instanceId, deprecatedId ) {
+/**
+ * Determines the submission URL and Authorization header for a survey.
+ *
+ * @param  {[type]} req    [description]
+ * @param  {[type]} survey [description]
+ * @return {Promise}        resolves with request options
+ */
+function _getSubmissionOptions( req, survey ) {
+    var paramName = req.app.get( 'query parameter to pass to submission' );
+    // a variant of a survey can have a stored value
+    var paramValue = req.query[ paramName ] || survey.submissionParameter;
+    var query = ( paramName && paramValue ) ? '?' + paramName + '=' + encodeURIComponent( paramValue ) : '';
+    var submissionUrl = communicator.getSubmissionUrl( survey.openRosaServer ) + query;
+    var credentials = userModel.getCredentials( req );
+
+    // first check if authentication is required and if so get the Basic or Digest Authorization header
+    return communicator.getAuthHeader( submissionUrl, credentials )
+        .then( function( authHeader ) {
+            return {
+                method: 'POST',
+                url: submissionUrl,
+                headers: authHeader ? {
+                    'Authorization': authHeader
+                } : {}
+            };
+        } );
+}
+
+/**
+ * Checks the signature of the protected query parameters that the webform passes on from its URL.
+ * A signature is required if the account requires signed URLs. Like in the survey controller, a failed account lookup
+ * means that no signature is required.
+ *
+ * @param  {*} req    [description]
+ * @param  {*} survey [description]
+ * @return {Promise}        resolves with survey, or rejects with a 403 error if the signature is missing, invalid or expired
+ */
+function _checkSignature( req, survey ) {
+    return account.get( survey )
+        .then( function( acc ) {
+            return !!acc.requireSignedUrls;
+        }, function() {
+            return false;
+        } )
+        .then( function( required ) {
+            return urlSignature.verify( req.enketoId, req.originalUrl, required );
+        } )
+        .then( function() {
+            return survey;
+        } );
+}
+
+/**
+ * Checks whether a survey is open. The grace period after closing only applies to records that the webform created
+ * (and queued) before the survey closed, as reported in the X-Enketo-Record-Created header.
+ *
+ * @param  {string} id  enketo ID
+ * @param  {*} req [description]
+ * @return {Promise}     resolves with enketo ID, or rejects with a 403 error
+ */
+function _checkOpen( id, req ) {
+    var created = new Date( req.headers[ 'x-enketo-record-created' ] );
+
+    return surveyModel.checkOpen( id, ( Number( config[ 'submission grace period' ] ) || 0 ) * 60 * 60, isNaN( created ) ? undefined : created );
+}
+
+/**
+ * Reserves a submission below the submission cap of a survey, so that concurrent submissions cannot exceed the cap.
+ *
+ * @param  {string} id       enketo ID
+ * @param  {string=} capField nodeName of the field that the cap applies to per value
+ * @param  {string=} xml      XML instance, required with a capField
+ * @return {Promise}          resolves with the reserved {field, value}, or null if the survey has no cap (anymore)
+ */
+function _reserveCap( id, capField, xml ) {
+    var cap = {
+        field: capField || null,
+        value: capField ? _getFieldValue( xml, capField ) : undefined
+    };
+
+    return surveyModel.reserveSubmission( id, cap.field, cap.value )
+        .then( function( reserved ) {
+            return reserved ? cap : null;
+        } );
+}
+
+/**
+ * Releases a submission that was reserved with _reserveCap(), so that it can be submitted again.
+ *
+ * @param  {string} id  enketo ID
+ * @param  {?{field: ?string, value: string=}} cap reserved submission, or null
+ */
+function _releaseCap( id, cap ) {
+    if ( cap ) {
+        surveyModel.releaseSubmission( id, cap.field, cap.value )
+            .catch( function( error ) {
+                console.error( error );
+            } );
+    }
+}
+
+function _getFieldValue( xml, nodeName ) {
+    var el;
+
+    try {
+        el = libxml.parseXml( xml ).get( '//*[local-name()="' + nodeName + '"]' );
+    } catch ( e ) {
+        el = null;
+    }
+
+    return el ? el.text().trim() : '';
+}
+
+/**
+ * Reads a multipart OpenRosa submission until its XML file has been received. Only this first part of the
+ * request is kept in memory. The XML file is the first part of submissions from the webform.
+ *
+ * @param  {*} req request
+ * @return {Promise}     resolves with the XML string (empty if not found) and a stream of the complete request body,
+ *                       rejects with a 413 error if the XML file is not found within MAX_XML_SIZE bytes
+ */
+function _readXmlSubmission( req ) {
+    return new Promise( function( resolve, reject ) {
+        var chunks = [];
+        var xmlChunks = [];
+        var size = 0;
+        var ended = false;
+        var finished = false;
+        var busboy;
+
+        function onData( chunk ) {
+            chunks.push( chunk );
+            size += chunk.length;
+            if ( size > MAX_XML_SIZE ) {
+                finish( _getTooLargeError() );
+            }
+        }
+
+        function onEnd() {
+            ended = true;
+        }
+
+        function finish( error, xml ) {
+            var source;
+
+            if ( finished ) {
+                return;
+            }
+            finished = true;
+            req.removeListener( 'data', onData );
+            req.unpipe( busboy );
+            req.pause();
+
+            if ( error ) {
+                reject( error );
+                return;
+            }
+
+            // replays the part that was read, followed by the rest of the request
+            source = new stream.PassThrough();
+            // the headers and method are copied to the OpenRosa server request, like when piping req
+            source.headers = req.headers;
+            source.method = req.method;
+            source.write( Buffer.concat( chunks ) );
+            if ( ended ) {
+                source.end();
+            } else {
+                req.pipe( source );
+            }
+
+            resolve( {
+                xml: xml,
+                source: source
+            } );
+        }
+
+        try {
+            busboy = new Busboy( {
+                headers: req.headers
+            } );
+        } catch ( e ) {
+            e.status = 400;
+            reject( e );
+            return;
+        }
+
+        busboy.on( 'file', function( fieldname, file ) {
+            if ( fieldname === 'xml_submission_file' ) {
+                file.on( 'data', function( chunk ) {
+                    xmlChunks.push( chunk );
+                } );
+                file.on( 'end', function() {
+                    finish( null, Buffer.concat( xmlChunks ).toString( 'utf8' ) );
+                } );
+            } else {
+                file.resume();
+            }
+        } );
+        // in case the XML was not sent as a file
+        busboy.on( 'field', function( fieldname, value ) {
+            if ( fieldname === 'xml_submission_file' ) {
+                finish( null, value );
+            }
+        } );
+        busboy.on( 'finish', function() {
+            finish( null, '' );
+        } );
+        busboy.on( 'error', function( error ) {
+            error.status = 400;
+            finish( error );
+        } );
+
+        // this listener is added first, so a chunk is stored before busboy processes it
+        req.on( 'data', onData );
+        req.on( 'end', onEnd );
+        req.pipe( busboy );
+    } );
+}
+
+function _getTooLargeError() {
+    var error = new Error( 'The XML file of the submission is too large or is not the first part of the submission.' );
+    error.status = 413;
+    return error;
+}
+
+/**
+ * Returns the payload of a ballot after checking that it belongs to the current form.
+ * If ballot signing is enabled, only signed ballots are accepted.
+ */
+function _openBallot( doc, enketoId, formVersion ) {
+    var error;
+
+    if ( doc && doc.schema === ballot.SIGNED_SCHEMA ) {
+        return ballot.verify( doc, enketoId, formVersion );
+    }
+    if ( ballot.isSigningEnabled() ) {
+        error = new Error( 'Ballot is not signed.' );
+        error.status = 400;
+        throw error;
+    }
+    ballot.check( doc, enketoId, formVersion );
+
+    return doc;
+}
+
+function _postInstance( options, xml ) {
+    options.headers[ 'X-OpenRosa-Version' ] = '1.0';
+    options.formData = {
+        'xml_submission_file': {
+            value: new Buffer( xml, 'utf8' ),
+            options: {
+                filename: 'xml_submission_file',
+                contentType: 'text/xml'
+            }
+        }
+    };
+
+    return new Promise( function( resolve, reject ) {
+        request.post( options, function( error, response ) {
+            if ( error ) {
+                reject( error );
+            } else {
+                resolve( response );
+            }
+        } );
+    } );
+}
+
+function _getHash( str ) {
+    var md5 = crypto.createHash( 'md5' );
+    md5.update( str );
+    return md5.digest( 'hex' ).replace( /^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5' );
+}
+
+/**
+ * Marks an accepted submission so that its subsequent batches are recognized, and ends the edit session
+ * of an edited record.
+ */
+function _markSubmission( id, instanceId, editedId ) {
+    var marked = instanceId ? submissionModel.setBatchMarker( id, instanceId ) : Promise.resolve();
+
+    marked
+        .then( function() {
+            if ( editedId ) {
+                return submissionModel.endEditSession( id, editedId );
+            }
+        } )
+        .catch( function( error ) {
+            console.error( error );
+        } );
+}
+
+function _logSubmission( id, instanceId, deprecatedId, cap ) {
     submissionModel.isNew( id, instanceId )
         .then( function( notRecorded ) {
             if ( notRecorded ) {
                 // increment number of submissions
-                surveyModel.incrementSubmissions( id );
+                surveyModel.incrementSubmissions( id, cap ? cap.value : undefined, !!cap );
                 // store instanceId
                 submissionModel.add( id, instanceId, deprecatedId );
+            } else {
+                // a resubmission does not count towards the cap
+                _releaseCap( id, cap );
             }
         } )
         .catch( function( error ) {
@@ -1,10 +1,15 @@
 'use strict';
 
+var Promise = require( 'lie' );
 var utils = require( '../lib/utils' );
 var TError = require( '../lib/custom-error' ).TranslatedError;
 var communicator = require( '../lib/communicator' );
+var urlSignature = require( '../lib/url-signature' );
 var surveyModel = require( '../models/survey-model' );
+var aliasModel = require( '../models/alias-model' );
+var tokenModel = require( '../models/token-model' );
 var userModel = require( '../models/user-model' );
+var account = require( '../models/account-model' );
 var config = require( '../models/config-model' ).server;
 var express = require( 'express' );
 var router = express.Router();
@@ -38,6 +43,9 @@ router
     .get( '*', loggedInCheck )
     .get( '/x/', offlineWebform )
     .get( '/_/', offlineWebform )
+    .get( '/s/:alias', alias )
+    .get( '/x/s/:alias', alias )
+    .get( '/preview/s/:alias', alias )
     .get( '/:enketo_id', webform )
     .get( '/:mod/:enketo_id', webform )
     .get( '/preview/:enketo_id', preview )
@@ -106,16 +114,100 @@ function edit( req, res, next ) {
     }
 }
 
+/**
+ * Redirects an alias to the webform, offline webform or preview of the survey that it refers to.
+ * The redirect is temporary and not cached, so that it keeps working when the alias is moved to another survey.
+ *
+ * @param  {[type]}   req  [description]
+ * @param  {[type]}   res  [description]
+ * @param  {Function} next [description]
+ */
+function alias( req, res, next ) {
+    var queryStart = req.originalUrl.indexOf( '?' );
+    var query = queryStart !== -1 ? req.originalUrl.substring( queryStart ) : '';
+    // '/', '/x/' or '/preview/'
+    var prefix = req.path.replace( /s\/[^\/]+$/, '' );
+
+    aliasModel.get( req.params.alias )
+        .then( function( id ) {
+            var path = ( prefix === '/x/' ) ? prefix + query + '#' + id : prefix + '::' + id + query;
+            res
+                .set( 'Cache-Control', 'no-cache' )
+                .redirect( 302, req.app.get( 'base path' ) + path );
+        } )
+        .catch( next );
+}
+
 function _renderWebform( req, res, next, options ) {
     var deviceId = req.signedCookies[ '__enketo_meta_deviceid' ] || req.hostname + ':' + utils.randomString( 16 ),
         cookieOptions = {
             signed: true,
             maxAge: 10 * 365 * 24 * 60 * 60 * 1000
-        };
+        },
+        // previews are always available, offline forms have no enketo ID in the URL and are checked by the webform
+        check = ( options.type === 'preview' || !req.enketoId ) ? Promise.resolve() : surveyModel.checkOpen( req.enketoId );
+
+    check
+        .then( function() {
+            if ( req.enketoId ) {
+                return _checkSignature( req );
+            }
+        } )
+        .then( function() {
+            // records are edited without respondent token
+            if ( req.enketoId && !options.type ) {
+                return _checkToken( req.enketoId, req.query.token );
+            }
+        } )
+        .then( function() {
+            res
+                .cookie( '__enketo_meta_deviceid', deviceId, cookieOptions )
+                .render( 'surveys/webform', options );
+        } )
+        .catch( function( error ) {
+            if ( error.status === 410 ) {
+                // the respondent token was used up
+                res.status( 410 ).render( 'surveys/completed' );
+            } else {
+                next( error );
+            }
+        } );
+}
+
+/**
+ * Checks the signature of the protected query parameters. A signature is required if the account requires signed URLs.
+ *
+ * @param  {*} req [description]
+ * @return {Promise}     rejects with a 403 error if the signature is missing, invalid or expired
+ */
+function _checkSignature( req ) {
+    return surveyModel.get( req.enketoId )
+        .then( account.get )
+        .then( function( acc ) {
+            return !!acc.requireSignedUrls;
+        }, function() {
+            // unknown surveys and accounts are reported when the form is obtained
+            return false;
+        } )
+        .then( function( required ) {
+            return urlSignature.verify( req.enketoId, req.originalUrl, required );
+        } );
+}
 
-    res
-        .cookie( '__enketo_meta_deviceid', deviceId, cookieOptions )
-        .render( 'surveys/webform', options );
+/**
+ * Checks the respondent token if the survey requires one, or if one is provided.
+ *
+ * @param  {string} id    enketo ID
+ * @param  {string=} token [description]
+ * @return {Promise}       rejects with a 403 error if the token is missing or invalid, or a 410 error if used up
+ */
+function _checkToken( id, token ) {
+    return ( token ? Promise.resolve( true ) : tokenModel.isRequired( id ) )
+        .then( function( required ) {
+            if ( required ) {
+                return tokenModel.check( id, token );
+            }
+        } );
 }
 
 /**
@@ -5,10 +5,12 @@ var transformer = require( 'enketo-transformer' );
 var communicator = require( '../lib/communicator' );
 var surveyModel = require( '../models/survey-model' );
 var cacheModel = require( '../models/cache-model' );
+var tokenModel = require( '../models/token-model' );
 var account = require( '../models/account-model' );
 var user = require( '../models/user-model' );
 var utils = require( '../lib/utils' );
 var isArray = require( 'lodash/isArray' );
+var assign = require( 'lodash/assign' );
 var express = require( 'express' );
 var url = require( 'url' );
 var router = express.Router();
@@ -61,7 +63,10 @@ function getSurveyParts( req, res, next ) {
                         }
                     } )
                     .then( function( result ) {
-                        _respond( res, result );
+                        return _getDefaults( result, req.query.token )
+                            .then( function( defaults ) {
+                                _respond( res, result, defaults );
+                            } );
                     } )
                     .catch( next );
             }
@@ -196,7 +201,31 @@ function _checkQuota( survey ) {
         } );
 }
 
-function _respond( res, survey ) {
+/**
+ * Obtains the defaults that are stored with the survey and with the respondent token. The latter take precedence.
+ *
+ * @param  {*} survey [description]
+ * @param  {string=} token  respondent token
+ * @return {Promise}        resolves with an object with a value for each path, or null
+ */
+function _getDefaults( survey, token ) {
+    var defaults = survey.defaults ? JSON.parse( survey.defaults ) : null;
+
+    if ( !token || !survey.enketoId ) {
+        return Promise.resolve( defaults );
+    }
+
+    return tokenModel.getDefaults( survey.enketoId, token )
+        .then( function( tokenDefaults ) {
+            return tokenDefaults ? assign( {}, defaults, tokenDefaults ) : defaults;
+        } )
+        .catch( function() {
+            // invalid tokens were already refused when the webform was loaded
+            return defaults;
+        } );
+}
+
+function _respond( res, survey, defaults ) {
     delete survey.credentials;
 
     res.status( 200 );
@@ -205,7 +234,13 @@ function _respond( res, survey ) {
         // previously this was JSON.stringified, not sure why
         model: survey.model,
         theme: survey.theme,
+        defaults: defaults || null,
         branding: survey.account.branding,
+        // the webform drops a return URL with another origin
+        returnUrlOrigins: survey.account.returnUrlOrigins || [],
+        // the offline webform checks the availability window itself
+        openFrom: survey.openFrom || null,
+        openUntil: survey.openUntil || null,
         // The hash components are converted to deal with a node_redis limitation with storing and retrieving null.
         // If a form contains no media this hash is null, which would be an empty string upon first load.
         // Subsequent cache checks will however get the string value 'null' causing the form cache to be unnecessarily refreshed
@@ -216,7 +251,16 @@ function _respond( res, survey ) {
 
 function _getCombinedHash( survey ) {
     var brandingHash = ( survey.account.branding && survey.account.branding.source ) ? utils.md5( survey.account.branding.source ) : '';
-    return [ String( survey.formHash ), String( survey.mediaHash ), String( survey.xslHash ), String( survey.theme ), String( brandingHash ) ].join( '-' );
+    var hash = [ String( survey.formHash ), String( survey.mediaHash ), String( survey.xslHash ), String( survey.theme ), String( brandingHash ) ].join( '-' );
+    // stored defaults and the availability window are part of the offline form,
+    // the hash of forms without them is unchanged
+    if ( survey.defaults ) {
+        hash += '-' + utils.md5( survey.defaults );
+    }
+    if ( survey.openFrom || survey.openUntil ) {
+        hash += '-' + utils.md5( ( survey.openFrom || '' ) + '/' + ( survey.openUntil || '' ) );
+    }
+    return hash;
 }
 
 function _setCookieAndCredentials( survey, req ) {
@@ -0,0 +1,97 @@
+/**
+ * Express middleware that authenticates API calls with an API key of the account as the user name of
+ * HTTP Basic Authentication, and checks the scope of the key.
+ */
+
+'use strict';
+
+var auth = require( 'basic-auth' );
+var account = require( '../models/account-model' );
+
+/**
+ * Checks the API key for the account of the server_url parameter.
+ * Sets req.account, req.apiKey (the key that made the call) and req.apiScope.
+ */
+function check( req, res, next ) {
+    var scope = _getRequiredScope( req );
+
+    // set content-type to json to provide appropriate json Error responses
+    res.set( 'Content-Type', 'application/json' );
+
+    authenticate( req, req.body.server_url || req.query.server_url, scope )
+        .then( function( result ) {
+            req.account = result.account;
+            req.apiKey = result.apiKey;
+            req.apiScope = scope;
+            next();
+        } )
+        .catch( function( error ) {
+            if ( error.status === 401 ) {
+                res
+                    .status( error.status )
+                    .set( 'WWW-Authenticate', 'Basic realm="Enter valid API key as user name"' );
+            }
+            next( error );
+        } );
+}
+
+/**
+ * Checks the API key of a request for the account of a survey or server URL.
+ *
+ * @param  {*} req    [description]
+ * @param  {*} survey survey object or server URL
+ * @param  {string} scope  required scope
+ * @return {Promise}        resolves with {account: *, apiKey: *}, or rejects with a 401 or 403 error
+ */
+function authenticate( req, survey, scope ) {
+    var creds = auth( req );
+    var key = ( creds ) ? creds.name : undefined;
+
+    return account.get( survey )
+        .then( function( acc ) {
+            return account.authenticate( acc, key )
+                .then( function( apiKey ) {
+                    var error;
+
+                    if ( !apiKey ) {
+                        error = new Error( 'Not Allowed. Invalid API key.' );
+                        error.status = 401;
+                        throw error;
+                    }
+                    if ( !account.hasScope( apiKey, scope ) ) {
+                        error = new Error( 'Forbidden. The API key does not have the ' + scope + ' scope.' );
+                        error.status = 403;
+                        throw error;
+                    }
+
+                    return {
+                        account: acc,
+                        apiKey: apiKey
+                    };
+                } );
+        } );
+}
+
+/**
+ * Obtains the API key scope that is required for a request.
+ *
+ * @param  {*} req [description]
+ * @return {string}     scope
+ */
+function _getRequiredScope( req ) {
+    if ( /^\/instance/.test( req.path ) ) {
+        return 'edit';
+    }
+    if ( req.method === 'DELETE' ) {
+        return 'admin';
+    }
+    if ( req.method === 'POST' && /^\/(survey(\/|$)|surveys$)/.test( req.path ) ) {
+        return 'create';
+    }
+    return 'read';
+}
+
+module.exports = {
+    check: check,
+    authenticate: authenticate
+};
@@ -0,0 +1,41 @@
+/**
+ * Express middleware that records state-changing API calls in the audit log.
+ */
+
+'use strict';
+
+var auditModel = require( '../models/audit-model' );
+
+/**
+ * Records the call once the response has been sent, so that the result status is known.
+ * Use after authentication, which sets req.account, req.apiKey and req.apiScope.
+ * Bulk calls set req.formIds.
+ */
+function record( req, res, next ) {
+    if ( req.apiScope === 'read' ) {
+        return next();
+    }
+
+    res.on( 'finish', function() {
+        auditModel.add( {
+                account: req.account.linkedServer,
+                key: req.apiKey.name,
+                method: req.method,
+                endpoint: req.baseUrl + req.path,
+                // the form IDs of a bulk call are only set once they have been validated
+                formId: req.body.form_id || req.query.form_id || ( req.formIds ? req.formIds.join( ',' ) : undefined ),
+                instanceId: req.body.instance_id || req.query.instance_id,
+                status: res.statusCode,
+                ip: req.ip
+            } )
+            .catch( function( error ) {
+                console.error( 'Failed to add audit log entry', error );
+            } );
+    } );
+
+    next();
+}
+
+module.exports = {
+    record: record
+};
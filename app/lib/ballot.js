@@ -0,0 +1,542 @@
+'use strict';
+
+var crypto = require( 'crypto' );
+var pako = require( 'pako' );
+var crc32 = require( 'pako/lib/zlib/crc32' );
+var libxml = require( 'libxslt' ).libxmljs;
+var config = require( '../models/config-model' ).server;
+var utils = require( './utils' );
+// var debug = require( 'debug' )( 'ballot' );
+
+var SCHEMA = 'enketo-ballot/1';
+var SIGNED_SCHEMA = 'enketo-ballot-signed/1';
+var CHUNK_REGEX = /^ENKB1:([A-Za-z0-9]+):(\d+)\/(\d+):([0-9a-f]{8}):(.*)$/;
+
+/**
+ * Decodes the scanned content of all QR codes of a ballot (see public/js/src/module/ballot.js).
+ *
+ * @param  {Array<string>} chunks scanned QR code contents in any order
+ * @return {*}        ballot (signed or unsigned)
+ */
+function decode( chunks ) {
+    var parsed;
+    var first;
+    var ordered = [];
+    var data;
+
+    if ( !Array.isArray( chunks ) || chunks.length === 0 ) {
+        throw _getError( 'No QR code contents provided.' );
+    }
+
+    parsed = chunks.map( function( chunk ) {
+        var matches = CHUNK_REGEX.exec( chunk );
+        return matches ? {
+            recordId: matches[ 1 ],
+            index: Number( matches[ 2 ] ),
+            total: Number( matches[ 3 ] ),
+            checksum: matches[ 4 ],
+            data: matches[ 5 ]
+        } : null;
+    } );
+    first = parsed[ 0 ];
+
+    if ( parsed.some( function( chunk ) {
+            return !chunk || chunk.recordId !== first.recordId || chunk.total !== first.total || chunk.checksum !== first.checksum ||
+                chunk.index < 1 || chunk.index > chunk.total;
+        } ) ) {
+        throw _getError( 'Not all QR codes belong to the same ballot.' );
+    }
+
+    parsed.forEach( function( chunk ) {
+        ordered[ chunk.index - 1 ] = chunk.data;
+    } );
+
+    for ( var i = 0; i < first.total; i++ ) {
+        if ( typeof ordered[ i ] === 'undefined' ) {
+            throw _getError( 'Ballot is incomplete. QR code ' + ( i + 1 ) + ' of ' + first.total + ' is missing.' );
+        }
+    }
+
+    data = ordered.join( '' );
+
+    if ( _getChecksum( data ) !== first.checksum ) {
+        throw _getError( 'Ballot checksum does not match.' );
+    }
+
+    try {
+        return JSON.parse( pako.inflate( new Buffer( data, 'base64' ).toString( 'binary' ), {
+            to: 'string'
+        } ) );
+    } catch ( e ) {
+        throw _getError( 'Ballot could not be decoded.' );
+    }
+}
+
+/**
+ * Signs a ballot payload with a key that is specific to the survey.
+ *
+ * @param  {*} payload  ballot payload
+ * @param  {string} enketoId
+ * @return {{schema: string, payload: string, signature: string}}
+ */
+function sign( payload, enketoId ) {
+    var payloadStr = JSON.stringify( payload );
+
+    return {
+        schema: SIGNED_SCHEMA,
+        payload: payloadStr,
+        signature: _getSignature( payloadStr, enketoId )
+    };
+}
+
+/**
+ * Verifies a signed ballot and checks whether it belongs to the survey and current form version.
+ *
+ * @param  {*} signed      signed ballot
+ * @param  {string} enketoId    expected enketo ID
+ * @param  {string} formVersion expected form version
+ * @return {*}             the ballot payload
+ */
+function verify( signed, enketoId, formVersion ) {
+    var payload;
+
+    if ( !signed || signed.schema !== SIGNED_SCHEMA || typeof signed.payload !== 'string' || typeof signed.signature !== 'string' ) {
+        throw _getError( 'Ballot is not signed.' );
+    }
+
+    if ( !utils.equals( _getSignature( signed.payload, enketoId ), signed.signature ) ) {
+        throw _getError( 'Ballot signature is not valid. It was altered or belongs to a different survey.' );
+    }
+
+    payload = JSON.parse( signed.payload );
+    check( payload, enketoId, formVersion );
+
+    return payload;
+}
+
+/**
+ * Checks whether a ballot payload belongs to the survey and current form version.
+ *
+ * @param  {*} payload     ballot payload
+ * @param  {string} enketoId    expected enketo ID
+ * @param  {string} formVersion expected form version
+ */
+function check( payload, enketoId, formVersion ) {
+    if ( !payload || payload.schema !== SCHEMA ) {
+        throw _getError( 'Unsupported ballot schema.' );
+    }
+    if ( payload.enketoId !== enketoId ) {
+        throw _getError( 'Ballot belongs to a different survey (' + payload.enketoId + ').' );
+    }
+    if ( ( payload.formVersion || '' ) !== ( formVersion || '' ) ) {
+        throw _getError( 'Ballot belongs to a different form version (' + payload.formVersion + ').' );
+    }
+}
+
+/**
+ * Whether ballots are signed. This is the case when a signing key is configured.
+ *
+ * @return {boolean}
+ */
+function isSigningEnabled() {
+    return !!_getSecret();
+}
+
+/**
+ * Extracts the form version from an XML model (as transformed by enketo-transformer).
+ *
+ * @param  {string} modelStr XML model
+ * @return {string}          form version or empty string
+ */
+function getFormVersion( modelStr ) {
+    var doc = libxml.parseXml( modelStr );
+    var instance = _getFirstChildElement( doc.root(), 'instance' );
+    var root = instance ? _getFirstChildElement( instance ) : null;
+    var version = root ? root.attr( 'version' ) : null;
+
+    return version ? version.value() : '';
+}
+
+/**
+ * Rebuilds an XML instance from a ballot payload against the model of the form.
+ * Repeat instances are created as necessary, from a jr:template node or a copy of the first (default) instance.
+ *
+ * @param  {*} payload  ballot payload (any encoding)
+ * @param  {string} modelStr XML model
+ * @param  {string=} formStr  HTML form, used to find repeats when the payload uses the xpath encoding
+ * @return {string}          XML instance
+ */
+function toInstance( payload, modelStr, formStr ) {
+    var doc = libxml.parseXml( modelStr );
+    var instance = _getFirstChildElement( doc.root(), 'instance' );
+    var root = instance ? _getFirstChildElement( instance ) : null;
+    var templates = {};
+    var namespaces;
+    var fields;
+
+    if ( !root ) {
+        throw new Error( 'Model has no primary instance.' );
+    }
+
+    _collectTemplates( root, '', templates );
+
+    switch ( payload.encoding ) {
+        case 'flat':
+            fields = _getFlatFields( payload.data, root );
+            break;
+        case 'indexed':
+            fields = _getPathFields( payload.data, [] );
+            break;
+        case 'xml':
+            fields = _getXmlFields( payload.data );
+            break;
+        case 'xpath':
+            fields = _getPathFields( payload.data, formStr ? _getRepeatPaths( formStr ) : [] );
+            break;
+        default:
+            throw _getError( 'Unsupported ballot encoding (' + payload.encoding + ').' );
+    }
+
+    fields.forEach( function( field ) {
+        _setValue( root, field.steps, field.value, templates );
+    } );
+
+    // remove jr:template nodes, like clients do before submission
+    _getDescendants( root ).filter( _isTemplate ).forEach( function( el ) {
+        el.remove();
+    } );
+
+    // copy the namespace declarations that are in scope
+    namespaces = root.namespaces();
+    namespaces.forEach( function( ns ) {
+        if ( ns.prefix() && !root.namespaces( true ).some( function( local ) {
+                return local.prefix() === ns.prefix();
+            } ) ) {
+            root.defineNamespace( ns.prefix(), ns.href() );
+        }
+    } );
+
+    return _removeRedundantNamespaces( root.toString( false ), namespaces );
+}
+
+/**
+ * Obtains the instanceID from an XML instance.
+ *
+ * @param  {string} instanceStr XML instance
+ * @return {string}             instanceID or empty string
+ */
+function getInstanceId( instanceStr ) {
+    var root = libxml.parseXml( instanceStr ).root();
+    var meta = _getFirstChildElement( root, 'meta' );
+    var instanceId = meta ? _getFirstChildElement( meta, 'instanceID' ) : null;
+
+    return instanceId ? instanceId.text().trim() : '';
+}
+
+/**
+ * Sets the instanceID of an XML instance (and adds the meta/instanceID nodes if necessary).
+ *
+ * @param  {string} instanceStr XML instance
+ * @param  {string} instanceId  instanceID
+ * @return {string}             XML instance
+ */
+function setInstanceId( instanceStr, instanceId ) {
+    var root = libxml.parseXml( instanceStr ).root();
+    var meta = _getFirstChildElement( root, 'meta' ) || root.node( 'meta' );
+    var instanceIdEl = _getFirstChildElement( meta, 'instanceID' ) || meta.node( 'instanceID' );
+
+    instanceIdEl.text( instanceId );
+
+    return root.toString( false );
+}
+
+/**
+ * Each field becomes a list of steps with 1-based positions, e.g. /data/rep[2]/a.
+ */
+function _getPathFields( data, repeatPaths ) {
+    var fields = [];
+
+    Object.keys( data || {} ).forEach( function( path ) {
+        var values = Array.isArray( data[ path ] ) ? data[ path ] : [ data[ path ] ];
+        var repeatPath;
+
+        if ( Array.isArray( data[ path ] ) ) {
+            repeatPath = _getRepeatPathForArray( path, repeatPaths );
+        }
+
+        values.forEach( function( value, index ) {
+            var steps = _parsePath( path );
+            if ( repeatPath ) {
+                steps[ repeatPath.split( '/' ).length - 2 ].position = index + 1;
+            }
+            fields.push( {
+                steps: steps,
+                value: value
+            } );
+        } );
+    } );
+
+    return fields;
+}
+
+/**
+ * Without positions, an array of values can only be mapped to a single (non-nested) repeat.
+ */
+function _getRepeatPathForArray( path, repeatPaths ) {
+    var ancestors = repeatPaths.filter( function( repeatPath ) {
+        return path.indexOf( repeatPath + '/' ) === 0;
+    } );
+
+    if ( ancestors.length !== 1 ) {
+        throw _getError( 'Cannot determine the repeat of multiple values for ' + path + '. Use the indexed encoding.' );
+    }
+
+    return ancestors[ 0 ];
+}
+
+function _getFlatFields( data, root ) {
+    var leaves = _getDescendants( root ).filter( function( el ) {
+        return !_isTemplate( el ) && _getChildElements( el ).length === 0;
+    } );
+
+    return Object.keys( data || {} ).map( function( nodeName ) {
+        var matches = leaves.filter( function( leaf ) {
+            return leaf.name() === nodeName;
+        } );
+        if ( matches.length !== 1 ) {
+            throw _getError( 'Cannot determine the node for ' + nodeName + '. Use the xpath or indexed encoding.' );
+        }
+        return {
+            steps: _parsePath( _getPath( matches[ 0 ] ) ),
+            value: data[ nodeName ]
+        };
+    } );
+}
+
+function _getXmlFields( xmlStr ) {
+    var root;
+
+    try {
+        root = libxml.parseXml( xmlStr ).root();
+    } catch ( e ) {
+        throw _getError( 'Ballot contains invalid XML.' );
+    }
+
+    return _getDescendants( root )
+        .filter( function( el ) {
+            return _getChildElements( el ).length === 0;
+        } )
+        .map( function( el ) {
+            return {
+                steps: _parsePath( _getPath( el, true ) ),
+                value: el.text()
+            };
+        } );
+}
+
+function _setValue( root, steps, value, templates ) {
+    var el = root;
+    var path = '/' + root.name();
+
+    if ( steps[ 0 ].name !== root.name() ) {
+        throw _getError( 'Ballot field /' + _stringifySteps( steps ) + ' does not exist in the form.' );
+    }
+
+    steps.slice( 1 ).forEach( function( step ) {
+        var siblings;
+        var clone;
+        var reference;
+
+        path += '/' + step.name;
+        siblings = _getChildElements( el, step.name ).filter( function( child ) {
+            return !_isTemplate( child );
+        } );
+
+        if ( siblings.length === 0 && !templates[ path ] ) {
+            throw _getError( 'Ballot field /' + _stringifySteps( steps ) + ' does not exist in the form.' );
+        }
+
+        // add repeat instances
+        while ( siblings.length < step.position ) {
+            clone = templates[ path ].clone();
+            // insert after the last instance, or after the jr:template node
+            reference = siblings[ siblings.length - 1 ] || _getChildElements( el, step.name )[ 0 ];
+            if ( reference ) {
+                reference.addNextSibling( clone );
+            } else {
+                el.addChild( clone );
+            }
+            siblings.push( clone );
+        }
+
+        el = siblings[ step.position - 1 ];
+    } );
+
+    if ( _getChildElements( el ).length > 0 ) {
+        throw _getError( 'Ballot field /' + _stringifySteps( steps ) + ' is not a question.' );
+    }
+
+    el.text( value === null || typeof value === 'undefined' ? '' : String( value ) );
+}
+
+/**
+ * Stores a pristine copy of the jr:template or first instance of each node, before any values are set.
+ */
+function _collectTemplates( el, parentPath, templates ) {
+    var path = parentPath + '/' + el.name();
+    var clone;
+
+    if ( _isTemplate( el ) || !templates[ path ] ) {
+        clone = el.clone();
+        if ( _isTemplate( el ) ) {
+            clone.attr( 'template' ).remove();
+        }
+        templates[ path ] = clone;
+    }
+
+    _getChildElements( el ).forEach( function( child ) {
+        _collectTemplates( child, path, templates );
+    } );
+}
+
+function _getRepeatPaths( formStr ) {
+    return libxml.parseHtml( formStr )
+        .find( '//*[contains(concat(" ", normalize-space(@class), " "), " or-repeat ")][@name]' )
+        .map( function( el ) {
+            return el.attr( 'name' ).value();
+        } );
+}
+
+function _parsePath( path ) {
+    return path.split( '/' ).filter( function( step ) {
+        return !!step;
+    } ).map( function( step ) {
+        var matches = /^([^\[]+)(\[(\d+)\])?$/.exec( step );
+        if ( !matches ) {
+            throw _getError( 'Invalid ballot field path: ' + path + '.' );
+        }
+        return {
+            name: matches[ 1 ].replace( /^.*:/, '' ),
+            position: matches[ 3 ] ? Number( matches[ 3 ] ) : 1
+        };
+    } );
+}
+
+function _stringifySteps( steps ) {
+    return steps.map( function( step ) {
+        return step.name + ( step.position > 1 ? '[' + step.position + ']' : '' );
+    } ).join( '/' );
+}
+
+/**
+ * Copied repeat instances get their own namespace declarations. Those that are already in scope are removed.
+ */
+function _removeRedundantNamespaces( xmlStr, namespaces ) {
+    var rootEnd = xmlStr.indexOf( '>' ) + 1;
+
+    return xmlStr.substring( 0, rootEnd ) + xmlStr.substring( rootEnd ).replace( /<[^>!?\/][^>]*>/g, function( tag ) {
+        return tag.replace( /\sxmlns(:([^=\s]+))?="([^"]*)"/g, function( declaration, colon, prefix, href ) {
+            return namespaces.some( function( ns ) {
+                return ( ns.prefix() || undefined ) === prefix && ns.href() === href;
+            } ) ? '' : declaration;
+        } );
+    } );
+}
+
+function _getPath( el, includePosition ) {
+    var steps = [];
+    var position;
+    var sibling;
+
+    while ( el && el.type() === 'element' ) {
+        position = 1;
+        sibling = el.prevElement();
+        while ( includePosition && sibling ) {
+            if ( sibling.name() === el.name() ) {
+                position++;
+            }
+            sibling = sibling.prevElement();
+        }
+        steps.unshift( el.name() + ( position > 1 ? '[' + position + ']' : '' ) );
+        el = el.parent();
+        // stop at the instance root
+        if ( el && el.type() === 'element' && el.name() === 'instance' ) {
+            break;
+        }
+    }
+
+    return '/' + steps.join( '/' );
+}
+
+function _getDescendants( el ) {
+    return _getChildElements( el ).reduce( function( list, child ) {
+        return list.concat( [ child ], _getDescendants( child ) );
+    }, [] );
+}
+
+function _getChildElements( el, name ) {
+    return el.childNodes().filter( function( child ) {
+        return child.type() === 'element' && ( !name || child.name() === name );
+    } );
+}
+
+function _isTemplate( el ) {
+    return !!el.attr( 'template' );
+}
+
+function _getFirstChildElement( el, name ) {
+    var children = el.childNodes().filter( function( child ) {
+        return child.type() === 'element' && ( !name || child.name() === name );
+    } );
+    return children[ 0 ] || null;
+}
+
+function _getSecret() {
+    return config.ballot ? config.ballot[ 'signing key' ] : null;
+}
+
+/**
+ * Each survey gets its own key derived from the configured secret.
+ */
+function _getSignature( payloadStr, enketoId ) {
+    var secret = _getSecret();
+    var surveyKey;
+    var error;
+
+    if ( !secret ) {
+        error = new Error( 'Ballot signing is not enabled.' );
+        error.status = 501;
+        throw error;
+    }
+
+    surveyKey = crypto.createHmac( 'sha256', secret ).update( String( enketoId ) ).digest();
+
+    return crypto.createHmac( 'sha256', surveyKey ).update( payloadStr, 'utf8' ).digest( 'hex' );
+}
+
+function _getChecksum( str ) {
+    var bytes = new Buffer( str, 'binary' );
+    var hex = ( crc32( 0, bytes, bytes.length, 0 ) >>> 0 ).toString( 16 );
+
+    return ( '0000000' + hex ).slice( -8 );
+}
+
+function _getError( message ) {
+    var error = new Error( message );
+    error.status = 400;
+    return error;
+}
+
+module.exports = {
+    SCHEMA: SCHEMA,
+    SIGNED_SCHEMA: SIGNED_SCHEMA,
+    decode: decode,
+    sign: sign,
+    verify: verify,
+    check: check,
+    isSigningEnabled: isSigningEnabled,
+    getFormVersion: getFormVersion,
+    toInstance: toInstance,
+    getInstanceId: getInstanceId,
+    setInstanceId: setInstanceId
+};
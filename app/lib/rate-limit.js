@@ -0,0 +1,89 @@
+/**
+ * Express middleware that limits the number of API requests per IP address and per API key.
+ */
+
+'use strict';
+
+var Promise = require( 'lie' );
+var rateLimitModel = require( '../models/rate-limit-model' );
+var config = require( '../models/config-model' ).server;
+var utils = require( './utils' );
+
+/**
+ * Limits the number of requests per IP address. Use before authentication.
+ */
+function byIp( req, res, next ) {
+    _limit( req, res, next, [
+        [ 'ip:' + req.ip, _getSetting( 'requests per ip' ) ]
+    ] );
+}
+
+/**
+ * Limits the number of requests per API key, with a separate, stricter budget for requests that create or change
+ * something. Use after authentication, which sets req.account, req.apiKey and req.apiScope.
+ */
+function byKey( req, res, next ) {
+    var key = 'key:' + utils.md5( ( req.account.linkedServer || '' ) + ':' + req.apiKey.id );
+    var buckets = [
+        [ key, _getSetting( 'requests per key' ) ]
+    ];
+
+    if ( req.apiScope !== 'read' ) {
+        buckets.push( [ 'write:' + key, _getSetting( 'writes per key' ) ] );
+    }
+
+    _limit( req, res, next, buckets );
+}
+
+function _limit( req, res, next, buckets ) {
+    var window = _getSetting( 'window' );
+    var limited = buckets.filter( function( bucket ) {
+        return bucket[ 1 ] > 0;
+    } );
+
+    // without a window or limits nothing is consumed
+    if ( !window || limited.length === 0 ) {
+        return next();
+    }
+
+    Promise.all( limited.map( function( bucket ) {
+            return rateLimitModel.consume( bucket[ 0 ], bucket[ 1 ], window );
+        } ) )
+        .then( function( results ) {
+            var error;
+            // report the exceeded budget, or otherwise the budget with the fewest remaining requests
+            var result = results.filter( function( current ) {
+                return !current.allowed;
+            } )[ 0 ] || results.reduce( function( mostRestrictive, current ) {
+                return current.remaining < mostRestrictive.remaining ? current : mostRestrictive;
+            } );
+
+            res.set( {
+                'X-RateLimit-Limit': result.limit,
+                'X-RateLimit-Remaining': result.remaining,
+                'X-RateLimit-Reset': result.reset
+            } );
+
+            if ( result.allowed ) {
+                next();
+            } else {
+                error = new Error( 'Too many requests. Try again later.' );
+                error.status = 429;
+                // API responses are JSON, also when the request was not authenticated yet
+                res.set( 'Content-Type', 'application/json' );
+                res.set( 'Retry-After', Math.max( 1, Math.ceil( result.reset - Date.now() / 1000 ) ) );
+                next( error );
+            }
+        } )
+        .catch( next );
+}
+
+function _getSetting( name ) {
+    var settings = config[ 'rate limit' ] || {};
+    return Number( settings[ name ] ) || 0;
+}
+
+module.exports = {
+    byIp: byIp,
+    byKey: byKey
+};
@@ -0,0 +1,39 @@
+/**
+ * Express middleware that adds the return URL of an API call to the edit (or single) webform URL.
+ */
+
+'use strict';
+
+var account = require( '../models/account-model' );
+
+/**
+ * Adds the return URL as req.returnQueryParam, unless it is not an http(s) URL or its origin is not one of the
+ * account's return URL origins. A disallowed return URL is dropped with a warning in the response (req.returnUrlWarning).
+ * Use after authentication, which sets req.account.
+ */
+function setQueryParam( req, res, next ) {
+    var returnUrl = req.body.return_url || req.query.return_url;
+
+    if ( returnUrl && ( req.webformType === 'edit' || req.webformType === 'single' ) ) {
+        returnUrl = _decode( returnUrl );
+        if ( account.isAllowedReturnUrl( req.account, returnUrl ) ) {
+            req.returnQueryParam = 'returnUrl=' + encodeURIComponent( returnUrl );
+        } else {
+            req.returnUrlWarning = 'Return URL removed. It is not an http(s) URL or its origin is not allowed for this account.';
+        }
+    }
+    next();
+}
+
+function _decode( str ) {
+    try {
+        return decodeURIComponent( str );
+    } catch ( e ) {
+        // a malformed value is used as is
+        return str;
+    }
+}
+
+module.exports = {
+    setQueryParam: setQueryParam
+};
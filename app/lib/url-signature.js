@@ -0,0 +1,132 @@
+/**
+ * Signs and verifies the query parameters of webform URLs that should not be changed by respondents:
+ * defaults, return URL, parent window origin and the query parameter to pass to submission.
+ */
+
+'use strict';
+
+var crypto = require( 'crypto' );
+var Promise = require( 'lie' );
+var TError = require( './custom-error' ).TranslatedError;
+var utils = require( './utils' );
+var config = require( '../models/config-model' ).server;
+
+var PROTECTED_PARAMS = /^(d\[.*\]|return|returnURL|returnUrl|parentWindowOrigin)$/;
+var SIGNATURE_LENGTH = 32;
+
+/**
+ * Adds a signature of the protected query parameters to a webform URL.
+ *
+ * @param  {string} id      enketo ID
+ * @param  {string} url     webform URL
+ * @param  {Date=} expires optional date after which the URL is no longer accepted
+ * @return {string}         signed URL
+ */
+function sign( id, url, expires ) {
+    var queryStart = url.indexOf( '?' );
+    var query = queryStart === -1 ? '' : url.substring( queryStart + 1 );
+    var exp = expires ? String( Math.floor( expires.getTime() / 1000 ) ) : '';
+    var params = exp ? [ 'expires=' + exp ] : [];
+
+    params.push( 'signature=' + _getSignature( id, _getProtectedParams( query ), exp ) );
+
+    return url + ( queryStart === -1 ? '?' : '&' ) + params.join( '&' );
+}
+
+/**
+ * Verifies the signature of the protected query parameters of a request URL. URLs without a signature
+ * are accepted unless a signature is required.
+ *
+ * @param  {string} id       enketo ID
+ * @param  {string} url      request URL (e.g. req.originalUrl)
+ * @param  {boolean=} required whether a signature is required
+ * @return {Promise}          rejects with a translated 403 error if the signature is missing, invalid or expired
+ */
+function verify( id, url, required ) {
+    var queryStart = url.indexOf( '?' );
+    var query = queryStart === -1 ? '' : url.substring( queryStart + 1 );
+    var params = _parse( query );
+    var signature = _getValue( params, 'signature' );
+    var exp = _getValue( params, 'expires' ) || '';
+    var error;
+
+    if ( !signature ) {
+        if ( required ) {
+            error = new TError( 'error.signaturerequired' );
+        }
+    } else if ( !utils.equals( signature, _getSignature( id, _getProtectedParams( query ), exp ) ) ) {
+        error = new TError( 'error.signatureinvalid' );
+    } else if ( exp && Date.now() >= Number( exp ) * 1000 ) {
+        error = new TError( 'error.linkexpired' );
+    }
+
+    if ( error ) {
+        error.status = 403;
+        return Promise.reject( error );
+    }
+
+    return Promise.resolve( id );
+}
+
+/**
+ * Obtains the protected query parameters in a canonical form, i.e. decoded, re-encoded and sorted.
+ */
+function _getProtectedParams( query ) {
+    var submissionParam = config[ 'query parameter to pass to submission' ];
+
+    return _parse( query )
+        .filter( function( param ) {
+            return PROTECTED_PARAMS.test( param.name ) || ( !!submissionParam && param.name === submissionParam );
+        } )
+        .map( function( param ) {
+            return encodeURIComponent( param.name ) + '=' + encodeURIComponent( param.value );
+        } )
+        .sort();
+}
+
+function _parse( query ) {
+    return query.split( '&' )
+        .filter( function( pair ) {
+            return pair.length > 0;
+        } )
+        .map( function( pair ) {
+            var index = pair.indexOf( '=' );
+
+            return {
+                name: _decode( index === -1 ? pair : pair.substring( 0, index ) ),
+                value: index === -1 ? '' : _decode( pair.substring( index + 1 ) )
+            };
+        } );
+}
+
+function _decode( str ) {
+    try {
+        return decodeURIComponent( str );
+    } catch ( e ) {
+        // a malformed value will not match the signature
+        return str;
+    }
+}
+
+function _getValue( params, name ) {
+    var found = params.filter( function( param ) {
+        return param.name === name;
+    } );
+
+    return found.length ? found[ found.length - 1 ].value : null;
+}
+
+/**
+ * The expiry date is part of the signature, so that it cannot be changed either.
+ */
+function _getSignature( id, params, exp ) {
+    return crypto.createHmac( 'sha256', config[ 'encryption key' ] )
+        .update( [ id, exp, params.join( '&' ) ].join( '\n' ), 'utf8' )
+        .digest( 'hex' )
+        .substring( 0, SIGNATURE_LENGTH );
+}
+
+module.exports = {
+    sign: sign,
+    verify: verify
+};
@@ -118,6 +118,28 @@ function areOwnPropertiesEqual( a, b ) {
     return true;
 }
 
+/**
+ * Constant-time string comparison, to compare secrets (crypto.timingSafeEqual is not available in older Node.js versions).
+ *
+ * @param  {string} a [description]
+ * @param  {string} b [description]
+ * @return {boolean}   [description]
+ */
+function equals( a, b ) {
+    var result;
+
+    if ( typeof a !== 'string' || typeof b !== 'string' ) {
+        return false;
+    }
+
+    result = a.length ^ b.length;
+    for ( var i = 0; i < a.length; i++ ) {
+        result |= a.charCodeAt( i ) ^ b.charCodeAt( i % ( b.length || 1 ) );
+    }
+
+    return result === 0;
+}
+
 module.exports = {
     getOpenRosaKey: getOpenRosaKey,
     getXformsManifestHash: getXformsManifestHash,
@@ -126,5 +148,6 @@ module.exports = {
     md5: md5,
     randomString: randomString,
     pickRandomItemFromArray: pickRandomItemFromArray,
-    areOwnPropertiesEqual: areOwnPropertiesEqual
+    areOwnPropertiesEqual: areOwnPropertiesEqual,
+    equals: equals
 };
@@ -1,10 +1,28 @@
 'use strict';
 
 var Promise = require( 'lie' );
+var crypto = require( 'crypto' );
+var url = require( 'url' );
 var utils = require( '../lib/utils' );
 var config = require( './config-model' ).server;
 var customGetAccount = config[ 'account lib' ] ? require( config[ 'account lib' ] ).getAccount : undefined;
+var client = require( 'redis' ).createClient( config.redis.main.port, config.redis.main.host, {
+    auth_pass: config.redis.main.password
+} );
 // var debug = require( 'debug' )( 'account-model' );
+var SCOPES = [ 'read', 'create', 'edit', 'admin' ];
+// stores the fields (ARGV) of a new account (KEYS[1]) and adds it to the accounts (KEYS[2]), unless it exists already
+var CREATE_SCRIPT = [
+    'if redis.call( "hexists", KEYS[ 1 ], "linkedServer" ) == 1 then return 0 end',
+    'redis.call( "hmset", KEYS[ 1 ], unpack( ARGV ) )',
+    'redis.call( "sadd", KEYS[ 2 ], KEYS[ 1 ] )',
+    'return 1'
+].join( '\n' );
+
+// in test environment, switch to different db
+if ( process.env.NODE_ENV === 'test' ) {
+    client.select( 15 );
+}
 
 /**
  * Obtain account
@@ -23,28 +41,6 @@ function get( survey ) {
         error = new Error( 'Bad Request. Server URL is not a valid URL.' );
         error.status = 400;
         return Promise.reject( error );
-    } else if ( /https?:\/\/testserver.com\/bob/.test( server ) ) {
-        return Promise.resolve( {
-            linkedServer: server,
-            key: 'abc',
-            quota: 100
-        } );
-    } else if ( /https?:\/\/testserver.com\/noquota/.test( server ) ) {
-        error = new Error( 'Forbidden. No quota left.' );
-        error.status = 403;
-        return Promise.reject( error );
-    } else if ( /https?:\/\/testserver.com\/noapi/.test( server ) ) {
-        error = new Error( 'Forbidden. No API access granted.' );
-        error.status = 405;
-        return Promise.reject( error );
-    } else if ( /https?:\/\/testserver.com\/noquotanoapi/.test( server ) ) {
-        error = new Error( 'Forbidden. No API access granted.' );
-        error.status = 405;
-        return Promise.reject( error );
-    } else if ( /https?:\/\/testserver.com\/notpaid/.test( server ) ) {
-        error = new Error( 'Forbidden. The account is not active.' );
-        error.status = 403;
-        return Promise.reject( error );
     }
 
     return _getAccount( server );
@@ -92,26 +88,663 @@ function _stripProtocol( url ) {
 }
 
 /**
- * Obtains account from either configuration (hardcoded) or via custom function
+ * Obtains account from either the database, configuration (hardcoded) or via custom function
  * 
  * @param  {string} serverUrl the serverUrl to be used to look up the account
  * @return {{openRosaServer: string, key: string, quota: number}} account object
  */
 function _getAccount( serverUrl ) {
+    return _getStoredAccountForServer( serverUrl )
+        .then( function( storedAccount ) {
+            var error;
+            var hardcodedAccount;
+
+            if ( storedAccount ) {
+                if ( !storedAccount.active ) {
+                    error = new Error( 'Forbidden. The account is not active.' );
+                    error.status = 403;
+                    throw error;
+                }
+                return storedAccount;
+            }
+
+            hardcodedAccount = _getHardcodedAccount();
+            if ( _isAllowed( hardcodedAccount, serverUrl ) ) {
+                return hardcodedAccount;
+            }
+
+            if ( customGetAccount ) {
+                return customGetAccount( serverUrl, config[ 'account api url' ] );
+            }
+
+            error = new Error( 'Forbidden. This server is not linked with Enketo.' );
+            error.status = 403;
+            throw error;
+        } );
+}
+
+/**
+ * Obtains the stored account with the most specific linked server that the serverUrl belongs to.
+ * E.g. for "https://example.org/a/b", the accounts of "example.org/a/b", "example.org/a" and "example.org" are tried in that order.
+ *
+ * @param  {string} serverUrl the serverUrl to be used to look up the account
+ * @return {Promise}          resolves with account object or null
+ */
+function _getStoredAccountForServer( serverUrl ) {
+    var multi = client.multi();
+    var keys = _getAccountKeys( serverUrl );
+
+    if ( keys.length === 0 ) {
+        return Promise.resolve( null );
+    }
+
+    keys.reverse().forEach( function( key ) {
+        multi.hgetall( key );
+    } );
+
+    return new Promise( function( resolve, reject ) {
+        multi.exec( function( error, accounts ) {
+            if ( error ) {
+                reject( error );
+            } else {
+                resolve( accounts.filter( function( account ) {
+                    return !!account;
+                } ).map( _toAccount )[ 0 ] || null );
+            }
+        } );
+    } );
+}
+
+/**
+ * Obtains the database keys of the accounts that a server URL could belong to.
+ *
+ * @param  {string} serverUrl server URL
+ * @return {Array<string>}    keys, from least to most specific
+ */
+function _getAccountKeys( serverUrl ) {
+    var cleanServerUrl = utils.isValidUrl( serverUrl ) ? utils.cleanUrl( serverUrl ) : '';
+    var steps = cleanServerUrl ? cleanServerUrl.split( '/' ) : [];
+
+    return steps.map( function( step, index ) {
+        return 'ac:' + steps.slice( 0, index + 1 ).join( '/' );
+    } );
+}
+
+/**
+ * Obtains the stored account of a linked server.
+ *
+ * @param  {string} linkedServer linked server URL
+ * @return {Promise}             resolves with account object, rejects with 404 if it does not exist
+ */
+function getStored( linkedServer ) {
     var error;
-    var hardcodedAccount = _getHardcodedAccount();
+    var key = _getAccountKey( linkedServer );
+
+    if ( !key ) {
+        return Promise.reject( _getInvalidServerError() );
+    }
+
+    return new Promise( function( resolve, reject ) {
+        client.hgetall( key, function( err, obj ) {
+            if ( err ) {
+                reject( err );
+            } else if ( !obj ) {
+                error = new Error( 'Account not found.' );
+                error.status = 404;
+                reject( error );
+            } else {
+                resolve( _toAccount( obj ) );
+            }
+        } );
+    } );
+}
+
+/**
+ * Stores a new account. An API key is generated if none is provided. Only a hash of the key is stored,
+ * so the key is only included in the resolved account object.
+ *
+ * @param  {{linkedServer: string, key: string=, quota: number=, requireSignedUrls: boolean=, returnUrlOrigins: Array<string>=}} account
+ *                           account properties. Without quota the quota is unlimited. Without return URL origins any return URL is allowed.
+ * @return {Promise}         resolves with account object, rejects with 409 if it exists already
+ */
+function create( account ) {
+    var error;
+    var key = _getAccountKey( account.linkedServer );
+    var now = new Date().toISOString();
+    var origins = _toOriginsValue( account.returnUrlOrigins );
+    var apiKey = account.key || _generateKey();
+    var record;
+
+    if ( !key ) {
+        return Promise.reject( _getInvalidServerError() );
+    }
+    if ( origins === null ) {
+        return Promise.reject( _getInvalidOriginError() );
+    }
+
+    record = {
+        linkedServer: account.linkedServer,
+        keyHash: _hashKey( apiKey ),
+        keyHint: _toKeyHint( apiKey ),
+        quota: _toQuotaValue( account.quota ),
+        active: true,
+        requireSignedUrls: !!account.requireSignedUrls,
+        returnUrlOrigins: origins,
+        created: now,
+        updated: now
+    };
+
+    return new Promise( function( resolve, reject ) {
+        var args = [ CREATE_SCRIPT, 2, key, 'accounts' ];
+
+        // the account is stored in a single step, so that it is never stored partially
+        Object.keys( record ).forEach( function( field ) {
+            record[ field ] = String( record[ field ] );
+            args.push( field, record[ field ] );
+        } );
+
+        client.eval( args, function( err, created ) {
+            var acc;
+
+            if ( err ) {
+                reject( err );
+            } else if ( !created ) {
+                error = new Error( 'Conflict. Account exists already.' );
+                error.status = 409;
+                reject( error );
+            } else {
+                acc = _toAccount( record );
+                acc.key = apiKey;
+                resolve( acc );
+            }
+        } );
+    } );
+}
+
+/**
+ * Updates the quota, the active state, the signed URL requirement and/or the return URL origins of a stored account.
+ *
+ * @param  {{linkedServer: string, quota: number=, active: boolean=, requireSignedUrls: boolean=, returnUrlOrigins: Array<string>=}} account
+ *                           account properties
+ * @return {Promise}         resolves with account object
+ */
+function update( account ) {
+    var props = {
+        updated: new Date().toISOString()
+    };
 
-    if ( _isAllowed( hardcodedAccount, serverUrl ) ) {
-        return Promise.resolve( hardcodedAccount );
+    if ( typeof account.quota !== 'undefined' ) {
+        props.quota = _toQuotaValue( account.quota );
+    }
+    if ( typeof account.active !== 'undefined' ) {
+        props.active = !!account.active;
+    }
+    if ( typeof account.requireSignedUrls !== 'undefined' ) {
+        props.requireSignedUrls = !!account.requireSignedUrls;
+    }
+    if ( typeof account.returnUrlOrigins !== 'undefined' ) {
+        props.returnUrlOrigins = _toOriginsValue( account.returnUrlOrigins );
+        if ( props.returnUrlOrigins === null ) {
+            return Promise.reject( _getInvalidOriginError() );
+        }
     }
 
-    if ( customGetAccount ) {
-        return customGetAccount( serverUrl, config[ 'account api url' ] );
+    return getStored( account.linkedServer )
+        .then( function() {
+            return _store( _getAccountKey( account.linkedServer ), props );
+        } );
+}
+
+/**
+ * Replaces the main API key of a stored account, or an additional API key, with a newly generated key.
+ * The replaced key remains valid during the grace period to allow integrations to switch without downtime.
+ *
+ * @param  {string} linkedServer linked server URL
+ * @param  {{id: string=, grace: number=}=} options id of the additional key to replace (main key if omitted)
+ *                                and grace period in seconds (default 0)
+ * @return {Promise}             resolves with account object, or with the new key object if an additional key was replaced
+ */
+function rotateKey( linkedServer, options ) {
+    var grace;
+
+    options = options || {};
+    grace = options.grace ? new Date( Date.now() + options.grace * 1000 ).toISOString() : null;
+
+    return getStored( linkedServer )
+        .then( function( account ) {
+            var apiKey = _generateKey();
+
+            if ( options.id ) {
+                return _rotateAdditionalKey( linkedServer, options.id, grace );
+            }
+
+            return ( grace ? _storeKey( linkedServer, account.keyHash, {
+                    id: _generateKeyId(),
+                    name: 'rotated',
+                    scopes: [ 'admin' ],
+                    expires: grace,
+                    hint: account.keyHint
+                } ) : Promise.resolve() )
+                .then( function() {
+                    // the plaintext key field of accounts stored by older versions is removed
+                    return _store( _getAccountKey( linkedServer ), {
+                        keyHash: _hashKey( apiKey ),
+                        keyHint: _toKeyHint( apiKey ),
+                        updated: new Date().toISOString()
+                    }, [ 'key' ] );
+                } )
+                .then( function( acc ) {
+                    acc.key = apiKey;
+                    return acc;
+                } );
+        } );
+}
+
+function _rotateAdditionalKey( linkedServer, id, grace ) {
+    return _findKey( linkedServer, id )
+        .then( function( found ) {
+            var oldKey = found.props;
+            var originalExpires = oldKey.expires;
+
+            if ( !grace ) {
+                oldKey.expires = new Date().toISOString();
+            } else if ( !originalExpires || originalExpires > grace ) {
+                // a key that expires before the end of the grace period keeps its expiry date
+                oldKey.expires = grace;
+            }
+
+            return _storeKey( linkedServer, found.key, oldKey )
+                .then( function() {
+                    return addKey( linkedServer, {
+                        name: oldKey.name,
+                        scopes: oldKey.scopes,
+                        expires: originalExpires
+                    } );
+                } );
+        } );
+}
+
+/**
+ * Adds an additional named API key to a stored account.
+ *
+ * @param {string} linkedServer linked server URL
+ * @param {{name: string, scopes: Array<string>, expires: string=}} props key properties, expires is an optional ISO date
+ * @return {Promise}             resolves with key object including the generated key
+ */
+function addKey( linkedServer, props ) {
+    var error;
+    var key = _generateKey();
+    var scopes = props.scopes || [];
+    var invalid = scopes.filter( function( scope ) {
+        return SCOPES.indexOf( scope ) === -1;
+    } );
+
+    if ( !props.name || scopes.length === 0 || invalid.length > 0 ) {
+        error = new Error( 'Bad Request. A key requires a name and one or more scopes of: ' + SCOPES.join( ', ' ) + '.' );
+        error.status = 400;
+        return Promise.reject( error );
+    }
+    if ( props.expires && isNaN( new Date( props.expires ) ) ) {
+        error = new Error( 'Bad Request. Invalid expiry date.' );
+        error.status = 400;
+        return Promise.reject( error );
     }
 
-    error = new Error( 'Forbidden. This server is not linked with Enketo.' );
-    error.status = 403;
-    return Promise.reject( error );
+    return getStored( linkedServer )
+        .then( function() {
+            var record = {
+                id: _generateKeyId(),
+                name: props.name,
+                scopes: scopes,
+                expires: props.expires ? new Date( props.expires ).toISOString() : null,
+                created: new Date().toISOString(),
+                hint: _toKeyHint( key )
+            };
+            return _storeKey( linkedServer, _hashKey( key ), record )
+                .then( function() {
+                    record.key = key;
+                    return record;
+                } );
+        } );
+}
+
+/**
+ * Revokes an additional API key of a stored account.
+ *
+ * @param  {string} linkedServer linked server URL
+ * @param  {string} id           key id
+ * @return {Promise}
+ */
+function revokeKey( linkedServer, id ) {
+    return _findKey( linkedServer, id )
+        .then( function( found ) {
+            return new Promise( function( resolve, reject ) {
+                client.hdel( _getKeysKey( linkedServer ), found.key, function( error ) {
+                    if ( error ) {
+                        reject( error );
+                    } else {
+                        resolve();
+                    }
+                } );
+            } );
+        } );
+}
+
+/**
+ * Obtains the additional API keys of a stored account, with the number of calls made with each key.
+ * Only the last 4 characters of each key are included.
+ *
+ * @param  {string} linkedServer linked server URL
+ * @return {Promise}             resolves with array of key objects
+ */
+function listKeys( linkedServer ) {
+    return getStored( linkedServer )
+        .then( function() {
+            return new Promise( function( resolve, reject ) {
+                client.multi()
+                    .hgetall( _getKeysKey( linkedServer ) )
+                    .hgetall( _getKeysKey( linkedServer ) + ':usage' )
+                    .exec( function( error, replies ) {
+                        var keys = replies ? replies[ 0 ] || {} : {};
+                        var usage = replies ? replies[ 1 ] || {} : {};
+
+                        if ( error ) {
+                            reject( error );
+                            return;
+                        }
+
+                        resolve( Object.keys( keys ).map( function( key ) {
+                            var record = JSON.parse( keys[ key ] );
+                            // keys stored by older versions are not hashed and have no stored hint
+                            record.hint = record.hint || _toKeyHint( key );
+                            record.calls = Number( usage[ record.id + ':calls' ] ) || 0;
+                            record.lastUsed = usage[ record.id + ':lastUsed' ] || null;
+                            return record;
+                        } ).sort( function( a, b ) {
+                            return a.created < b.created ? -1 : 1;
+                        } ) );
+                    } );
+            } );
+        } );
+}
+
+/**
+ * Checks an API key of an account and records its usage. The main key of an account has all scopes.
+ *
+ * @param  {*} account account object
+ * @param  {string} key     API key
+ * @return {Promise}         resolves with {id, name, scopes} or null if the key is invalid or expired
+ */
+function authenticate( account, key ) {
+    var keysKey = _getAccountKey( account.linkedServer ) ? _getKeysKey( account.linkedServer ) : null;
+
+    if ( !key ) {
+        return Promise.resolve( null );
+    }
+    // the hardcoded account and accounts of a custom account lib have a plaintext key
+    if ( account.keyHash ? utils.equals( _hashKey( key ), account.keyHash ) : utils.equals( key, account.key ) ) {
+        return Promise.resolve( _recordKeyUsage( keysKey, {
+            id: 'main',
+            name: 'main',
+            scopes: [ 'admin' ]
+        } ) );
+    }
+    if ( !keysKey || !account.created ) {
+        return Promise.resolve( null );
+    }
+
+    return new Promise( function( resolve, reject ) {
+        // keys stored by older versions are not hashed
+        client.hmget( keysKey, _hashKey( key ), key, function( error, values ) {
+            var record;
+
+            if ( error ) {
+                reject( error );
+                return;
+            }
+
+            record = values && ( values[ 0 ] || values[ 1 ] ) ? JSON.parse( values[ 0 ] || values[ 1 ] ) : null;
+            if ( !record || ( record.expires && new Date( record.expires ) <= new Date() ) ) {
+                resolve( null );
+            } else {
+                resolve( _recordKeyUsage( keysKey, record ) );
+            }
+        } );
+    } );
+}
+
+/**
+ * Whether an API key object (as returned by authenticate()) has a scope. The admin scope includes all scopes.
+ *
+ * @param  {{scopes: Array<string>}}  apiKey API key object
+ * @param  {string}  scope  scope
+ * @return {Boolean}        [description]
+ */
+function hasScope( apiKey, scope ) {
+    return apiKey.scopes.indexOf( 'admin' ) !== -1 || apiKey.scopes.indexOf( scope ) !== -1;
+}
+
+/**
+ * Whether a return URL is allowed for an account, i.e. whether it is an http(s) URL with an origin that is one of
+ * the account's return URL origins. Any http(s) return URL is allowed if the account has no return URL origins.
+ *
+ * @param  {{returnUrlOrigins: Array<string>=}}  account account object
+ * @param  {string}  returnUrl return URL
+ * @return {Boolean}           [description]
+ */
+function isAllowedReturnUrl( account, returnUrl ) {
+    var origins = account.returnUrlOrigins || [];
+    var origin = _toOrigin( returnUrl, true );
+
+    return !!origin && ( origins.length === 0 || origins.indexOf( origin ) !== -1 );
+}
+
+function _recordKeyUsage( keysKey, record ) {
+    if ( keysKey ) {
+        // no need to wait for the result
+        client.multi()
+            .hincrby( keysKey + ':usage', record.id + ':calls', 1 )
+            .hset( keysKey + ':usage', record.id + ':lastUsed', new Date().toISOString() )
+            .exec();
+    }
+    return {
+        id: record.id,
+        name: record.name,
+        scopes: record.scopes
+    };
+}
+
+function _findKey( linkedServer, id ) {
+    return getStored( linkedServer )
+        .then( function() {
+            return new Promise( function( resolve, reject ) {
+                client.hgetall( _getKeysKey( linkedServer ), function( err, keys ) {
+                    var error;
+                    var found = Object.keys( keys || {} ).filter( function( key ) {
+                        return JSON.parse( keys[ key ] ).id === id;
+                    } )[ 0 ];
+
+                    if ( err ) {
+                        reject( err );
+                    } else if ( !found ) {
+                        error = new Error( 'API key not found.' );
+                        error.status = 404;
+                        reject( error );
+                    } else {
+                        resolve( {
+                            key: found,
+                            props: JSON.parse( keys[ found ] )
+                        } );
+                    }
+                } );
+            } );
+        } );
+}
+
+function _storeKey( linkedServer, key, record ) {
+    return new Promise( function( resolve, reject ) {
+        client.hset( _getKeysKey( linkedServer ), key, JSON.stringify( record ), function( error ) {
+            if ( error ) {
+                reject( error );
+            } else {
+                resolve();
+            }
+        } );
+    } );
+}
+
+/**
+ * Obtains all stored accounts.
+ *
+ * @return {Promise} resolves with array of account objects ordered by linked server
+ */
+function list() {
+    return new Promise( function( resolve, reject ) {
+        client.smembers( 'accounts', function( error, keys ) {
+            var multi = client.multi();
+
+            if ( error ) {
+                reject( error );
+                return;
+            }
+
+            keys.sort().forEach( function( key ) {
+                multi.hgetall( key );
+            } );
+            multi.exec( function( error, accounts ) {
+                if ( error ) {
+                    reject( error );
+                } else {
+                    resolve( accounts.filter( function( account ) {
+                        return !!account;
+                    } ).map( _toAccount ) );
+                }
+            } );
+        } );
+    } );
+}
+
+function _store( key, props, removedFields ) {
+    return new Promise( function( resolve, reject ) {
+        var multi = client.multi();
+
+        if ( removedFields && removedFields.length ) {
+            multi.hdel( key, removedFields );
+        }
+        multi
+            .hmset( key, props )
+            .sadd( 'accounts', key )
+            .hgetall( key )
+            .exec( function( error, replies ) {
+                if ( error ) {
+                    reject( error );
+                } else {
+                    resolve( _toAccount( replies[ replies.length - 1 ] ) );
+                }
+            } );
+    } );
+}
+
+function _getAccountKey( linkedServer ) {
+    return utils.isValidUrl( linkedServer ) ? 'ac:' + utils.cleanUrl( linkedServer ) : null;
+}
+
+function _getKeysKey( linkedServer ) {
+    return 'ak:' + utils.cleanUrl( linkedServer );
+}
+
+function _getInvalidServerError() {
+    var error = new Error( 'Bad Request. Server URL is not a valid URL.' );
+    error.status = 400;
+    return error;
+}
+
+function _getInvalidOriginError() {
+    var error = new Error( 'Bad Request. Return URL origins should be http(s) URLs without path.' );
+    error.status = 400;
+    return error;
+}
+
+/**
+ * Converts a URL to its origin (e.g. 'https://example.org:8080'), without default port.
+ *
+ * @param  {string} str      URL
+ * @param  {boolean=} anyPath whether the URL may have a path, query and fragment
+ * @return {?string}          origin, or null if the URL is not a valid http(s) URL
+ */
+function _toOrigin( str, anyPath ) {
+    var obj = typeof str === 'string' ? url.parse( str.trim() ) : null;
+    var defaultPort;
+
+    if ( !obj || !/^https?:$/.test( obj.protocol ) || !obj.hostname || obj.auth ||
+        ( !anyPath && ( obj.pathname || '/' ) !== '/' ) || ( !anyPath && ( obj.search || obj.hash ) ) ) {
+        return null;
+    }
+    defaultPort = obj.protocol === 'https:' ? '443' : '80';
+
+    return obj.protocol + '//' + obj.hostname + ( obj.port && obj.port !== defaultPort ? ':' + obj.port : '' );
+}
+
+/**
+ * Converts a list of return URL origins to the stored value.
+ *
+ * @param  {Array<string>=} origins [description]
+ * @return {?string}         JSON array of unique origins, or null if an origin is invalid
+ */
+function _toOriginsValue( origins ) {
+    var values = ( origins || [] ).map( function( origin ) {
+        return _toOrigin( origin );
+    } );
+
+    if ( values.indexOf( null ) !== -1 ) {
+        return null;
+    }
+
+    return JSON.stringify( values.filter( function( value, index ) {
+        return values.indexOf( value ) === index;
+    } ) );
+}
+
+function _generateKey() {
+    return utils.randomString( 32 );
+}
+
+/**
+ * API keys are random strings, so an unsalted fast hash is sufficient.
+ */
+function _hashKey( key ) {
+    return crypto.createHash( 'sha256' ).update( String( key ) ).digest( 'hex' );
+}
+
+function _toKeyHint( key ) {
+    return String( key ).slice( -4 );
+}
+
+function _generateKeyId() {
+    return utils.randomString( 8 );
+}
+
+/**
+ * Converts a quota to the stored value. An empty string means unlimited.
+ */
+function _toQuotaValue( quota ) {
+    return ( quota === null || typeof quota === 'undefined' || quota === Infinity ) ? '' : Number( quota );
+}
+
+function _toAccount( obj ) {
+    return {
+        linkedServer: obj.linkedServer,
+        // the plaintext key of accounts stored by older versions is only used to derive the hash and hint
+        keyHash: obj.keyHash || ( obj.key ? _hashKey( obj.key ) : undefined ),
+        keyHint: obj.keyHint || ( obj.key ? _toKeyHint( obj.key ) : undefined ),
+        quota: obj.quota === '' || typeof obj.quota === 'undefined' ? Infinity : Number( obj.quota ),
+        // currently false is stored as 'false'
+        active: obj.active !== 'false',
+        requireSignedUrls: obj.requireSignedUrls === 'true',
+        returnUrlOrigins: obj.returnUrlOrigins ? JSON.parse( obj.returnUrlOrigins ) : [],
+        created: obj.created,
+        updated: obj.updated
+    };
 }
 
 /**
@@ -149,5 +782,16 @@ function _getServer( survey ) {
 
 module.exports = {
     get: get,
-    check: check
+    check: check,
+    getStored: getStored,
+    create: create,
+    update: update,
+    rotateKey: rotateKey,
+    addKey: addKey,
+    revokeKey: revokeKey,
+    listKeys: listKeys,
+    authenticate: authenticate,
+    hasScope: hasScope,
+    isAllowedReturnUrl: isAllowedReturnUrl,
+    list: list
 };
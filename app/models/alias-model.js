@@ -0,0 +1,232 @@
+'use strict';
+
+var Promise = require( 'lie' );
+var config = require( './config-model' ).server;
+var TError = require( '../lib/custom-error' ).TranslatedError;
+var utils = require( '../lib/utils' );
+var client = require( 'redis' ).createClient( config.redis.main.port, config.redis.main.host, {
+    auth_pass: config.redis.main.password
+} );
+// var debug = require( 'debug' )( 'alias-model' );
+var ALIAS_PATTERN = /^[a-z0-9][a-z0-9-]{2,63}$/;
+// moves an alias (KEYS[1]) from one survey (KEYS[2]) to another (KEYS[3]), but only if it still refers to the first survey
+var MOVE_SCRIPT = [
+    'if redis.call( "get", KEYS[ 1 ] ) ~= ARGV[ 1 ] then return 0 end',
+    'redis.call( "set", KEYS[ 1 ], ARGV[ 2 ] )',
+    'redis.call( "srem", KEYS[ 2 ], ARGV[ 3 ] )',
+    'redis.call( "sadd", KEYS[ 3 ], ARGV[ 3 ] )',
+    'return 1'
+].join( '\n' );
+// removes an alias (KEYS[1]) of a survey (KEYS[2]), but only if it refers to this survey
+var REMOVE_SCRIPT = [
+    'if redis.call( "get", KEYS[ 1 ] ) ~= ARGV[ 1 ] then return 0 end',
+    'redis.call( "del", KEYS[ 1 ] )',
+    'redis.call( "srem", KEYS[ 2 ], ARGV[ 2 ] )',
+    'return 1'
+].join( '\n' );
+
+// in test environment, switch to different db
+if ( process.env.NODE_ENV === 'test' ) {
+    client.select( 15 );
+}
+
+/**
+ * Obtains the enketo ID that an alias refers to.
+ *
+ * @param  {string} alias [description]
+ * @return {Promise}       resolves with enketo ID, or rejects with a translated 404 error
+ */
+function getAlias( alias ) {
+    return new Promise( function( resolve, reject ) {
+        client.get( _getKey( _normalize( alias ) ), function( error, id ) {
+            if ( error ) {
+                reject( error );
+            } else if ( !id ) {
+                error = new TError( 'error.aliasnotfound' );
+                error.status = 404;
+                reject( error );
+            } else {
+                resolve( id );
+            }
+        } );
+    } );
+}
+
+/**
+ * Lets an alias refer to a survey. An alias that refers to another survey is moved, but only if both surveys
+ * belong to the same OpenRosa server.
+ *
+ * @param  {string} alias alias consisting of 3-64 lowercase letters, digits and hyphens
+ * @param  {string} id    enketo ID
+ * @return {Promise}       resolves with {alias: string, enketoId: string, previous: ?string}
+ */
+function setAlias( alias, id ) {
+    var error;
+
+    alias = _normalize( alias );
+
+    if ( !ALIAS_PATTERN.test( alias ) ) {
+        error = new Error( 'Invalid alias. Use 3 to 64 lowercase letters, digits and hyphens, starting with a letter or digit.' );
+        error.status = 400;
+        return Promise.reject( error );
+    }
+
+    return new Promise( function( resolve, reject ) {
+            client.get( _getKey( alias ), function( error, current ) {
+                if ( error ) {
+                    reject( error );
+                } else {
+                    resolve( current );
+                }
+            } );
+        } )
+        .then( function( current ) {
+            if ( current === id ) {
+                return current;
+            }
+            if ( current ) {
+                return _move( alias, current, id );
+            }
+            return _add( alias, id );
+        } )
+        .then( function( previous ) {
+            return {
+                alias: alias,
+                enketoId: id,
+                previous: previous && previous !== id ? previous : null
+            };
+        } );
+}
+
+/**
+ * Removes an alias.
+ *
+ * @param  {string} alias [description]
+ * @param  {string} id    enketo ID that the alias should refer to
+ * @return {Promise}       rejects with a 404 error if the alias does not refer to the survey
+ */
+function removeAlias( alias, id ) {
+    alias = _normalize( alias );
+
+    return new Promise( function( resolve, reject ) {
+        client.eval( REMOVE_SCRIPT, 2, _getKey( alias ), _getSurveyKey( id ), id, alias, function( error, removed ) {
+            if ( error ) {
+                reject( error );
+            } else if ( removed !== 1 ) {
+                error = new Error( 'Alias not found for this survey.' );
+                error.status = 404;
+                reject( error );
+            } else {
+                resolve( alias );
+            }
+        } );
+    } );
+}
+
+/**
+ * Obtains the aliases of a survey.
+ *
+ * @param  {string} id enketo ID
+ * @return {Promise}    resolves with a sorted array of aliases
+ */
+function getAliases( id ) {
+    return new Promise( function( resolve, reject ) {
+        client.smembers( _getSurveyKey( id ), function( error, aliases ) {
+            if ( error ) {
+                reject( error );
+            } else {
+                resolve( ( aliases || [] ).sort() );
+            }
+        } );
+    } );
+}
+
+/**
+ * Reserves a new alias atomically. If a simultaneous request reserved it in the meantime, the request
+ * is retried as a move.
+ */
+function _add( alias, id ) {
+    return new Promise( function( resolve, reject ) {
+            client.set( _getKey( alias ), id, 'NX', function( error, reply ) {
+                if ( error ) {
+                    reject( error );
+                } else {
+                    resolve( reply === 'OK' );
+                }
+            } );
+        } )
+        .then( function( reserved ) {
+            if ( !reserved ) {
+                return setAlias( alias, id )
+                    .then( function( result ) {
+                        return result.previous;
+                    } );
+            }
+            return new Promise( function( resolve, reject ) {
+                client.sadd( _getSurveyKey( id ), alias, function( error ) {
+                    if ( error ) {
+                        reject( error );
+                    } else {
+                        resolve( null );
+                    }
+                } );
+            } );
+        } );
+}
+
+/**
+ * Moves an alias to another survey of the same OpenRosa server. The move is done atomically (in a script), and only if
+ * the alias still refers to the same survey. Otherwise, e.g. after a simultaneous request, the request is retried.
+ */
+function _move( alias, current, id ) {
+    return new Promise( function( resolve, reject ) {
+            client.multi()
+                .hget( 'id:' + current, 'openRosaServer' )
+                .hget( 'id:' + id, 'openRosaServer' )
+                .exec( function( error, servers ) {
+                    if ( error ) {
+                        reject( error );
+                    } else if ( servers[ 0 ] && ( !servers[ 1 ] || utils.cleanUrl( servers[ 0 ] ) !== utils.cleanUrl( servers[ 1 ] ) ) ) {
+                        error = new Error( 'Alias is already in use.' );
+                        error.status = 409;
+                        reject( error );
+                    } else {
+                        client.eval( MOVE_SCRIPT, 3, _getKey( alias ), _getSurveyKey( current ), _getSurveyKey( id ), current, id, alias, function( error, moved ) {
+                            if ( error ) {
+                                reject( error );
+                            } else {
+                                resolve( moved === 1 );
+                            }
+                        } );
+                    }
+                } );
+        } )
+        .then( function( moved ) {
+            if ( !moved ) {
+                return setAlias( alias, id )
+                    .then( function( result ) {
+                        return result.previous;
+                    } );
+            }
+            return current;
+        } );
+}
+
+function _normalize( alias ) {
+    return String( alias || '' ).trim().toLowerCase();
+}
+
+function _getKey( alias ) {
+    return 'al:' + alias;
+}
+
+function _getSurveyKey( id ) {
+    return 'al:id:' + id;
+}
+
+module.exports = {
+    get: getAlias,
+    set: setAlias,
+    remove: removeAlias,
+    list: getAliases
+};
@@ -0,0 +1,165 @@
+'use strict';
+
+var Promise = require( 'lie' );
+var config = require( './config-model' ).server;
+var utils = require( '../lib/utils' );
+var client = require( 'redis' ).createClient( config.redis.main.port, config.redis.main.host, {
+    auth_pass: config.redis.main.password
+} );
+// var debug = require( 'debug' )( 'audit-model' );
+var KEY = 'audit:log';
+var DAY = 24 * 60 * 60 * 1000;
+
+// in test environment, switch to different db
+if ( process.env.NODE_ENV === 'test' ) {
+    client.select( 15 );
+}
+
+/**
+ * Adds an entry to the audit log and removes the entries that are older than the retention period.
+ * Nothing is stored if the retention period is 0. The entry is stored once and expires after the retention period.
+ * Its ID is added to the complete log, to the log of its account, of each of its surveys, and of each of its form IDs,
+ * so that filtered queries do not have to scan the complete log.
+ *
+ * @param {{account: string, key: string, method: string, endpoint: string, formId: string, instanceId: string, status: number, ip: string}} entry
+ * @return {Promise}
+ */
+function add( entry ) {
+    var now = Date.now();
+    var retention = _getRetentionDays();
+
+    if ( !retention ) {
+        return Promise.resolve();
+    }
+
+    entry.time = new Date( now ).toISOString();
+    entry.id = utils.randomString( 16 );
+
+    return new Promise( function( resolve, reject ) {
+        var multi = client.multi()
+            .set( _getEntryKey( entry.id ), JSON.stringify( entry ), 'PX', retention * DAY );
+
+        _getKeys( entry ).forEach( function( key ) {
+            multi
+                .zadd( key, now, entry.id )
+                .zremrangebyscore( key, '-inf', '(' + ( now - retention * DAY ) )
+                // the log of an account or survey that is no longer used is removed after the retention period
+                .expire( key, retention * DAY / 1000 );
+        } );
+        multi
+            .exec( function( error ) {
+                if ( error ) {
+                    reject( error );
+                } else {
+                    resolve();
+                }
+            } );
+    } );
+}
+
+/**
+ * Obtains audit log entries in reverse chronological order.
+ *
+ * @param  {{account: string=, formId: string=, from: Date=, to: Date=, offset: number=, limit: number=}} filter
+ *                          account is the linked server of an account, from is inclusive, to is exclusive,
+ *                          formId also matches an entry of a bulk call with multiple (comma-separated) form IDs
+ * @return {Promise}        resolves with array of entries
+ */
+function query( filter ) {
+    var max = filter.to ? '(' + filter.to.getTime() : '+inf';
+    var min = filter.from ? filter.from.getTime() : '-inf';
+    var args = [ _getKey( filter.account, filter.formId ), max, min ];
+
+    if ( filter.limit ) {
+        args.push( 'LIMIT', filter.offset || 0, filter.limit );
+    }
+
+    return new Promise( function( resolve, reject ) {
+        client.zrevrangebyscore( args, function( error, ids ) {
+            if ( error ) {
+                reject( error );
+            } else {
+                resolve( ids );
+            }
+        } );
+    } ).then( _getEntries );
+}
+
+/**
+ * Obtains the stored entries with the provided IDs, in the same order. Entries that expired are left out.
+ */
+function _getEntries( ids ) {
+    if ( ids.length === 0 ) {
+        return Promise.resolve( [] );
+    }
+
+    return new Promise( function( resolve, reject ) {
+        client.mget( ids.map( _getEntryKey ), function( error, values ) {
+            if ( error ) {
+                reject( error );
+                return;
+            }
+
+            resolve( values
+                .filter( function( value ) {
+                    return !!value;
+                } )
+                .map( function( value ) {
+                    return JSON.parse( value );
+                } ) );
+        } );
+    } );
+}
+
+function _getEntryKey( id ) {
+    return KEY + ':en:' + id;
+}
+
+/**
+ * Obtains the keys of the logs that an entry is added to.
+ */
+function _getKeys( entry ) {
+    var keys = [ KEY ];
+    var formIds = entry.formId ? String( entry.formId ).split( ',' ) : [];
+
+    if ( entry.account ) {
+        keys.push( _getKey( entry.account ) );
+    }
+    formIds.forEach( function( formId ) {
+        keys.push( _getKey( null, formId ) );
+        if ( entry.account ) {
+            keys.push( _getKey( entry.account, formId ) );
+        }
+    } );
+
+    return keys;
+}
+
+/**
+ * Obtains the key of the log of an account, a survey (account and form ID), a form ID or the complete log.
+ */
+function _getKey( account, formId ) {
+    var server = account ? ( utils.isValidUrl( account ) ? utils.cleanUrl( account ) : account ) : null;
+
+    if ( server && formId ) {
+        return KEY + ':sv:' + server + ':' + formId;
+    }
+    if ( server ) {
+        return KEY + ':ac:' + server;
+    }
+    if ( formId ) {
+        return KEY + ':fi:' + formId;
+    }
+
+    return KEY;
+}
+
+function _getRetentionDays() {
+    var settings = config[ 'audit log' ] || {};
+    return Number( settings[ 'retention days' ] ) || 0;
+}
+
+module.exports = {
+    add: add,
+    query: query
+};
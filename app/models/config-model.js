@@ -72,6 +72,15 @@ module.exports = {
         submissionParameter: {
             name: config[ 'query parameter to pass to submission' ]
         },
+        ballot: {
+            encoding: config.ballot.encoding,
+            include: config.ballot.include,
+            exclude: config.ballot.exclude,
+            'max qr version': config.ballot[ 'max qr version' ],
+            'error correction level': config.ballot[ 'error correction level' ],
+            // do not expose the signing key
+            signed: !!config.ballot[ 'signing key' ]
+        },
         basePath: config[ 'base path' ]
     },
     getThemesSupported: getThemesSupported
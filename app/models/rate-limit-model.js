@@ -0,0 +1,54 @@
+'use strict';
+
+var Promise = require( 'lie' );
+var config = require( './config-model' ).server;
+var client = require( 'redis' ).createClient( config.redis.main.port, config.redis.main.host, {
+    auth_pass: config.redis.main.password
+} );
+// var debug = require( 'debug' )( 'rate-limit-model' );
+
+// in test environment, switch to different db
+if ( process.env.NODE_ENV === 'test' ) {
+    client.select( 15 );
+}
+
+/**
+ * Counts a request in a fixed time window. The counters are stored in the database, so that the limit
+ * applies to all Enketo processes together.
+ *
+ * @param  {string} bucket  name of the request budget, e.g. "ip:127.0.0.1"
+ * @param  {number} limit   maximum number of requests per window
+ * @param  {number} window  window duration in seconds
+ * @return {Promise}        resolves with {limit: number, remaining: number, reset: number, allowed: boolean},
+ *                          reset is the end of the window in seconds since the epoch
+ */
+function consume( bucket, limit, window ) {
+    var now = Date.now() / 1000;
+    var start = Math.floor( now / window ) * window;
+    var key = 'rl:' + bucket + ':' + start;
+
+    return new Promise( function( resolve, reject ) {
+        client.multi()
+            .incr( key )
+            .expire( key, window )
+            .exec( function( error, replies ) {
+                var count;
+
+                if ( error ) {
+                    reject( error );
+                } else {
+                    count = Number( replies[ 0 ] );
+                    resolve( {
+                        limit: limit,
+                        remaining: Math.max( 0, limit - count ),
+                        reset: start + window,
+                        allowed: count <= limit
+                    } );
+                }
+            } );
+    } );
+}
+
+module.exports = {
+    consume: consume
+};
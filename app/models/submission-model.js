@@ -9,6 +9,9 @@ var client = require( 'redis' ).createClient( config.redis.main.port, config.red
 var path = require( 'path' );
 var debug = require( 'debug' )( 'submission-model' );
 var logger;
+// seconds
+var EDIT_SESSION_EXPIRY = 24 * 60 * 60;
+var BATCH_EXPIRY = 60 * 60;
 
 /**
  * Use a cron job and logrotate service, e.g.:
@@ -87,6 +90,84 @@ function isNew( id, instanceId ) {
         } );
 }
 
+/**
+ * Starts an edit session for a record. The session is started when the cached instance of the record
+ * is obtained by the edit view, so the record was cached for editing through the API.
+ * Edited records do not count towards the submission cap and do not use a respondent token.
+ *
+ * @param  {string} id         enketo ID
+ * @param  {string} instanceId instance ID of the record that is edited
+ * @return {Promise}
+ */
+function startEditSession( id, instanceId ) {
+    return _setMarker( 'ed:' + id.trim() + ':' + instanceId, EDIT_SESSION_EXPIRY );
+}
+
+/**
+ * Whether a record is being edited, i.e. whether a submission with this deprecatedID is an edit.
+ *
+ * @param  {string} id         enketo ID
+ * @param  {string} instanceId instance ID of the record that is edited
+ * @return {Promise}            resolves with boolean
+ */
+function isEditSession( id, instanceId ) {
+    return _hasMarker( id && instanceId ? 'ed:' + id.trim() + ':' + instanceId : null );
+}
+
+/**
+ * Ends an edit session after the edited record was submitted.
+ *
+ * @param  {string} id         enketo ID
+ * @param  {string} instanceId instance ID of the record that was edited
+ * @return {Promise}
+ */
+function endEditSession( id, instanceId ) {
+    return _removeMarker( 'ed:' + id.trim() + ':' + instanceId );
+}
+
+/**
+ * Records that a batch of a submission was accepted, so that the subsequent batches of a large submission
+ * can be recognized for a short time. Subsequent batches do not count towards the cap and do not use
+ * the respondent token again.
+ *
+ * @param  {string} id         enketo ID
+ * @param  {string} instanceId instance ID
+ * @return {Promise}
+ */
+function setBatchMarker( id, instanceId ) {
+    return _setMarker( 'bt:' + id.trim() + ':' + instanceId, BATCH_EXPIRY );
+}
+
+/**
+ * Whether a submission is a subsequent batch of a submission of which a batch was accepted recently.
+ *
+ * @param  {string} id         enketo ID
+ * @param  {string} instanceId instance ID
+ * @return {Promise}            resolves with boolean
+ */
+function hasBatchMarker( id, instanceId ) {
+    return _hasMarker( id && instanceId ? 'bt:' + id.trim() + ':' + instanceId : null );
+}
+
+/**
+ * Forgets an instanceID that was recorded by isNew(), e.g. because the submission failed after all.
+ *
+ * @param  {string} id         enketo ID
+ * @param  {string} instanceId instance ID
+ * @return {Promise}
+ */
+function remove( id, instanceId ) {
+    return new Promise( function( resolve, reject ) {
+        client.lrem( 'su:' + id.trim(), 0, instanceId, function( error ) {
+            if ( error ) {
+                reject( error );
+            } else {
+                resolve();
+            }
+        } );
+    } );
+}
+
 function add( id, instanceId, deprecatedId ) {
     if ( logger ) {
         logger.info( instanceId, {
@@ -96,6 +177,46 @@ function add( id, instanceId, deprecatedId ) {
     }
 }
 
+function _setMarker( key, expiry ) {
+    return new Promise( function( resolve, reject ) {
+        client.set( key, '1', 'EX', expiry, function( error ) {
+            if ( error ) {
+                reject( error );
+            } else {
+                resolve();
+            }
+        } );
+    } );
+}
+
+function _hasMarker( key ) {
+    if ( !key ) {
+        return Promise.resolve( false );
+    }
+
+    return new Promise( function( resolve, reject ) {
+        client.exists( key, function( error, exists ) {
+            if ( error ) {
+                reject( error );
+            } else {
+                resolve( !!exists );
+            }
+        } );
+    } );
+}
+
+function _removeMarker( key ) {
+    return new Promise( function( resolve, reject ) {
+        client.del( key, function( error ) {
+            if ( error ) {
+                reject( error );
+            } else {
+                resolve();
+            }
+        } );
+    } );
+}
+
 function _alreadyRecorded( instanceId, list ) {
     list = list || [];
     return list.indexOf( instanceId ) !== -1;
@@ -131,5 +252,11 @@ function _formatter( options, severity, date, elems ) {
 
 module.exports = {
     isNew: isNew,
+    startEditSession: startEditSession,
+    isEditSession: isEditSession,
+    endEditSession: endEditSession,
+    setBatchMarker: setBatchMarker,
+    hasBatchMarker: hasBatchMarker,
+    remove: remove,
     add: add
 };
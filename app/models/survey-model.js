@@ -7,10 +7,36 @@ var config = require( './config-model' ).server;
 var client = require( 'redis' ).createClient( config.redis.main.port, config.redis.main.host, {
     auth_pass: config.redis.main.password
 } );
-var pending = {};
 //randomized 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
 var CHARS = 'Yp8oyU0HhFQiPz9KZ1SBGvdTqCM6XDnImkbxNOVLAsEcf5uRe347Wrtlj2awgJ';
 var debug = require( 'debug' )( 'survey-model' );
+// hourly submission counts are kept for 2 days
+var HOURLY_COUNTS_TTL = 2 * 24 * 60 * 60;
+var VARIANT_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+// number of surveys that are read at once when a survey index has to be scanned
+var INDEX_BATCH_SIZE = 1000;
+// reserves the openRosaKey (KEYS[1]) or the variant (ARGV[2]) of a survey for a new enketo ID (ARGV[1]) and stores the
+// survey record (KEYS[2], fields in ARGV[4] onwards) and its launch date (ARGV[3]) in the indices (KEYS[3] onwards).
+// Returns 0 without storing anything if the openRosaKey or the variant was reserved already.
+var ADD_SCRIPT = [
+    'if ARGV[ 2 ] == "" then',
+    '    if redis.call( "setnx", KEYS[ 1 ], ARGV[ 1 ] ) == 0 then return 0 end',
+    'elseif redis.call( "hsetnx", KEYS[ 1 ], ARGV[ 2 ], ARGV[ 1 ] ) == 0 then return 0 end',
+    'redis.call( "hmset", KEYS[ 2 ], unpack( ARGV, 4 ) )',
+    'for i = 3, #KEYS do redis.call( "zadd", KEYS[ i ], ARGV[ 3 ], ARGV[ 1 ] ) end',
+    'return 1'
+].join( '\n' );
+// increments the count of submissions of a survey (KEYS[1]) if it is below the cap, or the count of a value (ARGV[1])
+// in the cap counts of a field (KEYS[2]). Returns -1 if the survey has no cap.
+var RESERVE_SCRIPT = [
+    'local cap = tonumber( redis.call( "hget", KEYS[ 1 ], "submissionCap" ) )',
+    'if not cap or cap <= 0 then return -1 end',
+    'local key, field = KEYS[ 1 ], "submissions"',
+    'if #KEYS > 1 then key, field = KEYS[ 2 ], ARGV[ 1 ] end',
+    'if redis.call( "hincrby", key, field, 1 ) <= cap then return 1 end',
+    'redis.call( "hincrby", key, field, -1 )',
+    'return 0'
+].join( '\n' );
 
 // in test environment, switch to different db
 if ( process.env.NODE_ENV === 'test' ) {
@@ -60,39 +86,25 @@ function getSurvey( id ) {
 function setSurvey( survey ) {
     // Set in db:
     // a) a record with key "id:"+ _createEnketoId(client.incr('surveys:counter')) and all survey info
-    // b) a record with key "or:"+ _createOpenRosaKey(survey.openRosaUrl, survey.openRosaId) and the enketo_id
+    // b) a record with key "or:"+ _createOpenRosaKey(survey.openRosaUrl, survey.openRosaId) and the enketo_id,
+    //    or for a variant, a field with the variant name in the hash with key "vr:"+ _createOpenRosaKey(...)
     var error;
     var openRosaKey = utils.getOpenRosaKey( survey );
 
-    return new Promise( function( resolve, reject ) {
-        if ( !openRosaKey ) {
-            error = new Error( 'Bad request. Survey information not complete or invalid' );
-            error.status = 400;
-            reject( error );
-        } else if ( pending[ openRosaKey ] ) {
-            error = new Error( 'Conflict. Busy handling pending request for same survey' );
-            error.status = 409;
-            reject( error );
-        } else {
-            // to avoid issues with fast consecutive requests
-            pending[ openRosaKey ] = true;
+    if ( !openRosaKey ) {
+        error = new Error( 'Bad request. Survey information not complete or invalid' );
+        error.status = 400;
+        return Promise.reject( error );
+    }
 
-            _getEnketoId( openRosaKey )
-                .then( function( id ) {
-                    if ( id ) {
-                        survey.active = true;
-                        delete pending[ openRosaKey ];
-                        resolve( _updateProperties( id, survey ) );
-                    } else {
-                        resolve( _addSurvey( openRosaKey, survey ) );
-                    }
-                } )
-                .catch( function( error ) {
-                    delete pending[ openRosaKey ];
-                    reject( error );
-                } );
-        }
-    } );
+    return _getSurveyId( survey )
+        .then( function( id ) {
+            if ( id ) {
+                survey.active = true;
+                return _updateProperties( id, survey );
+            }
+            return _addSurvey( openRosaKey, survey );
+        } );
 }
 
 function updateSurvey( survey ) {
@@ -105,7 +117,7 @@ function updateSurvey( survey ) {
             error.status = 400;
             reject( error );
         } else {
-            _getEnketoId( openRosaKey )
+            _getSurveyId( survey )
                 .then( function( id ) {
                     if ( id ) {
                         resolve( _updateProperties( id, survey ) );
@@ -122,6 +134,96 @@ function updateSurvey( survey ) {
     } );
 }
 
+/**
+ * Obtains the usage information of an active or inactive survey, without updating lastAccessed.
+ *
+ * @param  {{openRosaServer: string, openRosaId: string, variant: string=}} survey
+ * @return {Promise}        resolves with {enketoId, openRosaServer, openRosaId, variant, launchDate, lastAccessed, submissions, active,
+ *                          theme, openFrom, openUntil, submissionCap, capField, defaults, submissionParameter}
+ */
+function getSurveyInfo( survey ) {
+    var error;
+
+    return _getSurveyId( survey )
+        .then( function( id ) {
+            return new Promise( function( resolve, reject ) {
+                if ( !id ) {
+                    error = new Error( 'Survey not found.' );
+                    error.status = 404;
+                    reject( error );
+                    return;
+                }
+                client.hgetall( 'id:' + id, function( error, obj ) {
+                    if ( error ) {
+                        reject( error );
+                    } else if ( !obj ) {
+                        error = new Error( 'Survey not found.' );
+                        error.status = 404;
+                        reject( error );
+                    } else {
+                        resolve( _toInfo( id, obj ) );
+                    }
+                } );
+            } );
+        } );
+}
+
+/**
+ * Obtains the usage information of the variants of a survey in alphabetical order, without updating lastAccessed.
+ * Variants have their own enketo ID and settings, but share the form (and its cache) with the survey.
+ *
+ * @param  {{openRosaServer: string, openRosaId: string}} survey
+ * @return {Promise}        resolves with an array of survey information objects, see getSurveyInfo()
+ */
+function getVariants( survey ) {
+    var error;
+    var variantsKey = utils.getOpenRosaKey( survey, 'vr:' );
+
+    if ( !variantsKey ) {
+        error = new Error( 'Survey information not complete or invalid' );
+        error.status = 400;
+        return Promise.reject( error );
+    }
+
+    return new Promise( function( resolve, reject ) {
+            client.hgetall( variantsKey, function( error, variants ) {
+                if ( error ) {
+                    reject( error );
+                } else {
+                    resolve( Object.keys( variants || {} ).sort().map( function( variant ) {
+                        return variants[ variant ];
+                    } ) );
+                }
+            } );
+        } )
+        .then( _getSurveys )
+        .then( function( surveys ) {
+            return surveys.map( function( obj ) {
+                return _toInfo( obj.enketoId, obj );
+            } );
+        } );
+}
+
+function _toInfo( id, obj ) {
+    return {
+        enketoId: id,
+        openRosaServer: obj.openRosaServer,
+        openRosaId: obj.openRosaId,
+        variant: obj.variant || null,
+        launchDate: obj.launchDate || null,
+        lastAccessed: obj.lastAccessed || null,
+        submissions: Number( obj.submissions ) || 0,
+        active: obj.active !== 'false' && obj.active !== false,
+        theme: obj.theme || null,
+        openFrom: obj.openFrom || null,
+        openUntil: obj.openUntil || null,
+        submissionCap: Number( obj.submissionCap ) || null,
+        capField: obj.capField || null,
+        defaults: obj.defaults ? JSON.parse( obj.defaults ) : null,
+        submissionParameter: obj.submissionParameter || null
+    };
+}
+
 function _updateProperties( id, survey ) {
     var update = {};
 
@@ -136,129 +238,708 @@ function _updateProperties( id, survey ) {
         // always update the theme, which will delete it if the theme parameter is missing
         // avoid storing undefined as string 'undefined'
         update.theme = survey.theme || '';
+        // only update the availability window if provided, null removes it
+        if ( typeof survey.openFrom !== 'undefined' ) {
+            update.openFrom = _toDateValue( survey.openFrom );
+        }
+        if ( typeof survey.openUntil !== 'undefined' ) {
+            update.openUntil = _toDateValue( survey.openUntil );
+        }
+        // idem for the submission cap
+        if ( typeof survey.submissionCap !== 'undefined' ) {
+            update.submissionCap = survey.submissionCap || '';
+        }
+        if ( typeof survey.capField !== 'undefined' ) {
+            update.capField = survey.capField || '';
+        }
+        // idem for the stored defaults and the submission parameter of variants
+        if ( typeof survey.defaults !== 'undefined' ) {
+            update.defaults = _toDefaultsValue( survey.defaults );
+        }
+        if ( typeof survey.submissionParameter !== 'undefined' ) {
+            update.submissionParameter = survey.submissionParameter || '';
+        }
 
         client.hmset( 'id:' + id, update, function( error ) {
             if ( error ) {
                 reject( error );
             } else {
+                resolve( indexSurvey( id ) );
+            }
+        } );
+    } );
+}
+
+/**
+ * Obtains the defaults that are stored with a survey.
+ *
+ * @param  {string} id enketo ID
+ * @return {Promise}    resolves with an object with a value for each path, or null
+ */
+function getDefaults( id ) {
+    return new Promise( function( resolve, reject ) {
+        client.hget( 'id:' + id, 'defaults', function( error, defaults ) {
+            if ( error ) {
+                reject( error );
+            } else {
+                resolve( defaults ? JSON.parse( defaults ) : null );
+            }
+        } );
+    } );
+}
+
+/**
+ * Stores defaults with a survey, which replace any defaults that were stored before. The webform applies these
+ * without query parameters.
+ *
+ * @param  {string} id       enketo ID
+ * @param  {*} defaults an object with a value for each path, or null to remove the defaults
+ * @return {Promise}          resolves with the defaults
+ */
+function setDefaults( id, defaults ) {
+    return new Promise( function( resolve, reject ) {
+        client.hset( 'id:' + id, 'defaults', _toDefaultsValue( defaults ), function( error ) {
+            if ( error ) {
+                reject( error );
+            } else {
+                resolve( defaults || null );
+            }
+        } );
+    } );
+}
+
+/**
+ * Checks whether a survey is open, based on its optional openFrom (inclusive) and openUntil (exclusive) dates.
+ * Surveys without these dates and non-existing surveys are considered open.
+ *
+ * @param  {string} id       enketo ID
+ * @param  {number=} grace   number of seconds after openUntil during which the survey is still considered open for
+ *                           records that were created before openUntil
+ * @param  {Date=} created   creation time of the record, without which the grace period does not apply
+ * @return {Promise}         resolves with enketo ID, or rejects with a translated 403 error if the survey is not open
+ */
+function checkOpen( id, grace, created ) {
+    var now = Date.now();
+
+    return new Promise( function( resolve, reject ) {
+        client.hmget( 'id:' + id, 'openFrom', 'openUntil', function( error, values ) {
+            var openFrom;
+            var openUntil;
+            var graceMs;
+
+            if ( error ) {
+                reject( error );
+                return;
+            }
+
+            openFrom = values[ 0 ] ? new Date( values[ 0 ] ) : null;
+            openUntil = values[ 1 ] ? new Date( values[ 1 ] ) : null;
+            graceMs = openUntil && created && created < openUntil ? ( grace || 0 ) * 1000 : 0;
+
+            if ( openFrom && now < openFrom.getTime() ) {
+                error = new TError( 'error.surveynotyetopen', {
+                    date: openFrom.toUTCString()
+                } );
+            } else if ( openUntil && now >= openUntil.getTime() + graceMs ) {
+                error = new TError( 'error.surveyclosed', {
+                    date: openUntil.toUTCString()
+                } );
+            }
+
+            if ( error ) {
+                error.status = 403;
+                reject( error );
+            } else {
+                resolve( id );
+            }
+        } );
+    } );
+}
+
+/**
+ * Adds a survey to the survey index of its OpenRosa server and all parent paths of that server,
+ * e.g. "sv:example.org/a/b", "sv:example.org/a" and "sv:example.org", scored by launch date, and to the same indices
+ * of either active ("sa:") or inactive ("si:") surveys.
+ * This is done automatically for new and updated surveys, and by tools/index-surveys.js for existing surveys.
+ * Variants are not indexed, so they are not listed and counted as separate surveys.
+ *
+ * @param  {string} id enketo ID
+ * @return {Promise}    resolves with enketo ID
+ */
+function indexSurvey( id ) {
+    return new Promise( function( resolve, reject ) {
+        client.hmget( 'id:' + id, 'openRosaServer', 'launchDate', 'variant', 'active', function( error, values ) {
+            var multi = client.multi();
+            var score;
+            var active;
+
+            if ( error ) {
+                reject( error );
+                return;
+            }
+            if ( values[ 2 ] ) {
                 resolve( id );
+                return;
             }
+
+            score = new Date( values[ 1 ] ).getTime() || 0;
+            // currently false is stored as 'false'
+            active = values[ 3 ] !== 'false';
+            _getIndexKeys( values[ 0 ] ).concat( _getIndexKeys( values[ 0 ], active ? 'sa:' : 'si:' ) ).forEach( function( key ) {
+                multi.zadd( key, score, id );
+            } );
+            _getIndexKeys( values[ 0 ], active ? 'si:' : 'sa:' ).forEach( function( key ) {
+                multi.zrem( key, id );
+            } );
+            multi.exec( function( error ) {
+                if ( error ) {
+                    reject( error );
+                } else {
+                    resolve( id );
+                }
+            } );
         } );
     } );
 }
 
+/**
+ * Creates a new survey. This is safe for simultaneous requests for the same survey, also across processes.
+ * The openRosaKey (or the variant name) is reserved for a new enketo ID and the survey record is stored under this ID
+ * in a single step. If another request reserved it already, the request is retried as an update of the
+ * survey that was created by the other request.
+ *
+ * @param {string} openRosaKey [description]
+ * @param {*} survey      [description]
+ * @return {Promise}      resolves with enketo ID
+ */
 function _addSurvey( openRosaKey, survey ) {
     var id;
+    var launchDate = new Date();
+    var record;
 
     return new Promise( function( resolve, reject ) {
-        client.incr( 'survey:counter', function( error, iterator ) {
-            id = _createEnketoId( iterator );
-            client.multi()
-                .hmset( 'id:' + id, {
+            client.incr( 'survey:counter', function( error, iterator ) {
+                // variants are not included in the survey indices
+                var indexKeys = survey.variant ? [] : _getIndexKeys( survey.openRosaServer ).concat( _getIndexKeys( survey.openRosaServer, 'sa:' ) );
+                var args;
+
+                if ( error ) {
+                    reject( error );
+                    return;
+                }
+                id = _createEnketoId( iterator );
+                record = {
                     // explicitly set the properties that need to be saved
                     // this will avoid accidentally saving e.g. transformation results and cookies
                     openRosaServer: survey.openRosaServer,
                     openRosaId: survey.openRosaId,
                     submissions: 0,
-                    launchDate: new Date().toISOString(),
+                    launchDate: launchDate.toISOString(),
                     active: true,
                     // avoid storing string 'undefined'
-                    theme: survey.theme || ''
-                } )
-                .set( openRosaKey, id )
-                .bgsave()
-                .exec( function( error, replies ) {
-                    delete pending[ openRosaKey ];
+                    theme: survey.theme || '',
+                    openFrom: _toDateValue( survey.openFrom ),
+                    openUntil: _toDateValue( survey.openUntil ),
+                    submissionCap: survey.submissionCap || '',
+                    capField: survey.capField || '',
+                    defaults: _toDefaultsValue( survey.defaults )
+                };
+                if ( survey.variant ) {
+                    record.variant = survey.variant;
+                    record.submissionParameter = survey.submissionParameter || '';
+                }
+                args = [ ADD_SCRIPT, 2 + indexKeys.length, survey.variant ? utils.getOpenRosaKey( survey, 'vr:' ) : openRosaKey, 'id:' + id ]
+                    .concat( indexKeys, id, survey.variant || '', launchDate.getTime() );
+                Object.keys( record ).forEach( function( field ) {
+                    args.push( field, String( record[ field ] ) );
+                } );
+
+                client.eval( args, function( error, reserved ) {
                     if ( error ) {
                         reject( error );
                     } else {
-                        resolve( id );
+                        resolve( reserved === 1 );
                     }
                 } );
+            } );
+        } )
+        .then( function( reserved ) {
+            if ( !reserved ) {
+                debug( 'survey ' + openRosaKey + ' was created by a simultaneous request, retrying as update' );
+                return setSurvey( survey );
+            }
+
+            client.bgsave( function( error ) {
+                if ( error ) {
+                    // e.g. if a background save is in progress already
+                    debug( 'bgsave failed', error.message );
+                }
+            } );
+            return id;
         } );
-    } );
 }
 
-function incrSubmissions( id ) {
+/**
+ * Increments the lifetime number of submissions of a survey and the daily and hourly (UTC) submission counts
+ * of the survey and of its OpenRosa server (and each parent path of that server).
+ * If the survey has a submission cap per value of a field, the count for the value is incremented as well.
+ * If the submission was reserved with reserveSubmission(), the count that the cap applies to is not incremented again.
+ *
+ * @param  {string} id         enketo ID
+ * @param  {string=} capValue  value of the cap field in the submission
+ * @param  {boolean=} reserved whether the submission was reserved
+ * @return {Promise}    resolves with enketo ID
+ */
+function incrSubmissions( id, capValue, reserved ) {
+    var now = new Date();
+    var day = _getDay( now );
+    var hour = _getHour( now );
+
     return new Promise( function( resolve, reject ) {
-        client.multi()
-            .incr( 'submission:counter' )
-            .hincrby( 'id:' + id, 'submissions', 1 )
-            .exec( function( error, replies ) {
+        client.hmget( 'id:' + id, 'openRosaServer', 'capField', function( error, values ) {
+            var server;
+            var capField;
+            var multi;
+
+            if ( error ) {
+                reject( error );
+                return;
+            }
+
+            server = values[ 0 ];
+            capField = values[ 1 ];
+            multi = client.multi()
+                .incr( 'submission:counter' );
+
+            if ( !reserved || capField ) {
+                multi.hincrby( 'id:' + id, 'submissions', 1 );
+            }
+            if ( !reserved && capField && typeof capValue === 'string' ) {
+                multi.hincrby( _getCapCountsKey( id, capField ), capValue, 1 );
+            }
+
+            [ 'st:id:' + id ].concat( _getIndexKeys( server ).map( function( key ) {
+                return 'st:' + key;
+            } ) ).forEach( function( key ) {
+                multi
+                    .hincrby( key, day, 1 )
+                    .hincrby( key + ':' + day, hour, 1 )
+                    .expire( key + ':' + day, HOURLY_COUNTS_TTL );
+            } );
+
+            multi.exec( function( error ) {
                 if ( error ) {
                     reject( error );
                 } else {
                     resolve( id );
                 }
             } );
+        } );
     } );
 }
 
-function getNumberOfSurveys( server ) {
-    var error;
-    var cleanServerUrl;
+/**
+ * Obtains the number of submissions that a survey still accepts.
+ * Without a cap field, remaining is the total number. With a cap field, values contains the remaining number
+ * for each value of the field that was submitted before. Other values can be submitted `cap` times.
+ *
+ * @param  {string} id enketo ID
+ * @return {Promise}    resolves with {cap: ?number, field: ?string, remaining: ?number, values: ?*}
+ */
+function getRemainingSubmissions( id ) {
+    return new Promise( function( resolve, reject ) {
+        client.hmget( 'id:' + id, 'submissionCap', 'capField', 'submissions', function( error, obj ) {
+            var cap = Number( obj && obj[ 0 ] ) || null;
+            var field = obj && obj[ 1 ] || null;
+            var result = {
+                cap: cap,
+                field: field,
+                remaining: null,
+                values: null
+            };
+
+            if ( error ) {
+                reject( error );
+            } else if ( !cap ) {
+                resolve( result );
+            } else if ( !field ) {
+                result.remaining = Math.max( 0, cap - ( Number( obj[ 2 ] ) || 0 ) );
+                resolve( result );
+            } else {
+                client.hgetall( _getCapCountsKey( id, field ), function( error, counts ) {
+                    if ( error ) {
+                        reject( error );
+                        return;
+                    }
+                    result.values = {};
+                    Object.keys( counts || {} ).forEach( function( value ) {
+                        result.values[ value ] = Math.max( 0, cap - Number( counts[ value ] ) );
+                    } );
+                    resolve( result );
+                } );
+            }
+        } );
+    } );
+}
+
+/**
+ * Checks whether a survey accepts another submission.
+ *
+ * @param  {string} id       enketo ID
+ * @param  {string=} capValue value of the cap field in the submission
+ * @return {Promise}          resolves with enketo ID, or rejects with a translated 403 error if the cap was reached
+ */
+function checkCap( id, capValue ) {
+    return getRemainingSubmissions( id )
+        .then( function( result ) {
+            var error;
+
+            if ( result.remaining === 0 ) {
+                error = new TError( 'error.submissioncapreached' );
+            } else if ( result.values && result.values[ capValue || '' ] === 0 ) {
+                error = new TError( 'error.submissioncapreachedfor', {
+                    field: result.field,
+                    value: capValue || ''
+                } );
+            }
+
+            if ( error ) {
+                error.status = 403;
+                throw error;
+            }
+
+            return id;
+        } );
+}
+
+/**
+ * Reserves a submission below the submission cap of a survey, by incrementing the count that the cap applies to
+ * in a single step. Use releaseSubmission() if the submission fails and incrementSubmissions() with `reserved`
+ * if it succeeds.
+ *
+ * @param  {string} id       enketo ID
+ * @param  {string=} capField nodeName of the field that the cap applies to per value
+ * @param  {string=} capValue value of the cap field in the submission
+ * @return {Promise}          resolves with false if the survey has no cap or with true if the submission was reserved,
+ *                            or rejects with a translated 403 error if the cap was reached
+ */
+function reserveSubmission( id, capField, capValue ) {
+    var keys = [ 'id:' + id ];
+
+    if ( capField ) {
+        keys.push( _getCapCountsKey( id, capField ) );
+    }
 
     return new Promise( function( resolve, reject ) {
-        cleanServerUrl = ( server === '' ) ? '' : utils.cleanUrl( server );
-        if ( !cleanServerUrl && cleanServerUrl !== '' ) {
-            error = new Error( 'Survey information not complete or invalid' );
-            error.status = 400;
-            reject( error );
+        client.eval( [ RESERVE_SCRIPT, keys.length ].concat( keys, capValue || '' ), function( error, result ) {
+            if ( error ) {
+                reject( error );
+            } else if ( result === 0 ) {
+                error = capField ? new TError( 'error.submissioncapreachedfor', {
+                    field: capField,
+                    value: capValue || ''
+                } ) : new TError( 'error.submissioncapreached' );
+                error.status = 403;
+                reject( error );
+            } else {
+                resolve( result === 1 );
+            }
+        } );
+    } );
+}
+
+/**
+ * Releases a submission that was reserved with reserveSubmission().
+ *
+ * @param  {string} id       enketo ID
+ * @param  {string=} capField nodeName of the field that the cap applies to per value
+ * @param  {string=} capValue value of the cap field in the submission
+ * @return {Promise}          resolves with enketo ID
+ */
+function releaseSubmission( id, capField, capValue ) {
+    return new Promise( function( resolve, reject ) {
+        var callback = function( error ) {
+            if ( error ) {
+                reject( error );
+            } else {
+                resolve( id );
+            }
+        };
+
+        if ( capField ) {
+            client.hincrby( _getCapCountsKey( id, capField ), capValue || '', -1, callback );
         } else {
-            client.keys( 'or:' + cleanServerUrl + '[/,]*', function( err, keys ) {
-                if ( error ) {
-                    reject( error );
-                } else if ( keys ) {
-                    _getActiveSurveys( keys )
-                        .then( function( surveys ) {
-                            resolve( surveys.length );
-                        } )
-                        .catch( reject );
-                } else {
-                    debug( 'no replies when obtaining list of surveys' );
-                    reject( 'no surveys' );
-                }
-            } );
+            client.hincrby( 'id:' + id, 'submissions', -1, callback );
         }
     } );
 }
 
-function getListOfSurveys( server ) {
+/**
+ * Obtains the submission counts of a survey or of all surveys of an OpenRosa server (including sub-paths),
+ * per day for a date range, or per hour for the current (UTC) day.
+ *
+ * @param  {{enketoId: string, server: string, interval: string, from: Date, to: Date}} options
+ *                          Either enketoId or server is required. Interval is 'day' (default) or 'hour'.
+ *                          From and to are inclusive and only used for daily counts.
+ * @return {Promise}        resolves with an array of {period: string, submissions: number} objects
+ */
+function getSubmissionCounts( options ) {
     var error;
-    var list;
-    var cleanServerUrl;
+    var key;
+    var periods = [];
+    var fields = [];
+    var day;
+    var date;
+
+    if ( options.enketoId ) {
+        key = 'st:id:' + options.enketoId;
+    } else if ( options.server ) {
+        key = 'st:sv:' + utils.cleanUrl( options.server );
+    } else {
+        error = new Error( 'Bad request. Enketo ID or server URL required.' );
+        error.status = 400;
+        return Promise.reject( error );
+    }
+
+    if ( options.interval === 'hour' ) {
+        day = _getDay( new Date() );
+        key += ':' + day;
+        for ( var i = 0; i < 24; i++ ) {
+            fields.push( ( '0' + i ).slice( -2 ) );
+            periods.push( day + 'T' + fields[ i ] + ':00Z' );
+        }
+    } else {
+        date = new Date( _getDay( options.from ) );
+        while ( date <= options.to ) {
+            fields.push( _getDay( date ) );
+            date.setUTCDate( date.getUTCDate() + 1 );
+        }
+        periods = fields;
+    }
+
+    if ( fields.length === 0 ) {
+        return Promise.resolve( [] );
+    }
 
     return new Promise( function( resolve, reject ) {
-        cleanServerUrl = ( server === '' ) ? '' : utils.cleanUrl( server );
-        if ( !cleanServerUrl && cleanServerUrl !== '' ) {
-            error = new Error( 'Survey information not complete or invalid' );
-            error.status = 400;
-            reject( error );
-        } else {
-            client.keys( 'or:' + cleanServerUrl + '[/,]*', function( err, keys ) {
-                if ( error ) {
-                    reject( error );
-                } else if ( keys ) {
-                    _getActiveSurveys( keys )
-                        .then( function( surveys ) {
-                            surveys.sort( _ascendingLaunchDate );
-                            list = surveys.map( function( survey ) {
-                                return {
-                                    openRosaServer: survey.openRosaServer,
-                                    openRosaId: survey.openRosaId,
-                                    enketoId: survey.enketoId
-                                };
-                            } );
+        client.hmget( key, fields, function( error, counts ) {
+            if ( error ) {
+                reject( error );
+            } else {
+                resolve( periods.map( function( period, index ) {
+                    return {
+                        period: period,
+                        submissions: Number( counts[ index ] ) || 0
+                    };
+                } ) );
+            }
+        } );
+    } );
+}
 
-                            resolve( list );
-                        } )
-                        .catch( reject );
-                } else {
-                    debug( 'no replies when obtaining list of surveys' );
-                    reject( 'no surveys' );
-                }
+/**
+ * Obtains the number of surveys of an OpenRosa server (including sub-paths).
+ *
+ * @param  {string} server OpenRosa server URL
+ * @param  {*=} filter optional filter, see getListOfSurveys(). By default only active surveys are counted.
+ * @return {Promise}        resolves with the number of surveys
+ */
+function getNumberOfSurveys( server, filter ) {
+    filter = filter || {};
+
+    if ( filter.formIdPrefix ) {
+        return _scanIndex( server, filter )
+            .then( function( page ) {
+                return page.total;
             } );
-        }
+    }
+
+    return _getIndexQuery( server, filter )
+        .then( _countIndex );
+}
+
+/**
+ * Obtains a list of surveys of an OpenRosa server (including sub-paths) in ascending launch date order.
+ *
+ * @param  {string} server  OpenRosa server URL
+ * @param  {*=} options filter and pagination options, see getPageOfSurveys()
+ * @return {Promise}        resolves with a list of {openRosaServer, openRosaId, enketoId} objects
+ */
+function getListOfSurveys( server, options ) {
+    return getPageOfSurveys( server, options )
+        .then( function( page ) {
+            return page.surveys;
+        } );
+}
+
+/**
+ * Obtains a page of the list of surveys of an OpenRosa server (including sub-paths) in ascending launch date order,
+ * with the total number of surveys that match the filter.
+ *
+ * The page is read from the survey index with LIMIT. Only the formIdPrefix filter requires scanning the index in batches,
+ * because the index does not contain form IDs.
+ *
+ * @param  {string} server  OpenRosa server URL
+ * @param  {{active: ?boolean, launchedAfter: Date, launchedBefore: Date, formIdPrefix: string, offset: number, limit: number}=} options
+ *                          Filter and pagination options. By default only active surveys are included. Use active: null to
+ *                          include both active and inactive surveys.
+ * @return {Promise}        resolves with {total: number, surveys: Array<{openRosaServer, openRosaId, enketoId}>}
+ */
+function getPageOfSurveys( server, options ) {
+    var page;
+
+    options = options || {};
+
+    if ( options.formIdPrefix ) {
+        page = _scanIndex( server, options );
+    } else {
+        page = _getIndexQuery( server, options )
+            .then( function( query ) {
+                return Promise.all( [
+                    _countIndex( query ),
+                    _getIndexRange( query, options.offset || 0, options.limit || -1 ).then( _getSurveys )
+                ] );
+            } )
+            .then( function( results ) {
+                return {
+                    total: results[ 0 ],
+                    surveys: results[ 1 ]
+                };
+            } );
+    }
+
+    return page
+        .then( function( page ) {
+            return {
+                total: page.total,
+                surveys: page.surveys.map( function( survey ) {
+                    return {
+                        openRosaServer: survey.openRosaServer,
+                        openRosaId: survey.openRosaId,
+                        enketoId: survey.enketoId
+                    };
+                } )
+            };
+        } );
+}
+
+/**
+ * Determines which survey index and which launch date range (scores) to query for a filter.
+ *
+ * @param  {string} server OpenRosa server URL
+ * @param  {*} filter filter, see getPageOfSurveys()
+ * @return {Promise}        resolves with {key: string, min: *, max: *}
+ */
+function _getIndexQuery( server, filter ) {
+    var error;
+    var cleanServerUrl = ( server === '' ) ? '' : utils.cleanUrl( server );
+    var prefix;
+
+    if ( !cleanServerUrl && cleanServerUrl !== '' ) {
+        error = new Error( 'Survey information not complete or invalid' );
+        error.status = 400;
+        return Promise.reject( error );
+    }
+
+    if ( filter.active === null ) {
+        prefix = 'sv:';
+    } else {
+        prefix = filter.active === false ? 'si:' : 'sa:';
+    }
+
+    return Promise.resolve( {
+        key: prefix + cleanServerUrl,
+        min: filter.launchedAfter ? filter.launchedAfter.getTime() : '-inf',
+        // exclusive
+        max: filter.launchedBefore ? '(' + filter.launchedBefore.getTime() : '+inf'
+    } );
+}
+
+function _countIndex( query ) {
+    return new Promise( function( resolve, reject ) {
+        client.zcount( query.key, query.min, query.max, function( error, count ) {
+            if ( error ) {
+                reject( error );
+            } else {
+                resolve( count );
+            }
+        } );
+    } );
+}
+
+/**
+ * Obtains enketo IDs from a survey index in ascending launch date order.
+ *
+ * @param  {{key: string, min: *, max: *}} query see _getIndexQuery()
+ * @param  {number} offset number of IDs to skip
+ * @param  {number} count  maximum number of IDs, or -1 for all
+ * @return {Promise}        resolves with array of enketo IDs
+ */
+function _getIndexRange( query, offset, count ) {
+    return new Promise( function( resolve, reject ) {
+        client.zrangebyscore( query.key, query.min, query.max, 'LIMIT', offset, count, function( error, ids ) {
+            if ( error ) {
+                reject( error );
+            } else {
+                resolve( ids );
+            }
+        } );
+    } );
+}
+
+/**
+ * Reads a survey index in batches to obtain a page of the surveys with a form ID prefix, and their total number.
+ *
+ * @param  {string} server OpenRosa server URL
+ * @param  {*} filter filter and pagination options, see getPageOfSurveys()
+ * @return {Promise}        resolves with {total: number, surveys: Array<*>}
+ */
+function _scanIndex( server, filter ) {
+    var offset = filter.offset || 0;
+    var end = filter.limit ? offset + filter.limit : Infinity;
+    var total = 0;
+    var surveys = [];
+
+    return _getIndexQuery( server, filter )
+        .then( function( query ) {
+            return ( function scan( start ) {
+                return _getIndexRange( query, start, INDEX_BATCH_SIZE )
+                    .then( function( ids ) {
+                        return _getSurveys( ids )
+                            .then( function( batch ) {
+                                batch.forEach( function( survey ) {
+                                    if ( survey.openRosaId.indexOf( filter.formIdPrefix ) !== 0 ) {
+                                        return;
+                                    }
+                                    if ( total >= offset && total < end ) {
+                                        surveys.push( survey );
+                                    }
+                                    total++;
+                                } );
+
+                                return ids.length < INDEX_BATCH_SIZE ? {
+                                    total: total,
+                                    surveys: surveys
+                                } : scan( start + INDEX_BATCH_SIZE );
+                            } );
+                    } );
+            } )( 0 );
+        } );
+}
+
+/**
+ * Obtains the keys of the survey indices that a survey of an OpenRosa server belongs to.
+ *
+ * @param  {string} server OpenRosa server URL
+ * @param  {string=} prefix 'sv:' for the indices of all surveys (default), 'sa:' for active or 'si:' for inactive surveys
+ * @return {Array<string>}        index keys
+ */
+function _getIndexKeys( server, prefix ) {
+    var cleanServerUrl = server ? utils.cleanUrl( server ) : '';
+    var steps = typeof cleanServerUrl === 'string' && cleanServerUrl ? cleanServerUrl.split( '/' ) : [];
+
+    return steps.map( function( step, index ) {
+        return ( prefix || 'sv:' ) + steps.slice( 0, index + 1 ).join( '/' );
     } );
 }
 
@@ -289,30 +970,74 @@ function _getEnketoId( openRosaKey ) {
     } );
 }
 
-function getEnketoIdFromSurveyObject( survey ) {
-    var openRosaKey = utils.getOpenRosaKey( survey );
+/**
+ * Obtains the enketo ID of a survey, or of one of its variants if survey.variant is provided.
+ *
+ * @param  {{openRosaServer: string, openRosaId: string, variant: string=}} survey
+ * @return {Promise}        resolves with enketo ID, or null if the survey (variant) does not exist
+ */
+function _getSurveyId( survey ) {
+    var error;
+
+    if ( typeof survey.variant === 'undefined' || survey.variant === null ) {
+        return _getEnketoId( utils.getOpenRosaKey( survey ) );
+    }
+
+    if ( !VARIANT_PATTERN.test( survey.variant ) ) {
+        error = new Error( 'Invalid variant. Use 1 to 64 lowercase letters, digits and hyphens, starting with a letter or digit.' );
+        error.status = 400;
+        return Promise.reject( error );
+    }
 
-    return _getEnketoId( openRosaKey );
+    return new Promise( function( resolve, reject ) {
+        var variantsKey = utils.getOpenRosaKey( survey, 'vr:' );
+
+        if ( !variantsKey ) {
+            error = new Error( 'Survey information not complete or invalid' );
+            error.status = 400;
+            reject( error );
+            return;
+        }
+        client.hget( variantsKey, survey.variant, function( error, id ) {
+            if ( error ) {
+                reject( error );
+            } else {
+                resolve( id || null );
+            }
+        } );
+    } );
 }
 
-function _getActiveSurveys( openRosaIds ) {
-    var tasks = openRosaIds.map( function( openRosaId ) {
-        return _getEnketoId( openRosaId );
+function getEnketoIdFromSurveyObject( survey ) {
+    return _getSurveyId( survey );
+}
+
+/**
+ * Obtains the survey properties for a list of enketo IDs in the same order, without updating lastAccessed.
+ *
+ * @param  {Array<string>} ids enketo IDs
+ * @return {Promise}              resolves with array of surveys (active and inactive)
+ */
+function _getSurveys( ids ) {
+    var multi = client.multi();
+
+    ids.forEach( function( id ) {
+        multi.hgetall( 'id:' + id );
     } );
 
-    return Promise.all( tasks )
-        .then( function( ids ) {
-            return ids.map( function( id ) {
-                // getSurvey rejects with 404 status if survey is not active
-                return getSurvey( id ).catch( _404Empty );
-            } );
-        } )
-        .then( function( tasks ) {
-            return Promise.all( tasks );
-        } )
-        .then( function( surveys ) {
-            return surveys.filter( _nonEmpty );
+    return new Promise( function( resolve, reject ) {
+        multi.exec( function( error, surveys ) {
+            if ( error ) {
+                reject( error );
+            } else {
+                resolve( surveys.map( function( survey, index ) {
+                    survey = survey || {};
+                    survey.enketoId = ids[ index ];
+                    return survey;
+                } ).filter( _nonEmpty ) );
+            }
         } );
+    } );
 }
 
 function _createEnketoId( iterator ) {
@@ -332,29 +1057,52 @@ function _num_to_base62( n ) {
     }
 }
 
-function _ascendingLaunchDate( a, b ) {
-    return new Date( a.launchDate ) - new Date( b.launchDate );
+function _getDay( date ) {
+    return date.toISOString().substring( 0, 10 );
 }
 
-function _nonEmpty( survey ) {
-    return !!survey.openRosaId;
+function _getHour( date ) {
+    return date.toISOString().substring( 11, 13 );
 }
 
-function _404Empty( error ) {
-    if ( error && error.status && error.status === 404 ) {
-        return {};
-    } else {
-        throw error;
-    }
+// separate counts per field, so that changing the cap field starts counting afresh
+function _getCapCountsKey( id, field ) {
+    return 'cp:' + id + ':' + field;
+}
+
+// avoid storing string 'undefined' or 'null'
+function _toDateValue( date ) {
+    return date ? new Date( date ).toISOString() : '';
+}
+
+// avoid storing string 'undefined' or 'null'
+function _toDefaultsValue( defaults ) {
+    return defaults ? JSON.stringify( defaults ) : '';
+}
+
+function _nonEmpty( survey ) {
+    return !!survey.openRosaId;
 }
 
 module.exports = {
     get: getSurvey,
     set: setSurvey,
     update: updateSurvey,
+    getInfo: getSurveyInfo,
+    getVariants: getVariants,
+    checkOpen: checkOpen,
+    getDefaults: getDefaults,
+    setDefaults: setDefaults,
     getId: getEnketoIdFromSurveyObject,
     getNumber: getNumberOfSurveys,
     getList: getListOfSurveys,
+    getPage: getPageOfSurveys,
+    index: indexSurvey,
     incrementSubmissions: incrSubmissions,
+    getRemainingSubmissions: getRemainingSubmissions,
+    checkCap: checkCap,
+    reserveSubmission: reserveSubmission,
+    releaseSubmission: releaseSubmission,
+    getSubmissionCounts: getSubmissionCounts,
     createEnketoId: _createEnketoId
 };
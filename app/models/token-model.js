@@ -0,0 +1,298 @@
+'use strict';
+
+var crypto = require( 'crypto' );
+var Promise = require( 'lie' );
+var config = require( './config-model' ).server;
+var TError = require( '../lib/custom-error' ).TranslatedError;
+var utils = require( '../lib/utils' );
+var client = require( 'redis' ).createClient( config.redis.main.port, config.redis.main.host, {
+    auth_pass: config.redis.main.password
+} );
+// var debug = require( 'debug' )( 'token-model' );
+var TOKEN_ID_LENGTH = 12;
+var SIGNATURE_LENGTH = 12;
+
+// in test environment, switch to different db
+if ( process.env.NODE_ENV === 'test' ) {
+    client.select( 15 );
+}
+
+/**
+ * Generates respondent tokens for a survey. Once a survey has tokens, it only accepts submissions with a token.
+ *
+ * @param  {string} id       enketo ID
+ * @param  {{count: number=, uses: number=, prefills: Array<*>=}} options
+ *                           Either the number of tokens (count) or a prefill (defaults) object for each token.
+ *                           Uses is the number of submissions allowed per token (default 1).
+ * @return {Promise}          resolves with an array of {token: string, uses: number, defaults: *}
+ */
+function createTokens( id, options ) {
+    var uses = options.uses || 1;
+    var prefills = options.prefills || [];
+    var count = options.prefills ? prefills.length : options.count;
+    var created = new Date().toISOString();
+    var tokens = [];
+    var records = {};
+    var tokenId;
+
+    for ( var i = 0; i < count; i++ ) {
+        tokenId = utils.randomString( TOKEN_ID_LENGTH );
+        records[ tokenId ] = JSON.stringify( {
+            uses: uses,
+            defaults: prefills[ i ] || null,
+            created: created
+        } );
+        tokens.push( {
+            token: tokenId + '.' + _getSignature( id, tokenId ),
+            uses: uses,
+            defaults: prefills[ i ] || null
+        } );
+    }
+
+    return new Promise( function( resolve, reject ) {
+        client.multi()
+            .hmset( _getKey( id ), records )
+            .hset( 'id:' + id, 'requireToken', 'true' )
+            .exec( function( error ) {
+                if ( error ) {
+                    reject( error );
+                } else {
+                    resolve( tokens );
+                }
+            } );
+    } );
+}
+
+/**
+ * Revokes all tokens of a survey, after which the survey accepts submissions without a token again.
+ *
+ * @param  {string} id enketo ID
+ * @return {Promise}
+ */
+function removeTokens( id ) {
+    return new Promise( function( resolve, reject ) {
+        client.multi()
+            .del( _getKey( id ), _getUsedKey( id ) )
+            .hdel( 'id:' + id, 'requireToken' )
+            .exec( function( error ) {
+                if ( error ) {
+                    reject( error );
+                } else {
+                    resolve( id );
+                }
+            } );
+    } );
+}
+
+/**
+ * Whether a survey only accepts submissions with a token.
+ *
+ * @param  {string} id enketo ID
+ * @return {Promise}    resolves with boolean
+ */
+function isRequired( id ) {
+    return new Promise( function( resolve, reject ) {
+        client.hget( 'id:' + id, 'requireToken', function( error, value ) {
+            if ( error ) {
+                reject( error );
+            } else {
+                resolve( value === 'true' );
+            }
+        } );
+    } );
+}
+
+/**
+ * Checks whether a token can still be used.
+ *
+ * @param  {string} id    enketo ID
+ * @param  {string} token [description]
+ * @return {Promise}       resolves with {uses: number, used: number, defaults: *}, or rejects with a translated
+ *                         403 error if the token is missing or invalid, or a 410 error if it was used up
+ */
+function checkToken( id, token ) {
+    return _getToken( id, token )
+        .then( function( record ) {
+            if ( record.used >= record.uses ) {
+                throw _getUsedError();
+            }
+            return record;
+        } );
+}
+
+/**
+ * Uses a token for a submission. This is safe for simultaneous submissions with the same token.
+ *
+ * @param  {string} id    enketo ID
+ * @param  {string} token [description]
+ * @return {Promise}       see checkToken()
+ */
+function consumeToken( id, token ) {
+    return _getToken( id, token )
+        .then( function( record ) {
+            return new Promise( function( resolve, reject ) {
+                client.hincrby( _getUsedKey( id ), _getTokenId( token ), 1, function( error, used ) {
+                    if ( error ) {
+                        reject( error );
+                    } else if ( used > record.uses ) {
+                        client.hincrby( _getUsedKey( id ), _getTokenId( token ), -1 );
+                        reject( _getUsedError() );
+                    } else {
+                        record.used = used;
+                        resolve( record );
+                    }
+                } );
+            } );
+        } );
+}
+
+/**
+ * Undoes the use of a token, e.g. because the submission failed after all.
+ *
+ * @param  {string} id    enketo ID
+ * @param  {string} token [description]
+ * @return {Promise}
+ */
+function releaseToken( id, token ) {
+    return new Promise( function( resolve, reject ) {
+        client.hincrby( _getUsedKey( id ), _getTokenId( token ), -1, function( error ) {
+            if ( error ) {
+                reject( error );
+            } else {
+                resolve();
+            }
+        } );
+    } );
+}
+
+/**
+ * Obtains the defaults that are bound to a token, also if the token was used up.
+ *
+ * @param  {string} id    enketo ID
+ * @param  {string} token [description]
+ * @return {Promise}       resolves with an object with a value for each path, or null
+ */
+function getTokenDefaults( id, token ) {
+    return _getToken( id, token )
+        .then( function( record ) {
+            return record.defaults || null;
+        } );
+}
+
+/**
+ * Binds defaults to a token, which replace any defaults that were bound to it before.
+ *
+ * @param  {string} id       enketo ID
+ * @param  {string} token    [description]
+ * @param  {*} defaults an object with a value for each path, or null to remove the defaults
+ * @return {Promise}          resolves with the defaults
+ */
+function setTokenDefaults( id, token, defaults ) {
+    return _getToken( id, token )
+        .then( function() {
+            var tokenId = _getTokenId( token );
+
+            return new Promise( function( resolve, reject ) {
+                client.hget( _getKey( id ), tokenId, function( error, value ) {
+                    var record;
+
+                    if ( error ) {
+                        reject( error );
+                        return;
+                    }
+                    record = JSON.parse( value );
+                    record.defaults = defaults || null;
+                    client.hset( _getKey( id ), tokenId, JSON.stringify( record ), function( error ) {
+                        if ( error ) {
+                            reject( error );
+                        } else {
+                            resolve( record.defaults );
+                        }
+                    } );
+                } );
+            } );
+        } );
+}
+
+function _getToken( id, token ) {
+    var error;
+    var tokenId = _getTokenId( token );
+
+    if ( !token || typeof token !== 'string' ) {
+        error = new TError( 'error.tokenrequired' );
+        error.status = 403;
+        return Promise.reject( error );
+    }
+
+    return new Promise( function( resolve, reject ) {
+        if ( !tokenId || !utils.equals( token.substring( tokenId.length + 1 ), _getSignature( id, tokenId ) ) ) {
+            reject( _getInvalidError() );
+            return;
+        }
+        client.multi()
+            .hget( _getKey( id ), tokenId )
+            .hget( _getUsedKey( id ), tokenId )
+            .exec( function( error, replies ) {
+                var record;
+
+                if ( error ) {
+                    reject( error );
+                } else if ( !replies[ 0 ] ) {
+                    reject( _getInvalidError() );
+                } else {
+                    record = JSON.parse( replies[ 0 ] );
+                    resolve( {
+                        uses: record.uses,
+                        used: Number( replies[ 1 ] ) || 0,
+                        defaults: record.defaults
+                    } );
+                }
+            } );
+    } );
+}
+
+function _getTokenId( token ) {
+    var parts = String( token || '' ).split( '.' );
+    return parts.length === 2 && parts[ 0 ].length === TOKEN_ID_LENGTH ? parts[ 0 ] : null;
+}
+
+/**
+ * Tokens are signed, so that guessed tokens are rejected without a database lookup.
+ */
+function _getSignature( id, tokenId ) {
+    return crypto.createHmac( 'sha256', config[ 'encryption key' ] )
+        .update( id + ':' + tokenId )
+        .digest( 'hex' )
+        .substring( 0, SIGNATURE_LENGTH );
+}
+
+function _getInvalidError() {
+    var error = new TError( 'error.tokeninvalid' );
+    error.status = 403;
+    return error;
+}
+
+function _getUsedError() {
+    var error = new TError( 'error.tokenused' );
+    error.status = 410;
+    return error;
+}
+
+function _getKey( id ) {
+    return 'tk:' + id;
+}
+
+function _getUsedKey( id ) {
+    return 'tk:' + id + ':used';
+}
+
+module.exports = {
+    create: createTokens,
+    remove: removeTokens,
+    isRequired: isRequired,
+    check: checkToken,
+    consume: consumeToken,
+    release: releaseToken,
+    getDefaults: getTokenDefaults,
+    setDefaults: setTokenDefaults
+};
@@ -37,7 +37,9 @@ if ( settings.offline ) {
         .then( formCache.init )
         .then( _addBranding )
         .then( _swapTheme )
+        .then( _checkReturnUrl )
         .then( _init )
+        .then( _checkAvailability )
         .then( formCache.updateMaxSubmissionSize )
         .then( formCache.updateMedia )
         .then( function( s ) {
@@ -46,6 +48,8 @@ if ( settings.offline ) {
             _setAppCacheEventHandlers();
             appCache.init();
         } )
+        .then( connection.getRemainingSubmissions )
+        .then( _showRemainingSubmissions )
         .catch( _showErrorOrAuthenticate );
 } else {
     console.log( 'App in online-only mode.' );
@@ -54,9 +58,12 @@ if ( settings.offline ) {
         .then( translator.init )
         .then( _addBranding )
         .then( _swapTheme )
+        .then( _checkReturnUrl )
         .then( _init )
         .then( connection.getMaximumSubmissionSize )
         .then( _updateMaxSizeSetting )
+        .then( connection.getRemainingSubmissions )
+        .then( _showRemainingSubmissions )
         .catch( _showErrorOrAuthenticate );
 }
 
@@ -67,6 +74,94 @@ function _updateMaxSizeSetting( maxSize ) {
     }
 }
 
+/**
+ * Warns the user if the submission cap of the form has been reached, for all records or for some values of a question.
+ *
+ * @param  {{cap: ?number, field: ?string, remaining: ?number, values: ?*}} result [description]
+ */
+function _showRemainingSubmissions( result ) {
+    var full;
+
+    if ( !result || !result.cap ) {
+        return;
+    }
+
+    if ( result.remaining === 0 ) {
+        gui.alert( t( 'alert.submissioncapreached.msg' ), t( 'alert.submissioncapreached.heading' ) );
+    } else if ( result.values ) {
+        full = Object.keys( result.values ).filter( function( value ) {
+            return result.values[ value ] === 0;
+        } );
+        if ( full.length ) {
+            gui.alert( t( 'alert.submissioncapreached.valuesmsg', {
+                field: result.field,
+                values: full.join( ', ' )
+            } ), t( 'alert.submissioncapreached.heading' ), 'warning' );
+        }
+    }
+}
+
+/**
+ * Drops the return URL, with a warning, if it is not an http(s) URL or if its origin is not one of the allowed
+ * return URL origins of the account.
+ *
+ * @param  {*} formParts [description]
+ * @return {*}           formParts
+ */
+function _checkReturnUrl( formParts ) {
+    var origins = formParts.returnUrlOrigins || [];
+    var origin;
+
+    if ( !settings.returnUrl ) {
+        return formParts;
+    }
+
+    try {
+        origin = utils.getOrigin( decodeURIComponent( settings.returnUrl ) );
+    } catch ( e ) {
+        // malformed URI
+        origin = null;
+    }
+
+    if ( !origin || ( origins.length && origins.indexOf( origin ) === -1 ) ) {
+        delete settings.returnUrl;
+        gui.alert( t( 'alert.returnurlremoved.msg' ), t( 'alert.returnurlremoved.heading' ), 'warning' );
+    }
+
+    return formParts;
+}
+
+/**
+ * Hides the form of an offline-capable webform if the survey is not open (the server cannot check this for offline views),
+ * but keeps the queue of records, so that records created before the survey closed can still be uploaded.
+ *
+ * @param  {*} formParts [description]
+ * @return {*}           formParts
+ */
+function _checkAvailability( formParts ) {
+    var now = new Date();
+    var openFrom = formParts.openFrom ? new Date( formParts.openFrom ) : null;
+    var openUntil = formParts.openUntil ? new Date( formParts.openUntil ) : null;
+    var msg;
+
+    if ( openFrom && now < openFrom ) {
+        msg = t( 'error.surveynotyetopen', {
+            date: openFrom.toUTCString()
+        } );
+    } else if ( openUntil && now >= openUntil ) {
+        msg = t( 'error.surveyclosed', {
+            date: openUntil.toUTCString()
+        } );
+    }
+
+    if ( msg ) {
+        formParts.$form.add( $buttons ).addClass( 'hide' );
+        gui.alert( msg, t( 'alert.loaderror.heading' ) );
+    }
+
+    return formParts;
+}
+
 function _showErrorOrAuthenticate( error ) {
     error = ( typeof error === 'string' ) ? new Error( error ) : error;
     console.error( error, error.stack );
@@ -157,6 +252,27 @@ function _swapTheme( survey ) {
     } );
 }
 
+/**
+ * Combines the defaults from the query string with the defaults that are stored on the server.
+ * The latter cannot be changed by the respondent and take precedence.
+ *
+ * @param  {*} formParts [description]
+ * @return {*}           an object with a value for each path
+ */
+function _getDefaults( formParts ) {
+    var defaults = {};
+
+    [ settings.defaults, formParts.defaults ].forEach( function( obj ) {
+        for ( var path in obj ) {
+            if ( obj.hasOwnProperty( path ) ) {
+                defaults[ path ] = obj[ path ];
+            }
+        }
+    } );
+
+    return defaults;
+}
+
 function _prepareInstance( modelStr, defaults ) {
     var model;
     var init;
@@ -195,7 +311,7 @@ function _init( formParts ) {
                 // controller.init is asynchronous
                 controller.init( 'form.or:eq(0)', {
                     modelStr: formParts.model,
-                    instanceStr: _prepareInstance( formParts.model, settings.defaults ),
+                    instanceStr: _prepareInstance( formParts.model, _getDefaults( formParts ) ),
                     external: formParts.externalData
                 } ).then( function() {
                     $form.add( $buttons ).removeClass( 'hide' );
@@ -0,0 +1,241 @@
+/**
+ * Renders ballots as one or more QR codes and shows them in a page-through dialog or a printable sheet.
+ */
+
+'use strict';
+
+var qrcode = require( 'qrcode-generator' );
+var config = require( 'enketo-config' );
+var ballot = require( './ballot' );
+var gui = require( './gui' );
+var t = require( './translator' ).t;
+var $ = require( 'jquery' );
+
+var ballotConfig = config.ballot || {};
+var MAX_VERSION = Math.min( Math.max( Number( ballotConfig[ 'max qr version' ] ) || 20, 1 ), 40 );
+var LEVEL = /^[LMQH]$/.test( ballotConfig[ 'error correction level' ] ) ? ballotConfig[ 'error correction level' ] : 'M';
+var CELL_SIZE = 4;
+var capacities = {};
+
+/**
+ * Finds the maximum number of characters that fit in a QR code of a particular version and error correction level.
+ *
+ * @param  {number} version QR version (1-40)
+ * @param  {string} level   error correction level ('L', 'M', 'Q', 'H')
+ * @return {number}
+ */
+function getCapacity( version, level ) {
+    var key = version + level;
+    var min = 0;
+    var max = 3000;
+    var mid;
+
+    if ( !capacities[ key ] ) {
+        // binary search as the library does not expose its capacity tables
+        while ( min < max ) {
+            mid = Math.ceil( ( min + max ) / 2 );
+            if ( _fits( new Array( mid + 1 ).join( 'A' ), version, level ) ) {
+                min = mid;
+            } else {
+                max = mid - 1;
+            }
+        }
+        capacities[ key ] = min;
+    }
+
+    return capacities[ key ];
+}
+
+/**
+ * Creates the QR code(s) for a ballot payload.
+ *
+ * @param  {*} payload  ballot payload
+ * @param  {string} recordId short record identifier
+ * @return {Array<{index: number, total: number, content: string, img: string}>}
+ */
+function create( payload, recordId ) {
+    var chunks = ballot.getChunks( payload, recordId, getCapacity( MAX_VERSION, LEVEL ) );
+
+    return chunks.map( function( chunk, i ) {
+        // auto-sized, so a short last chunk gets a smaller code
+        var qr = qrcode( 0, LEVEL );
+        qr.addData( chunk );
+        qr.make();
+        return {
+            index: i + 1,
+            total: chunks.length,
+            content: chunk,
+            img: qr.createImgTag( CELL_SIZE )
+        };
+    } );
+}
+
+/**
+ * Creates a human-readable summary of the ballot fields, using the (current language) labels of the form.
+ *
+ * @param  {Array<{path: string, index: number, value: string}>} fields see ballot.getFields()
+ * @param  {jQuery} $form  the HTML form
+ * @return {Array<{label: string, value: string}>}
+ */
+function getSummary( fields, $form ) {
+    return fields.map( function( field ) {
+        var $question = $form.find( '[name="' + field.path + '"], [data-name="' + field.path + '"]' )
+            .closest( '.question' )
+            .eq( field.index );
+        var $repeat = $question.closest( '.or-repeat' );
+        var label = $question.find( '.question-label.active' ).first().text().trim() || field.path.split( '/' ).pop();
+
+        if ( $repeat.length ) {
+            label += ' (' + ( $repeat.prevAll( '.or-repeat' ).length + 1 ) + ')';
+        }
+
+        return {
+            label: label,
+            value: _getValueLabel( $question, field.value )
+        };
+    } );
+}
+
+/**
+ * Shows the QR code(s) in a dialog, one at a time.
+ *
+ * @param  {Array<*>} codes   see create()
+ * @param  {{title: string, version: string, enketoId: string, instanceId: string, created: string, summary: Array<*>}} info record information
+ */
+function show( codes, info ) {
+    var html = '<div class="ballot-qr">' +
+        codes.map( function( code, i ) {
+            return '<div class="ballot-qr__code' + ( i === 0 ? ' active' : '' ) + '">' + code.img +
+                '<p class="ballot-qr__page">' + _getPageLabel( code ) + '</p></div>';
+        } ).join( '' ) +
+        '<div class="ballot-qr__nav">' +
+        ( codes.length > 1 ? '<button type="button" class="btn btn-default small ballot-qr__nav__previous" disabled>' + t( 'ballot.previous' ) + '</button>' +
+            '<button type="button" class="btn btn-default small ballot-qr__nav__next">' + t( 'ballot.next' ) + '</button>' : '' ) +
+        '<button type="button" class="btn btn-default small ballot-qr__nav__print">' + t( 'ballot.print' ) + '</button>' +
+        '</div>' +
+        _getSummaryTable( info.summary, 'ballot-qr__summary' ) +
+        '</div>';
+
+    $( document )
+        .off( 'click.ballot' )
+        .on( 'click.ballot', '.ballot-qr__nav__previous, .ballot-qr__nav__next', function() {
+            _page( $( this ).closest( '.ballot-qr' ), $( this ).hasClass( 'ballot-qr__nav__next' ) ? 1 : -1 );
+        } )
+        .on( 'click.ballot', '.ballot-qr__nav__print', function() {
+            print( codes, info );
+        } );
+
+    gui.alert( html, t( 'ballot.heading' ), 'normal' );
+}
+
+/**
+ * Prints a ballot sheet with the form metadata, all QR code(s) and the summary, after asking for the paper settings.
+ *
+ * @param  {Array<*>} codes see create()
+ * @param  {*} info  see show()
+ */
+function print( codes, info ) {
+    var $sheet;
+    var $page;
+
+    gui.promptPrintSettings( null, {
+        posAction: function( values ) {
+            $page = $( '<style/>' ).text( '@page { size: ' + values.format + ' ' + values.orientation + '; }' ).appendTo( 'head' );
+            $sheet = $( _getSheet( codes, info ) ).appendTo( 'body' );
+            $( 'html' ).addClass( 'ballot-printing' );
+            window.print();
+        },
+        afterAction: function() {
+            if ( $sheet ) {
+                $sheet.remove();
+                $page.remove();
+            }
+            $( 'html' ).removeClass( 'ballot-printing' );
+        }
+    } );
+}
+
+function _getSheet( codes, info ) {
+    var meta = [
+        [ 'ballot.version', info.version ],
+        [ 'ballot.enketoid', info.enketoId ],
+        [ 'ballot.instanceid', info.instanceId ],
+        [ 'ballot.created', info.created ]
+    ];
+
+    return '<div class="ballot-sheet">' +
+        '<h2 class="ballot-sheet__title">' + _escape( info.title ) + '</h2>' +
+        '<dl class="ballot-sheet__meta">' + meta.map( function( item ) {
+            return '<dt>' + t( item[ 0 ] ) + '</dt><dd>' + _escape( item[ 1 ] ) + '</dd>';
+        } ).join( '' ) + '</dl>' +
+        '<div class="ballot-sheet__codes">' + codes.map( function( code ) {
+            return '<div class="ballot-sheet__code">' + code.img + '<p>' + _getPageLabel( code ) + '</p></div>';
+        } ).join( '' ) + '</div>' +
+        _getSummaryTable( info.summary, 'ballot-sheet__summary' ) +
+        '</div>';
+}
+
+function _getSummaryTable( summary, className ) {
+    return '<table class="' + className + '"><tbody>' + summary.map( function( item ) {
+        return '<tr><th>' + _escape( item.label ) + '</th><td>' + _escape( item.value ) + '</td></tr>';
+    } ).join( '' ) + '</tbody></table>';
+}
+
+/**
+ * Replaces the values of select questions with their labels.
+ */
+function _getValueLabel( $question, value ) {
+    var $select = $question.find( 'select' );
+    var $options = $question.find( 'input[type="radio"], input[type="checkbox"]' );
+
+    if ( !value || ( $select.length === 0 && $options.length === 0 ) ) {
+        return value;
+    }
+
+    return value.split( ' ' ).map( function( item ) {
+        var label = $select.length ? $select.find( 'option[value="' + item + '"]' ).text() :
+            $options.filter( function() {
+                return this.value === item;
+            } ).siblings( '.option-label.active' ).text();
+        return label.trim() || item;
+    } ).join( ', ' );
+}
+
+function _escape( str ) {
+    return $( '<div/>' ).text( str || '' ).html();
+}
+
+function _page( $ballot, step ) {
+    var $codes = $ballot.find( '.ballot-qr__code' );
+    var index = Math.min( Math.max( $codes.index( $codes.filter( '.active' ) ) + step, 0 ), $codes.length - 1 );
+
+    $codes.removeClass( 'active' ).eq( index ).addClass( 'active' );
+    $ballot.find( '.ballot-qr__nav__previous' ).prop( 'disabled', index === 0 );
+    $ballot.find( '.ballot-qr__nav__next' ).prop( 'disabled', index === $codes.length - 1 );
+}
+
+function _getPageLabel( code ) {
+    return t( 'ballot.page', {
+        index: code.index,
+        total: code.total
+    } );
+}
+
+function _fits( data, version, level ) {
+    var qr = qrcode( version, level );
+    try {
+        qr.addData( data );
+        qr.make();
+        return true;
+    } catch ( e ) {
+        return false;
+    }
+}
+
+module.exports = {
+    getCapacity: getCapacity,
+    create: create,
+    getSummary: getSummary,
+    show: show,
+    print: print
+};
@@ -0,0 +1,120 @@
+/**
+ * Reads the QR codes of ballots from photographed or scanned images.
+ */
+
+'use strict';
+
+var jsQR = require( 'jsqr' );
+
+// larger images are scaled down, which is still plenty for a printed QR code and keeps memory use reasonable
+var MAX_DIMENSION = 2000;
+// a single image is not expected to contain more codes than this
+var MAX_CODES = 50;
+
+/**
+ * Reads all QR codes in all image files.
+ *
+ * @param  {Array<File>|FileList} files image files
+ * @return {Promise}       resolves with {contents: Array<string>, errors: Array<string>}
+ */
+function scan( files ) {
+    var result = {
+        contents: [],
+        errors: []
+    };
+
+    // sequentially, to avoid having several large images in memory at the same time
+    return Array.prototype.reduce.call( files, function( prevPromise, file ) {
+        return prevPromise
+            .then( function() {
+                return scanImage( file );
+            } )
+            .then( function( contents ) {
+                if ( contents.length === 0 ) {
+                    result.errors.push( file.name + ': No QR codes found.' );
+                }
+                result.contents = result.contents.concat( contents );
+            } )
+            .catch( function( error ) {
+                result.errors.push( file.name + ': ' + error.message );
+            } );
+    }, Promise.resolve() ).then( function() {
+        return result;
+    } );
+}
+
+/**
+ * Reads all QR codes in a single image. Each code that is found is blanked out before looking for the next one.
+ *
+ * @param  {File|Blob} file image file
+ * @return {Promise}      resolves with an array of QR code contents
+ */
+function scanImage( file ) {
+    return _loadImage( file )
+        .then( function( img ) {
+            var scale = Math.min( 1, MAX_DIMENSION / Math.max( img.width, img.height ) );
+            var canvas = document.createElement( 'canvas' );
+            var context = canvas.getContext( '2d' );
+            var contents = [];
+            var imageData;
+            var code;
+
+            canvas.width = Math.round( img.width * scale );
+            canvas.height = Math.round( img.height * scale );
+            context.drawImage( img, 0, 0, canvas.width, canvas.height );
+
+            do {
+                imageData = context.getImageData( 0, 0, canvas.width, canvas.height );
+                code = jsQR( imageData.data, canvas.width, canvas.height );
+                if ( code ) {
+                    contents.push( code.data );
+                    _blank( context, code.location );
+                }
+            } while ( code && contents.length < MAX_CODES );
+
+            return contents;
+        } );
+}
+
+function _loadImage( file ) {
+    return new Promise( function( resolve, reject ) {
+        var url = URL.createObjectURL( file );
+        var img = new Image();
+
+        img.onload = function() {
+            URL.revokeObjectURL( url );
+            resolve( img );
+        };
+        img.onerror = function() {
+            URL.revokeObjectURL( url );
+            reject( new Error( 'Not a readable image.' ) );
+        };
+        img.src = url;
+    } );
+}
+
+/**
+ * Paints over a found code, including a margin for the quiet zone and the finder patterns.
+ */
+function _blank( context, location ) {
+    var corners = [ location.topLeftCorner, location.topRightCorner, location.bottomRightCorner, location.bottomLeftCorner ];
+    var xs = corners.map( function( corner ) {
+        return corner.x;
+    } );
+    var ys = corners.map( function( corner ) {
+        return corner.y;
+    } );
+    var left = Math.min.apply( null, xs );
+    var top = Math.min.apply( null, ys );
+    var width = Math.max.apply( null, xs ) - left;
+    var height = Math.max.apply( null, ys ) - top;
+    var margin = Math.max( width, height ) * 0.1;
+
+    context.fillStyle = '#ffffff';
+    context.fillRect( left - margin, top - margin, width + 2 * margin, height + 2 * margin );
+}
+
+module.exports = {
+    scan: scan,
+    scanImage: scanImage
+};
@@ -0,0 +1,582 @@
+/**
+ * Builds the (versioned) payload that is encoded in a QR ballot, and converts scanned ballots back into records.
+ */
+
+'use strict';
+
+var config = require( 'enketo-config' );
+var connection = require( './connection' );
+var pako = require( 'pako' );
+var crc32 = require( 'pako/lib/zlib/crc32' );
+
+var SCHEMA = 'enketo-ballot/1';
+var SIGNED_SCHEMA = 'enketo-ballot-signed/1';
+var CHUNK_PREFIX = 'ENKB1';
+var CHUNK_REGEX = /^ENKB1:([A-Za-z0-9]+):(\d+)\/(\d+):([0-9a-f]{8}):(.*)$/;
+var ENCODINGS = [ 'flat', 'xpath', 'indexed', 'xml' ];
+var DEFAULTS = {
+    encoding: 'xpath',
+    include: [],
+    exclude: [ 'uuid' ]
+};
+
+/**
+ * Determines the ballot options. Attributes on the primary instance root element override the
+ * server configuration: ballot-encoding="indexed" ballot-include="/data/a b" ballot-exclude="uuid".
+ *
+ * @param  {{rootElement: Element}} model FormModel instance
+ * @return {{encoding: string, include: Array<string>, exclude: Array<string>}}
+ */
+function getOptions( model ) {
+    var configured = config.ballot || {};
+    var root = model.rootElement;
+    var options = {
+        encoding: _getAttribute( root, 'ballot-encoding' ) || configured.encoding || DEFAULTS.encoding,
+        include: _getListAttribute( root, 'ballot-include' ) || configured.include || DEFAULTS.include,
+        exclude: _getListAttribute( root, 'ballot-exclude' ) || configured.exclude || DEFAULTS.exclude
+    };
+
+    if ( ENCODINGS.indexOf( options.encoding ) === -1 ) {
+        throw new Error( 'Unknown ballot encoding "' + options.encoding + '". Use one of: ' + ENCODINGS.join( ', ' ) + '.' );
+    }
+
+    return options;
+}
+
+/**
+ * Whether ballots are signed by the server.
+ *
+ * @return {boolean}
+ */
+function isSigningEnabled() {
+    return !!( config.ballot && config.ballot.signed );
+}
+
+/**
+ * Creates the ballot payload object for the current record.
+ *
+ * @param  {*} model     FormModel instance
+ * @param  {string} enketoId  Enketo ID of the survey
+ * @param  {*=} options   optional options object, see getOptions()
+ * @return {{schema: string, encoding: string, enketoId: string, formVersion: string, data: (Object|string)}}
+ */
+function getPayload( model, enketoId, options ) {
+    var data;
+
+    options = options || getOptions( model );
+
+    switch ( options.encoding ) {
+        case 'flat':
+            data = _getFlatData( model, options );
+            break;
+        case 'indexed':
+            data = _getPathData( model, options, true );
+            break;
+        case 'xml':
+            data = _getXmlData( model, options );
+            break;
+        default:
+            data = _getPathData( model, options, false );
+    }
+
+    return {
+        schema: SCHEMA,
+        encoding: options.encoding,
+        enketoId: enketoId,
+        formVersion: model.getVersion() || '',
+        data: data
+    };
+}
+
+/**
+ * Lists the nodes that are included in the ballot, in document order.
+ *
+ * @param  {*} model     FormModel instance
+ * @param  {*=} options   optional options object, see getOptions()
+ * @return {Array<{path: string, index: number, value: string}>} path without positions and index amongst nodes with that path
+ */
+function getFields( model, options ) {
+    var counts = {};
+
+    options = options || getOptions( model );
+
+    return _getLeafNodes( model, options ).map( function( node ) {
+        var path = model.getXPath( node, 'instance', false );
+
+        counts[ path ] = path in counts ? counts[ path ] + 1 : 0;
+
+        return {
+            path: path,
+            index: counts[ path ],
+            value: node.textContent
+        };
+    } );
+}
+
+/**
+ * Compresses the payload and splits it into a numbered sequence of chunks that each fit in a QR code:
+ * ENKB1:<recordId>:<index>/<total>:<checksum>:<data>
+ *
+ * @param  {*} payload  (signed) ballot payload, see getPayload()
+ * @param  {string} recordId identifier shared by all chunks of the record
+ * @param  {number} capacity maximum number of characters of a chunk (including the header)
+ * @return {Array<string>}
+ */
+function getChunks( payload, recordId, capacity ) {
+    var data = btoa( pako.deflate( JSON.stringify( payload ), {
+        to: 'string'
+    } ) );
+    var checksum = _getChecksum( data );
+    var chunks = [];
+    var digits = 0;
+    var size;
+    var total;
+
+    // the header length depends on the number of digits of the total
+    do {
+        digits++;
+        size = capacity - _getChunkHeader( recordId, Math.pow( 10, digits ) - 1, Math.pow( 10, digits ) - 1, checksum ).length;
+        if ( size < 1 ) {
+            throw new Error( 'QR code capacity of ' + capacity + ' characters is too small for a ballot.' );
+        }
+        total = Math.ceil( data.length / size );
+    } while ( String( total ).length > digits );
+
+    for ( var i = 0; i < total; i++ ) {
+        chunks.push( _getChunkHeader( recordId, i + 1, total, checksum ) + data.substr( i * size, size ) );
+    }
+
+    return chunks;
+}
+
+/**
+ * Parses a single chunk.
+ *
+ * @param  {string} chunk
+ * @return {?{recordId: string, index: number, total: number, checksum: string, data: string}} null if not a ballot chunk
+ */
+function parseChunk( chunk ) {
+    var matches = CHUNK_REGEX.exec( chunk );
+
+    if ( !matches || Number( matches[ 2 ] ) < 1 || Number( matches[ 2 ] ) > Number( matches[ 3 ] ) ) {
+        return null;
+    }
+
+    return {
+        recordId: matches[ 1 ],
+        index: Number( matches[ 2 ] ),
+        total: Number( matches[ 3 ] ),
+        checksum: matches[ 4 ],
+        data: matches[ 5 ]
+    };
+}
+
+/**
+ * Re-assembles a complete set of chunks (in any order) of one record into the ballot payload.
+ *
+ * @param  {Array<string>} chunks
+ * @return {*}        ballot payload
+ */
+function assemble( chunks ) {
+    var parsed = chunks.map( parseChunk );
+    var first = parsed[ 0 ];
+    var ordered = [];
+    var data;
+
+    if ( !first || parsed.some( function( chunk ) {
+            return !chunk || chunk.recordId !== first.recordId || chunk.total !== first.total || chunk.checksum !== first.checksum;
+        } ) ) {
+        throw new Error( 'Not all QR codes belong to the same ballot.' );
+    }
+
+    parsed.forEach( function( chunk ) {
+        ordered[ chunk.index - 1 ] = chunk.data;
+    } );
+
+    for ( var i = 0; i < first.total; i++ ) {
+        if ( typeof ordered[ i ] === 'undefined' ) {
+            throw new Error( 'Ballot is incomplete. QR code ' + ( i + 1 ) + ' of ' + first.total + ' is missing.' );
+        }
+    }
+
+    data = ordered.join( '' );
+
+    if ( _getChecksum( data ) !== first.checksum ) {
+        throw new Error( 'Ballot checksum does not match.' );
+    }
+
+    return JSON.parse( pako.inflate( atob( data ), {
+        to: 'string'
+    } ) );
+}
+
+/**
+ * Groups scanned QR code contents by record and re-assembles each record. Contents that are not
+ * ballot chunks are ignored.
+ *
+ * @param  {Array<string>} contents scanned QR code contents (from any number of records, in any order)
+ * @return {{ballots: Array<*>, errors: Array<string>}} assembled (signed or unsigned) ballots and assembly errors
+ */
+function assembleAll( contents ) {
+    var groups = {};
+    var result = {
+        ballots: [],
+        errors: []
+    };
+
+    contents.forEach( function( content ) {
+        var chunk = parseChunk( content );
+        if ( chunk ) {
+            groups[ chunk.recordId ] = groups[ chunk.recordId ] || [];
+            // the same code may have been scanned more than once
+            if ( groups[ chunk.recordId ].indexOf( content ) === -1 ) {
+                groups[ chunk.recordId ].push( content );
+            }
+        }
+    } );
+
+    Object.keys( groups ).forEach( function( recordId ) {
+        try {
+            result.ballots.push( assemble( groups[ recordId ] ) );
+        } catch ( e ) {
+            result.errors.push( recordId + ': ' + e.message );
+        }
+    } );
+
+    return result;
+}
+
+/**
+ * Returns the payload of a (signed or unsigned) ballot after checking that it belongs to the survey and form version.
+ * Signatures can only be verified by the server, see verify().
+ *
+ * @param  {*} doc         assembled ballot
+ * @param  {string} enketoId    expected enketo ID
+ * @param  {string} formVersion expected form version
+ * @return {*}             ballot payload
+ */
+function open( doc, enketoId, formVersion ) {
+    var payload = ( doc && doc.schema === SIGNED_SCHEMA && typeof doc.payload === 'string' ) ? JSON.parse( doc.payload ) : doc;
+
+    if ( !payload || payload.schema !== SCHEMA ) {
+        throw new Error( 'Unsupported ballot schema.' );
+    }
+    if ( payload.enketoId !== enketoId ) {
+        throw new Error( 'Ballot belongs to a different survey (' + payload.enketoId + ').' );
+    }
+    if ( ( payload.formVersion || '' ) !== ( formVersion || '' ) ) {
+        throw new Error( 'Ballot belongs to a different form version (' + payload.formVersion + ').' );
+    }
+
+    return payload;
+}
+
+/**
+ * Returns the payload of a scanned ballot like open(). If ballots are signed, the server verifies the signature
+ * first and unsigned ballots are refused.
+ *
+ * @param  {*} doc         assembled ballot
+ * @param  {string} enketoId    expected enketo ID
+ * @param  {string} formVersion expected form version
+ * @return {Promise}       resolves with ballot payload
+ */
+function verify( doc, enketoId, formVersion ) {
+    if ( !isSigningEnabled() ) {
+        return new Promise( function( resolve ) {
+            resolve( open( doc, enketoId, formVersion ) );
+        } );
+    }
+    if ( !doc || doc.schema !== SIGNED_SCHEMA ) {
+        return Promise.reject( new Error( 'Ballot is not signed.' ) );
+    }
+
+    return connection.verifyBallot( doc )
+        .then( function( payload ) {
+            return open( payload, enketoId, formVersion );
+        } );
+}
+
+/**
+ * Converts a ballot payload into a (partial) XML record that can be merged into the model, e.g. with
+ * new FormModel( { modelStr: modelStr, instanceStr: recordStr } ).
+ *
+ * @param  {*} payload     ballot payload
+ * @param  {*} model       initialized FormModel instance of the form
+ * @param  {Array<string>} repeatPaths paths of all repeats in the form, used for the xpath encoding
+ * @return {string}             XML record
+ */
+function getRecordStr( payload, model, repeatPaths ) {
+    var root;
+    var fields;
+
+    if ( payload.encoding === 'xml' ) {
+        return payload.data;
+    }
+
+    switch ( payload.encoding ) {
+        case 'flat':
+            fields = _getFlatFields( payload.data, model );
+            break;
+        case 'indexed':
+        case 'xpath':
+            fields = _getPathFields( payload.data, repeatPaths || [] );
+            break;
+        default:
+            throw new Error( 'Unknown ballot encoding "' + payload.encoding + '".' );
+    }
+
+    root = model.rootElement.cloneNode( false );
+
+    fields.forEach( function( field ) {
+        var path = field.steps.map( function( step ) {
+            return step.name;
+        } ).join( '/' );
+
+        if ( field.steps[ 0 ].name !== root.nodeName || !_existsInModel( model, '/' + path ) ) {
+            throw new Error( 'Ballot field /' + path + ' does not exist in the form.' );
+        }
+        _setValue( model, root, field.steps.slice( 1 ), field.value );
+    } );
+
+    return new XMLSerializer().serializeToString( root )
+        .replace( /\s(data-)(xmlns\=("|')[^\s\>]+("|'))/g, ' $2' );
+}
+
+/**
+ * Derives a short record ID from an instanceID.
+ *
+ * @param  {string} instanceId e.g. uuid:6a7b3f5e-...
+ * @return {string}
+ */
+function getRecordId( instanceId ) {
+    return ( instanceId || '' ).replace( /^uuid:/, '' ).replace( /[^A-Za-z0-9]/g, '' ).substring( 0, 8 ) ||
+        Math.random().toString( 36 ).substring( 2, 10 );
+}
+
+function _getChunkHeader( recordId, index, total, checksum ) {
+    return [ CHUNK_PREFIX, recordId, index + '/' + total, checksum, '' ].join( ':' );
+}
+
+function _getChecksum( str ) {
+    var bytes = str.split( '' ).map( function( char ) {
+        return char.charCodeAt( 0 );
+    } );
+    var hex = ( crc32( 0, bytes, bytes.length, 0 ) >>> 0 ).toString( 16 );
+
+    return ( '0000000' + hex ).slice( -8 );
+}
+
+/**
+ * Legacy encoding. Same-named nodes overwrite each other.
+ */
+function _getFlatData( model, options ) {
+    var data = {};
+
+    _getLeafNodes( model, options ).forEach( function( node ) {
+        data[ node.nodeName ] = node.textContent;
+    } );
+
+    return data;
+}
+
+/**
+ * XPath-keyed encoding. Without indices, values of repeated nodes are collected in an array.
+ */
+function _getPathData( model, options, includePosition ) {
+    var data = {};
+
+    _getLeafNodes( model, options ).forEach( function( node ) {
+        var path = model.getXPath( node, 'instance', includePosition );
+        var value = node.textContent;
+
+        if ( !data.hasOwnProperty( path ) ) {
+            data[ path ] = value;
+        } else if ( Array.isArray( data[ path ] ) ) {
+            data[ path ].push( value );
+        } else {
+            data[ path ] = [ data[ path ], value ];
+        }
+    } );
+
+    return data;
+}
+
+/**
+ * Raw XML encoding of the instance without the leaf nodes that were filtered out.
+ */
+function _getXmlData( model, options ) {
+    var clone = model.rootElement.cloneNode( true );
+    var keep = _getLeafNodes( model, options );
+    var originals = _getAllLeafNodes( model.rootElement );
+
+    // the clone's leaf nodes are in the same document order as the originals
+    _getAllLeafNodes( clone )
+        .filter( function( node, index ) {
+            return keep.indexOf( originals[ index ] ) === -1;
+        } )
+        .forEach( function( node ) {
+            node.parentNode.removeChild( node );
+        } );
+
+    // restore default namespaces the same way as FormModel.getStr() does
+    return new XMLSerializer().serializeToString( clone )
+        .replace( /\s(data-)(xmlns\=("|')[^\s\>]+("|'))/g, ' $2' );
+}
+
+function _getLeafNodes( model, options ) {
+    return _getAllLeafNodes( model.rootElement ).filter( function( node ) {
+        var path = model.getXPath( node, 'instance', false );
+        var included = options.include.length === 0 || options.include.some( function( selector ) {
+            return _matches( node, path, selector );
+        } );
+        var excluded = options.exclude.some( function( selector ) {
+            return _matches( node, path, selector );
+        } );
+        return included && !excluded;
+    } );
+}
+
+function _getAllLeafNodes( root ) {
+    return Array.prototype.slice.call( root.getElementsByTagName( '*' ) ).filter( function( node ) {
+        // XML Elements do not have a children property in all browsers
+        return !Array.prototype.some.call( node.childNodes, function( child ) {
+            return child.nodeType === 1;
+        } );
+    } );
+}
+
+/**
+ * A selector starting with a slash matches a path and all its descendants, otherwise it matches a nodeName.
+ */
+function _matches( node, path, selector ) {
+    if ( selector.indexOf( '/' ) === 0 ) {
+        return path === selector || path.indexOf( selector + '/' ) === 0;
+    }
+    return node.nodeName === selector;
+}
+
+function _getFlatFields( data, model ) {
+    var leaves = _getAllLeafNodes( model.rootElement );
+
+    return Object.keys( data || {} ).map( function( nodeName ) {
+        var matches = leaves.filter( function( leaf ) {
+            return leaf.nodeName === nodeName;
+        } );
+        if ( matches.length !== 1 ) {
+            throw new Error( 'Cannot determine the node for ' + nodeName + '. Use the xpath or indexed encoding.' );
+        }
+        return {
+            steps: _parsePath( model.getXPath( matches[ 0 ], 'instance', true ) ),
+            value: data[ nodeName ]
+        };
+    } );
+}
+
+/**
+ * Without positions, an array of values can only be mapped to a single (non-nested) repeat.
+ */
+function _getPathFields( data, repeatPaths ) {
+    var fields = [];
+
+    Object.keys( data || {} ).forEach( function( path ) {
+        var values = Array.isArray( data[ path ] ) ? data[ path ] : [ data[ path ] ];
+        var ancestors = repeatPaths.filter( function( repeatPath ) {
+            return path.indexOf( repeatPath + '/' ) === 0;
+        } );
+
+        if ( Array.isArray( data[ path ] ) && ancestors.length !== 1 ) {
+            throw new Error( 'Cannot determine the repeat of multiple values for ' + path + '. Use the indexed encoding.' );
+        }
+
+        values.forEach( function( value, index ) {
+            var steps = _parsePath( path );
+            if ( Array.isArray( data[ path ] ) ) {
+                steps[ ancestors[ 0 ].split( '/' ).length - 2 ].position = index + 1;
+            }
+            fields.push( {
+                steps: steps,
+                value: value
+            } );
+        } );
+    } );
+
+    return fields;
+}
+
+function _parsePath( path ) {
+    return path.replace( /^\//, '' ).split( '/' ).map( function( step ) {
+        var matches = /^([^\[]+)(\[(\d+)\])?$/.exec( step );
+        if ( !matches ) {
+            throw new Error( 'Invalid ballot field ' + path + '.' );
+        }
+        return {
+            name: matches[ 1 ],
+            position: matches[ 3 ] ? Number( matches[ 3 ] ) : 1
+        };
+    } );
+}
+
+function _existsInModel( model, path ) {
+    return model.node( path ).get().length > 0 || Object.keys( model.templates || {} ).some( function( templatePath ) {
+        return path === templatePath || path.indexOf( templatePath + '/' ) === 0;
+    } );
+}
+
+function _setValue( model, el, steps, value ) {
+    steps.forEach( function( step, index ) {
+        var children = Array.prototype.filter.call( el.childNodes, function( child ) {
+            return child.nodeType === 1 && child.nodeName === step.name;
+        } );
+
+        while ( children.length < step.position ) {
+            children.push( el.appendChild( _createElement( model, step.name ) ) );
+            // Preceding (repeat) nodes get an empty leaf. An empty non-leaf node would clear the default values of
+            // all its descendants when merged into the model.
+            if ( children.length < step.position ) {
+                _appendEmptyPath( model, children[ children.length - 1 ], steps.slice( index + 1 ) );
+            }
+        }
+        el = children[ step.position - 1 ];
+    } );
+
+    el.textContent = value;
+}
+
+function _appendEmptyPath( model, el, steps ) {
+    for ( var i = 0; i < steps.length; i++ ) {
+        el = el.appendChild( _createElement( model, steps[ i ].name ) );
+    }
+}
+
+function _createElement( model, name ) {
+    var prefix = name.indexOf( ':' ) !== -1 ? name.split( ':' )[ 0 ] : null;
+
+    return model.xml.createElementNS( prefix ? model.rootElement.lookupNamespaceURI( prefix ) : null, name );
+}
+
+function _getAttribute( el, name ) {
+    return el && el.getAttribute( name ) ? el.getAttribute( name ).trim() : null;
+}
+
+function _getListAttribute( el, name ) {
+    var value = _getAttribute( el, name );
+    return value ? value.split( /\s+/ ) : null;
+}
+
+module.exports = {
+    SCHEMA: SCHEMA,
+    ENCODINGS: ENCODINGS,
+    SIGNED_SCHEMA: SIGNED_SCHEMA,
+    isSigningEnabled: isSigningEnabled,
+    getOptions: getOptions,
+    getPayload: getPayload,
+    getFields: getFields,
+    getChunks: getChunks,
+    parseChunk: parseChunk,
+    assemble: assemble,
+    assembleAll: assembleAll,
+    open: open,
+    verify: verify,
+    getRecordStr: getRecordStr,
+    getRecordId: getRecordId
+};
@@ -15,6 +15,9 @@ var TRANSFORM_HASH_URL = settings.basePath + '/transform/xform/hash';
 var EXPORT_URL = settings.basePath + '/export/get-url';
 var INSTANCE_URL = ( settings.enketoId ) ? settings.basePath + '/submission/' + settings.enketoIdPrefix + settings.enketoId : null;
 var MAX_SIZE_URL = ( settings.enketoId ) ? settings.basePath + '/submission/max-size/' + settings.enketoIdPrefix + settings.enketoId : null;
+var REMAINING_URL = ( settings.enketoId ) ? settings.basePath + '/submission/remaining/' + settings.enketoIdPrefix + settings.enketoId : null;
+var BALLOT_SIGN_URL = ( settings.enketoId ) ? settings.basePath + '/ballot/sign/' + settings.enketoIdPrefix + settings.enketoId : null;
+var BALLOT_VERIFY_URL = ( settings.enketoId ) ? settings.basePath + '/ballot/verify/' + settings.enketoIdPrefix + settings.enketoId : null;
 var ABSOLUTE_MAX_SIZE = 100 * 1024 * 1024;
 
 /**
@@ -44,7 +47,7 @@ function getOnlineStatus() {
 /*
  * Uploads a complete record
  *
- * @param  {{xml: string, files: [File]}} record
+ * @param  {{xml: string, files: [File], created: number=}} record record, with the creation time if it was queued
  * @return {Promise}
  */
 function uploadRecord( record ) {
@@ -60,13 +63,23 @@ function uploadRecord( record ) {
         batch.formData.append( 'Date', new Date().toUTCString() );
         batch.instanceId = record.instanceId;
         batch.deprecatedId = record.deprecatedId;
+        batch.created = record.created;
     } );
 
     // Perform batch uploads sequentially for to avoid issues when connections are very poor and 
     // a serious issue with ODK Aggregate (https://github.com/kobotoolbox/enketo-express/issues/400)
-    return batches.reduce( function( prevPromise, batch ) {
+    return batches.reduce( function( prevPromise, batch, index ) {
             return prevPromise.then( function() {
-                return _uploadBatch( batch );
+                return _uploadBatch( batch )
+                    .then( function( result ) {
+                        // this event is used in communicating back to iframe parent window
+                        $( document ).trigger( 'uploadprogress', [ {
+                            instanceId: record.instanceId,
+                            batch: index + 1,
+                            batches: batches.length
+                        } ] );
+                        return result;
+                    } );
             } );
         }, Promise.resolve() )
         .then( function( results ) {
@@ -106,19 +119,31 @@ function getDownloadUrl( zipFile ) {
 function _uploadBatch( recordBatch ) {
     return new Promise( function( resolve, reject ) {
         // submission URL is dynamic
+        // a signed query already includes the submission parameter and token
+        var query = settings.signedQuery ? '?' + settings.signedQuery : utils.getQueryString( [ settings.submissionParameter, {
+            name: 'token',
+            value: settings.token
+        } ] );
         var submissionUrl = ( settings.enketoId ) ? settings.basePath + '/submission/' + settings.enketoIdPrefix + settings.enketoId +
-            utils.getQueryString( settings.submissionParameter ) : null;
+            query : null;
+        var headers = {
+            'X-OpenRosa-Version': '1.0',
+            'X-OpenRosa-Deprecated-Id': recordBatch.deprecatedId,
+            'X-OpenRosa-Instance-Id': recordBatch.instanceId
+        };
+
+        // queued records that were created before the survey closed are accepted during a grace period
+        if ( recordBatch.created ) {
+            headers[ 'X-Enketo-Record-Created' ] = new Date( recordBatch.created ).toISOString();
+        }
+
         $.ajax( submissionUrl, {
                 type: 'POST',
                 data: recordBatch.formData,
                 cache: false,
                 contentType: false,
                 processData: false,
-                headers: {
-                    'X-OpenRosa-Version': '1.0',
-                    'X-OpenRosa-Deprecated-Id': recordBatch.deprecatedId,
-                    'X-OpenRosa-Instance-Id': recordBatch.instanceId
-                },
+                headers: headers,
                 timeout: 300 * 1000
             } )
             .done( function( data, textStatus, jqXHR ) {
@@ -142,6 +167,10 @@ function _uploadBatch( recordBatch ) {
                     if ( messageEl ) {
                         message = messageEl.textContent;
                     }
+                } else if ( ( jqXHR.status === 403 || jqXHR.status === 410 ) && jqXHR.responseJSON && jqXHR.responseJSON.message ) {
+                    // refused by Enketo, e.g. because the survey is closed, its submission cap was reached or the
+                    // respondent token was used up
+                    message = jqXHR.responseJSON.message;
                 }
                 reject( {
                     status: jqXHR.status,
@@ -317,6 +346,33 @@ function getMaximumSubmissionSize() {
     } );
 }
 
+/**
+ * Obtains the number of submissions that this form still accepts, if it has a submission cap.
+ * Resolves with null if this information could not be obtained, e.g. when offline.
+ *
+ * @return {Promise} resolves with {cap: ?number, field: ?string, remaining: ?number, values: ?*} or null
+ */
+function getRemainingSubmissions() {
+    return new Promise( function( resolve ) {
+        if ( REMAINING_URL && settings.type !== 'preview' && settings.type !== 'app' ) {
+            $.ajax( REMAINING_URL, {
+                    type: 'GET',
+                    cache: false,
+                    timeout: 5 * 1000,
+                    dataType: 'json'
+                } )
+                .done( function( response ) {
+                    resolve( response || null );
+                } )
+                .fail( function() {
+                    resolve( null );
+                } );
+        } else {
+            resolve( null );
+        }
+    } );
+}
+
 /**
  * Obtains HTML Form, XML Model and External Instances
  *
@@ -516,14 +572,85 @@ function getExistingInstance( props ) {
     } );
 }
 
+/**
+ * Obtains a signed ballot from the server
+ *
+ * @param  {*} payload ballot payload
+ * @return {Promise}         resolves with signed ballot
+ */
+function signBallot( payload ) {
+    var error;
+
+    return new Promise( function( resolve, reject ) {
+        if ( !BALLOT_SIGN_URL ) {
+            reject( new Error( 'No enketo ID available to sign ballot.' ) );
+            return;
+        }
+        $.ajax( BALLOT_SIGN_URL, {
+                type: 'POST',
+                contentType: 'application/json',
+                dataType: 'json',
+                timeout: 10 * 1000,
+                data: JSON.stringify( {
+                    payload: payload
+                } )
+            } )
+            .done( function( data ) {
+                resolve( data );
+            } )
+            .fail( function( jqXHR, textStatus, errorMsg ) {
+                error = new Error( ( jqXHR.responseJSON && jqXHR.responseJSON.message ) || errorMsg );
+                error.status = jqXHR.status;
+                reject( error );
+            } );
+    } );
+}
+
+/**
+ * Has the server verify the signature of a scanned ballot
+ *
+ * @param  {*} signed signed ballot
+ * @return {Promise}         resolves with the verified ballot payload
+ */
+function verifyBallot( signed ) {
+    var error;
+
+    return new Promise( function( resolve, reject ) {
+        if ( !BALLOT_VERIFY_URL ) {
+            reject( new Error( 'No enketo ID available to verify ballot.' ) );
+            return;
+        }
+        $.ajax( BALLOT_VERIFY_URL, {
+                type: 'POST',
+                contentType: 'application/json',
+                dataType: 'json',
+                timeout: 10 * 1000,
+                data: JSON.stringify( {
+                    ballot: signed
+                } )
+            } )
+            .done( function( data ) {
+                resolve( data.payload );
+            } )
+            .fail( function( jqXHR, textStatus, errorMsg ) {
+                error = new Error( ( jqXHR.responseJSON && jqXHR.responseJSON.message ) || errorMsg || 'Ballot could not be verified.' );
+                error.status = jqXHR.status;
+                reject( error );
+            } );
+    } );
+}
+
 module.exports = {
     uploadRecord: uploadRecord,
     getMaximumSubmissionSize: getMaximumSubmissionSize,
+    getRemainingSubmissions: getRemainingSubmissions,
     getOnlineStatus: getOnlineStatus,
     getFormParts: getFormParts,
     getFormPartsHash: getFormPartsHash,
     getMediaFile: getMediaFile,
     getExistingInstance: getExistingInstance,
     getManifestVersion: getManifestVersion,
-    getDownloadUrl: getDownloadUrl
+    getDownloadUrl: getDownloadUrl,
+    signBallot: signBallot,
+    verifyBallot: verifyBallot
 };
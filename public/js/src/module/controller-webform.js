@@ -8,11 +8,15 @@ var gui = require( './gui' );
 var connection = require( './connection' );
 var settings = require( './settings' );
 var Form = require( 'enketo-core' );
+var FormModel = require( 'enketo-core/src/js/Form-model' );
 var fileManager = require( './file-manager' );
 var t = require( './translator' ).t;
 var records = require( './records-queue' );
 var $ = require( 'jquery' );
-var qrCode = require( 'qrcode-npm' );
+var ballot = require( './ballot' );
+var ballotQr = require( './ballot-qr' );
+var ballotScanner = require( './ballot-scanner' );
+var parentWindow = require( './parent-window' );
 
 var form;
 var formSelector;
@@ -49,6 +53,8 @@ function init( selector, data ) {
             if ( loadErrors.length > 0 ) {
                 throw loadErrors;
             }
+
+            parentWindow.postEvent( 'loaded' );
         } )
         .catch( function( error ) {
             if ( Array.isArray( error ) ) {
@@ -197,43 +203,167 @@ function _loadRecord( instanceId, confirmed ) {
 
 /**
  * Shows a QR representation of the model.
+ * If ballot signing is enabled, the ballot is signed by the server. When that fails, an unsigned ballot is shown.
+ *
+ * @return {Promise}
  */
 function _showQR() {
-    var qrSrc = {}, demoString = '';
-    var leafNodeList = form.getModel().evaluate( '//*[not(child::*)]', 'nodes', null, null, true );
-    var qr = qrCode.qrcode(4, 'M');
-
-    // Some stuff you can do to either create a flat structure or full paths and values:
-    for ( var i = 0; i < leafNodeList.length; i++ ) {
-        // let's try flat
-        var value = leafNodeList[ i ].textContent;
-        var nodeName = leafNodeList[ i ].nodeName;
-        // and leave out uuid for now
-        if (nodeName !== 'uuid') {
-            qrSrc[nodeName] = value;
-            demoString += nodeName + ': ' + value + '\n';
-        }
+    var payload;
+    var info;
+
+    return Promise.resolve()
+        .then( function() {
+            var model = form.getModel();
+            var options = ballot.getOptions( model );
+
+            payload = ballot.getPayload( model, settings.enketoId, options );
+            info = {
+                title: form.getSurveyName(),
+                version: payload.formVersion,
+                enketoId: settings.enketoId,
+                instanceId: form.getInstanceID(),
+                created: new Date().toLocaleString(),
+                summary: ballotQr.getSummary( ballot.getFields( model, options ), form.getView().$ )
+            };
+
+            if ( !ballot.isSigningEnabled() ) {
+                return payload;
+            }
+
+            return connection.signBallot( payload )
+                .catch( function( error ) {
+                    console.error( 'Failed to sign ballot', error );
+                    gui.feedback( t( 'ballot.unsigned', {
+                        error: error.message
+                    } ), 7 );
+                    return payload;
+                } );
+        } )
+        .then( function( result ) {
+            ballotQr.show( ballotQr.create( result, ballot.getRecordId( form.getInstanceID() ) ), info );
+        } )
+        .catch( function( e ) {
+            console.error( 'There was an error, possibly with generating the QR code:', e, payload );
+            gui.alert( e.message );
+        } );
+}
+
+/**
+ * Imports the ballots in photographed or scanned images as queued records.
+ *
+ * @param  {FileList} files image files
+ * @return {Promise}
+ */
+function _importBallots( files ) {
+    var errors = [];
+    var count = 0;
+
+    return ballotScanner.scan( files )
+        .then( function( scanned ) {
+            var result = ballot.assembleAll( scanned.contents );
+
+            errors = scanned.errors.concat( result.errors );
+
+            // sequentially, to get unique record names
+            return result.ballots.reduce( function( prevPromise, doc ) {
+                return prevPromise
+                    .then( function() {
+                        return _importBallot( doc );
+                    } )
+                    .then( function() {
+                        count++;
+                    } )
+                    .catch( function( error ) {
+                        var msg = error.message;
+                        if ( !msg && error.target && error.target.error && error.target.error.name && error.target.error.name.toLowerCase() === 'constrainterror' ) {
+                            msg = t( 'confirm.save.existingerror' );
+                        }
+                        errors.push( msg || t( 'confirm.save.unkownerror' ) );
+                    } );
+            }, Promise.resolve() );
+        } )
+        .then( function() {
+            var msg = t( 'ballot.import.msg', {
+                count: count
+            } );
+
+            if ( errors.length > 0 ) {
+                msg += '<p>' + t( 'ballot.import.errors' ) + '</p><ul class="error-list">' + errors.map( function( error ) {
+                    return '<li>' + $( '<div/>' ).text( error ).html() + '</li>';
+                } ).join( '' ) + '</ul>';
+                gui.alert( msg, t( 'ballot.import.heading' ), count ? 'warning' : 'error' );
+            } else {
+                gui.feedback( msg, 5 );
+            }
+
+            if ( count ) {
+                setTimeout( records.uploadQueue, 5 * 1000 );
+            }
+        } );
+}
+
+/**
+ * Converts a single scanned ballot into a record and adds it to the queue.
+ *
+ * @param  {*} doc assembled (signed or unsigned) ballot
+ * @return {Promise}
+ */
+function _importBallot( doc ) {
+    return ballot.verify( doc, settings.enketoId, form.getVersion() )
+        .then( _addBallotRecord );
+}
+
+/**
+ * Adds the record of a verified ballot payload to the queue.
+ *
+ * @param  {*} payload ballot payload
+ * @return {Promise}
+ */
+function _addBallotRecord( payload ) {
+    var repeatPaths = form.getView().$.find( '.or-repeat' ).map( function() {
+        return this.getAttribute( 'name' );
+    } ).get();
+    var model = new FormModel( {
+        modelStr: formData.modelStr,
+        instanceStr: ballot.getRecordStr( payload, form.getModel(), repeatPaths ),
+        external: formData.external,
+        submitted: false
+    }, {
+        full: false
+    } );
+    var loadErrors = model.init();
+    var instanceId;
+
+    if ( loadErrors.length > 0 ) {
+        return Promise.reject( new Error( loadErrors.join( ' ' ) ) );
     }
 
-    try {
-        qr.addData(JSON.stringify(qrSrc));
-        qr.make();
-        gui.alert( [
-            '<code><pre>',
-                qr.createImgTag(4).replace('<img ', '<img style="float:left;margin-right:10px" '),
-                demoString,
-            '</code></pre>'
-        ].join('') , 'Result', 'normal' );
-    } catch (e) {
-        console.error("There was an error, possibly with generating the QR code:", e, qrSrc);
+    instanceId = model.getInstanceID();
+    if ( !instanceId ) {
+        instanceId = model.evaluate( 'concat("uuid:", uuid())', 'string' );
+        model.getMetaNode( 'instanceID' ).setVal( instanceId );
     }
-    // _resetForm(true);
+
+    return records.getCounterValue( settings.enketoId )
+        .then( function( count ) {
+            return records.add( {
+                'draft': false,
+                'xml': model.getStr(),
+                'name': model.getInstanceName() || form.getSurveyName() + ' - ' + count,
+                'instanceId': instanceId,
+                'enketoId': settings.enketoId,
+                'files': []
+            } );
+        } );
 }
 
 /**
  * Used to submit a form.
  * This function does not save the record in localStorage
  * and is not used in offline-capable views.
+ *
+ * @return {Promise} resolves with true if the record was submitted, or false if the submission failed
+ *                   (the error is shown to the user)
  */
 function _submitRecord() {
     var record;
@@ -285,6 +415,8 @@ function _submitRecord() {
                 gui.alert( msg, t( 'alert.submissionsuccess.heading' ), level );
                 _resetForm( true );
             }
+
+            return true;
         } )
         .catch( function( result ) {
             var message;
@@ -298,6 +430,8 @@ function _submitRecord() {
                 message = result.message || gui.getErrorResponseMsg( result.status );
             }
             gui.alert( message, t( 'alert.submissionerror.heading' ) );
+
+            return false;
         } );
 }
 
@@ -334,6 +468,15 @@ function _confirmRecordName( recordName, errorMsg ) {
 // save the translation in case ever required in the future
 // t( 'confirm.save.renamemsg', {} )
 
+/**
+ * Saves a record (in offline-capable views), as a draft or in the queue to be submitted.
+ *
+ * @param  {string=} recordName record name
+ * @param  {boolean=} confirmed  whether the record name of a draft was confirmed by the user
+ * @param  {string=} errorMsg   error to show when asking for the record name
+ * @return {Promise}            resolves with true if the record was saved, or false if saving failed
+ *                              (the error is shown to the user)
+ */
 function _saveRecord( recordName, confirmed, errorMsg ) {
     var record;
     var saveMethod;
@@ -395,6 +538,8 @@ function _saveRecord( recordName, confirmed, errorMsg ) {
                 // 2. "successfully submitted"
                 setTimeout( records.uploadQueue, 5 * 1000 );
             }
+
+            return true;
         } )
         .catch( function( error ) {
             console.error( 'save error', error );
@@ -405,6 +550,8 @@ function _saveRecord( recordName, confirmed, errorMsg ) {
                 errorMsg = t( 'confirm.save.unkownerror' );
             }
             gui.alert( errorMsg, 'Save Error' );
+
+            return false;
         } );
 }
 
@@ -457,7 +604,7 @@ function _setEventHandlers() {
                         throw e;
                     } );
             } else {
-                form.validate()
+                _validate()
                     .then( function( valid ) {
                         if ( valid ) {
                             if ( settings.offline ) {
@@ -485,7 +632,7 @@ function _setEventHandlers() {
             var $button = $( this );
             $button.btnBusyState( true );
             setTimeout( function() {
-                form.validate()
+                _validate()
                     .then( function( valid ) {
                         $button.btnBusyState( false );
                         if ( !valid ) {
@@ -510,7 +657,7 @@ function _setEventHandlers() {
             var $button = $( this );
             $button.btnBusyState( true );
             setTimeout( function() {
-                form.validate()
+                _validate()
                     .then( function( valid ) {
                         $button.btnBusyState( false );
                         if ( !valid ) {
@@ -536,6 +683,30 @@ function _setEventHandlers() {
         records.uploadQueue();
     } );
 
+    $( '.record-list__button-bar__button.import' ).on( 'click', function() {
+        $( '.record-list__import-file' ).click();
+    } );
+
+    $( '.record-list__import-file' ).on( 'change', function() {
+        var $input = $( this );
+        var $button = $( '.record-list__button-bar__button.import' );
+
+        if ( this.files.length === 0 ) {
+            return;
+        }
+
+        $button.btnBusyState( true );
+        _importBallots( this.files )
+            .catch( function( e ) {
+                gui.alert( e.message );
+            } )
+            .then( function() {
+                // allow the same files to be selected again
+                $input.val( '' );
+                $button.btnBusyState( false );
+            } );
+    } );
+
     $( '.record-list__button-bar__button.export' ).on( 'click', function() {
         var createDownloadLink = '<a class="vex-dialog-link" id="download-export-create" href="#">' +
             t( 'alert.export.alternativequestion' ) + '</a>';
@@ -578,8 +749,15 @@ function _setEventHandlers() {
         }
     } );
 
-    if ( _inIframe() && settings.parentWindowOrigin ) {
-        $doc.on( 'submissionsuccess edited.enketo', _postEventAsMessageToParentWindow );
+    if ( parentWindow.init( _getRequestHandlers() ) ) {
+        $doc.on( 'submissionsuccess edited.enketo validationfailed uploadprogress', function( event, data ) {
+            parentWindow.postEvent( event.type, data );
+        } );
+        $doc.on( 'pageflip.enketo', 'form.or', function() {
+            parentWindow.postEvent( 'pagechanged', {
+                page: _getCurrentPageIndex()
+            } );
+        } );
     }
 
     $doc.on( 'queuesubmissionsuccess', function() {
@@ -644,32 +822,143 @@ function _getDraftStatus() {
     return $( '.form-footer [name="draft"]' ).prop( 'checked' );
 }
 
-/** 
- * Determines whether the page is loaded inside an iframe
- * @return {boolean} [description]
+/**
+ * Validates the form and triggers a validationfailed event if it is not valid.
+ *
+ * @return {Promise} resolves with boolean
  */
-function _inIframe() {
-    try {
-        return window.self !== window.top;
-    } catch ( e ) {
-        return true;
-    }
+function _validate() {
+    return form.validate()
+        .then( function( valid ) {
+            if ( !valid ) {
+                $( document ).trigger( 'validationfailed' );
+            }
+            return valid;
+        } );
 }
 
 /**
- * Attempts to send a message to the parent window, useful if the webform is loaded inside an iframe.
- * @param  {{type: string}} event
+ * Obtains the index of the current page, for forms with pages.
+ *
+ * @return {?number} [description]
  */
-function _postEventAsMessageToParentWindow( event ) {
-    if ( event && event.type ) {
-        try {
-            window.parent.postMessage( JSON.stringify( {
-                enketoEvent: event.type
-            } ), settings.parentWindowOrigin );
-        } catch ( error ) {
-            console.error( error );
+function _getCurrentPageIndex() {
+    var $pages = form.getView().$.find( '[role="page"]' ).not( '.disabled' );
+    var index = $pages.index( $pages.filter( '.current' ) );
+
+    return index === -1 ? null : index;
+}
+
+/**
+ * The requests that the parent window of an iframed webform can make, see doc/iframe-postmessage.md.
+ *
+ * @return {Object<string, function(*): *>} [description]
+ */
+function _getRequestHandlers() {
+    return {
+        getData: function() {
+            return {
+                xml: form.getDataStr(),
+                instanceId: form.getInstanceID(),
+                edited: !!form.getEditStatus()
+            };
+        },
+        getValidationStatus: function() {
+            return _validate()
+                .then( function( valid ) {
+                    return {
+                        valid: valid
+                    };
+                } );
+        },
+        setValues: function( params ) {
+            _setValues( params.values || {} );
+        },
+        submit: function() {
+            return _validate()
+                .then( function( valid ) {
+                    if ( valid ) {
+                        // a final record, regardless of the draft checkbox
+                        _setDraftStatus( false );
+                        return ( settings.offline ? _saveRecord() : _submitRecord() )
+                            .then( function( success ) {
+                                if ( !success ) {
+                                    throw new Error( settings.offline ? 'The record could not be saved.' : 'The record could not be submitted.' );
+                                }
+                                return {
+                                    valid: valid
+                                };
+                            } );
+                    }
+                    return {
+                        valid: valid
+                    };
+                } );
+        },
+        saveDraft: function( params ) {
+            if ( !settings.offline ) {
+                throw new Error( 'Drafts can only be saved in offline-capable webforms.' );
+            }
+            _setDraftStatus( true );
+            return ( params.name ? Promise.resolve( params.name ) : _getRecordName() )
+                .then( function( name ) {
+                    return _saveRecord( name, true );
+                } )
+                .then( function( success ) {
+                    if ( !success ) {
+                        throw new Error( 'The draft could not be saved.' );
+                    }
+                } );
+        },
+        reset: function( params ) {
+            _resetForm( !!params.force );
+        },
+        setLanguage: function( params ) {
+            var $select = $( '#form-languages' );
+            var found = $select.find( 'option' ).filter( function() {
+                return this.value === params.language;
+            } );
+
+            if ( found.length === 0 ) {
+                throw new Error( 'Language not available: ' + params.language );
+            }
+            $select.val( params.language ).trigger( 'change' );
+
+            return {
+                language: params.language
+            };
         }
-    }
+    };
+}
+
+/**
+ * Sets the values of questions, as if the user entered them. Values of nodes without question are set in the model.
+ * Only the first question with a path is set, i.e. in the first repeat instance.
+ *
+ * @param {Object<string, string>} values a value for each path, multiple choices are separated by spaces
+ */
+function _setValues( values ) {
+    var $form = form.getView().$;
+
+    Object.keys( values ).forEach( function( path ) {
+        var value = String( values[ path ] );
+        var $inputs = $form.find( '[name]' ).filter( function() {
+            return this.getAttribute( 'name' ) === path;
+        } );
+        var choices;
+
+        if ( $inputs.length === 0 ) {
+            form.getModel().node( path ).setVal( value );
+        } else if ( $inputs.is( '[type="radio"], [type="checkbox"]' ) ) {
+            choices = value.split( ' ' );
+            $inputs.each( function() {
+                this.checked = choices.indexOf( this.value ) !== -1;
+            } );
+            $inputs.first().trigger( 'change' );
+        } else {
+            $inputs.first().val( value ).trigger( 'change' );
+        }
+    } );
 }
 
 module.exports = {
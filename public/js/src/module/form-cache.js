@@ -99,6 +99,13 @@ function _processDynamicData( survey ) {
                 delete newData.parentWindowOrigin;
             }
 
+            // signed query, which is removed from the URL but has to be passed on to (queued) submissions
+            if ( settings.signedQuery ) {
+                newData.signedQuery = settings.signedQuery;
+            } else if ( data && data.signedQuery ) {
+                settings.signedQuery = data.signedQuery;
+            }
+
             return store.dynamicData.update( newData );
         } )
         .then( function() {
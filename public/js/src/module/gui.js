@@ -488,5 +488,6 @@ module.exports = {
     confirmLogin: confirmLogin,
     alertLoadErrors: alertLoadErrors,
     alertCacheUnsupported: alertCacheUnsupported,
+    promptPrintSettings: promptPrintSettings,
     getErrorResponseMsg: getErrorResponseMsg
 };
@@ -0,0 +1,152 @@
+/**
+ * Exchanges messages with the parent window of an iframed webform (see doc/iframe-postmessage.md).
+ * Messages are only exchanged with the origin of the parentWindowOrigin, or with any origin if it is '*'.
+ */
+
+'use strict';
+
+var settings = require( './settings' );
+var utils = require( './utils' );
+
+var VERSION = 1;
+var origin = null;
+var handlers = {};
+
+/**
+ * Starts listening to requests from the parent window, if the webform is iframed and has a valid parentWindowOrigin.
+ *
+ * @param  {Object<string, function(*): *>} requestHandlers a function for each request name that receives the
+ *                                          request parameters and returns the result or a Promise
+ * @return {boolean}                 whether messages are exchanged with the parent window
+ */
+function init( requestHandlers ) {
+    if ( !_inIframe() || !settings.parentWindowOrigin ) {
+        return false;
+    }
+
+    origin = _getOrigin( settings.parentWindowOrigin );
+    if ( !origin ) {
+        console.error( 'Ignoring invalid parentWindowOrigin', settings.parentWindowOrigin );
+        return false;
+    }
+
+    handlers = requestHandlers || {};
+    window.addEventListener( 'message', _onMessage, false );
+
+    return true;
+}
+
+/**
+ * Sends an event to the parent window.
+ *
+ * @param  {string} name event name
+ * @param  {*=} data event data
+ */
+function postEvent( name, data ) {
+    _post( {
+        enketo: VERSION,
+        enketoEvent: name,
+        data: typeof data === 'undefined' ? null : data
+    } );
+}
+
+/**
+ * Handles a request from the parent window.
+ *
+ * @param  {MessageEvent} event message event
+ * @return {Promise=}       resolves when the response has been sent, undefined if the message is ignored
+ */
+function _onMessage( event ) {
+    var message;
+    var handler;
+
+    if ( ( origin !== '*' && event.origin !== origin ) || event.source !== window.parent ) {
+        return;
+    }
+
+    message = _parse( event.data );
+    // not an Enketo request
+    if ( !message || typeof message.request !== 'string' ) {
+        return;
+    }
+
+    handler = handlers.hasOwnProperty( message.request ) ? handlers[ message.request ] : null;
+
+    return Promise.resolve()
+        .then( function() {
+            if ( message.enketo !== VERSION ) {
+                throw new Error( 'Unsupported version: ' + message.enketo + '. Use version ' + VERSION + '.' );
+            }
+            if ( !handler ) {
+                throw new Error( 'Unknown request: ' + message.request );
+            }
+            return handler( message.params || {} );
+        } )
+        .then( function( result ) {
+            _respond( message, typeof result === 'undefined' ? null : result, null );
+        } )
+        .catch( function( error ) {
+            _respond( message, null, ( error && error.message ) || String( error ) );
+        } );
+}
+
+function _respond( message, result, error ) {
+    _post( {
+        enketo: VERSION,
+        id: typeof message.id === 'undefined' ? null : message.id,
+        response: message.request,
+        result: result,
+        error: error
+    } );
+}
+
+function _post( message ) {
+    if ( !origin ) {
+        return;
+    }
+    try {
+        window.parent.postMessage( JSON.stringify( message ), origin );
+    } catch ( error ) {
+        console.error( error );
+    }
+}
+
+/**
+ * Messages are sent as JSON strings, but objects are accepted as well.
+ */
+function _parse( data ) {
+    if ( typeof data === 'string' ) {
+        try {
+            data = JSON.parse( data );
+        } catch ( e ) {
+            return null;
+        }
+    }
+
+    return data !== null && typeof data === 'object' ? data : null;
+}
+
+/**
+ * Obtains the origin of the parentWindowOrigin setting, which may be a URL with a path or '*'.
+ */
+function _getOrigin( url ) {
+    return url === '*' ? url : utils.getOrigin( url );
+}
+
+/**
+ * Determines whether the page is loaded inside an iframe
+ * @return {boolean} [description]
+ */
+function _inIframe() {
+    try {
+        return window.self !== window.top;
+    } catch ( e ) {
+        return true;
+    }
+}
+
+module.exports = {
+    init: init,
+    postEvent: postEvent,
+    _onMessage: _onMessage
+};
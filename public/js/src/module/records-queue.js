@@ -62,6 +62,18 @@ function set( record ) {
         .then( _updateRecordList );
 }
 
+/**
+ * Stores a new record that was not created in the current form, e.g. an imported ballot.
+ * Unlike set(), this does not take over the files of the auto-saved record.
+ *
+ * @param {*} record [description]
+ * @return {Promise}
+ */
+function add( record ) {
+    return store.record.set( record )
+        .then( _updateRecordList );
+}
+
 /**
  * Updates an existing record
  *
@@ -404,6 +416,7 @@ module.exports = {
     init: init,
     get: get,
     set: set,
+    add: add,
     update: update,
     remove: remove,
     getAutoSavedKey: getAutoSavedKey,
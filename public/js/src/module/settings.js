@@ -56,6 +56,9 @@ var settingsMap = [ {
 }, {
     q: 'parentWindowOrigin',
     s: 'parentWindowOrigin'
+}, {
+    q: 'token',
+    s: 'token'
 } ];
 
 // rename query string parameters to settings, but only if they do not exist already
@@ -92,6 +95,11 @@ if ( settings.submissionParameter && settings.submissionParameter.name ) {
     settings.submissionParameter.value = queryParams[ settings.submissionParameter.name ];
 }
 
+// a signed query is passed on to submissions unchanged, so its signature can be verified
+if ( queryParams.signature ) {
+    settings.signedQuery = window.location.search.substring( 1 );
+}
+
 // set default maxSubmissionSize
 settings.maxSize = DEFAULT_MAX_SIZE;
 
@@ -318,7 +318,11 @@ surveyStore = {
                     resources: resourceKeys,
                     maxSize: survey.maxSize,
                     externalData: survey.externalData,
-                    branding: survey.branding
+                    branding: survey.branding,
+                    returnUrlOrigins: survey.returnUrlOrigins,
+                    defaults: survey.defaults,
+                    openFrom: survey.openFrom,
+                    openUntil: survey.openUntil
                 } );
             } )
             .then( function() {
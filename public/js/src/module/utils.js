@@ -187,6 +187,25 @@ function getQueryString( obj ) {
     return ( serialized.length > 0 ) ? '?' + serialized : '';
 }
 
+/**
+ * Obtains the origin of an absolute http(s) URL, without default port, e.g. to compare it with a list of allowed origins.
+ * This is deliberately strict: URLs with credentials or any unusual syntax have no origin.
+ *
+ * @param  {string} url [description]
+ * @return {?string}     origin, or null if the URL is not an absolute http(s) URL
+ */
+function getOrigin( url ) {
+    var matches = /^(https?:)\/\/([a-z0-9.\-]+(:\d+)?)([\/?#]|$)/i.exec( url || '' );
+    var protocol;
+
+    if ( !matches ) {
+        return null;
+    }
+    protocol = matches[ 1 ].toLowerCase();
+
+    return protocol + '//' + matches[ 2 ].toLowerCase().replace( protocol === 'https:' ? /:443$/ : /:80$/, '' );
+}
+
 function _serializeQueryComponent( name, value ) {
     var n;
     var serialized = '';
@@ -224,5 +243,6 @@ module.exports = {
     getThemeFromFormStr: getThemeFromFormStr,
     getTitleFromFormStr: getTitleFromFormStr,
     csvToXml: csvToXml,
-    getQueryString: getQueryString
+    getQueryString: getQueryString,
+    getOrigin: getOrigin
 };
@@ -0,0 +1,344 @@
+/* global describe, require, it, beforeEach, afterEach, expect, sinon */
+'use strict';
+
+var ballot = require( '../../public/js/src/module/ballot' );
+var ballotQr = require( '../../public/js/src/module/ballot-qr' );
+var connection = require( '../../public/js/src/module/connection' );
+var config = require( 'enketo-config' );
+var $ = require( 'jquery' );
+var FormModel = require( 'enketo-core/src/js/Form-model' );
+
+var modelStr = '<model><instance><data id="ballot" version="3">' +
+    '<name>Anna</name>' +
+    '<grp><name>Bob</name><age>4</age></grp>' +
+    '<rep><name>C</name></rep>' +
+    '<rep><name>D</name></rep>' +
+    '<meta><instanceID>uuid:a</instanceID><uuid>x</uuid></meta>' +
+    '</data></instance></model>';
+
+function getModel( str ) {
+    var model = new FormModel( str || modelStr );
+    model.init();
+    return model;
+}
+
+function getOptions( encoding, include, exclude ) {
+    return {
+        encoding: encoding,
+        include: include || [],
+        exclude: exclude || [ 'uuid' ]
+    };
+}
+
+describe( 'Ballot payload', function() {
+
+    it( 'includes the schema header, encoding, enketoId and form version', function() {
+        var payload = ballot.getPayload( getModel(), 'abcd', getOptions( 'xpath' ) );
+        expect( payload.schema ).to.equal( 'enketo-ballot/1' );
+        expect( payload.encoding ).to.equal( 'xpath' );
+        expect( payload.enketoId ).to.equal( 'abcd' );
+        expect( payload.formVersion ).to.equal( '3' );
+    } );
+
+    it( 'uses nodeNames as keys with the flat encoding', function() {
+        var data = ballot.getPayload( getModel(), 'abcd', getOptions( 'flat' ) ).data;
+        expect( data.name ).to.equal( 'D' );
+        expect( data.age ).to.equal( '4' );
+        expect( data.uuid ).to.equal( undefined );
+    } );
+
+    it( 'uses full paths as keys with the xpath encoding and collects repeated values in an array', function() {
+        var data = ballot.getPayload( getModel(), 'abcd', getOptions( 'xpath' ) ).data;
+        expect( data[ '/data/name' ] ).to.equal( 'Anna' );
+        expect( data[ '/data/grp/name' ] ).to.equal( 'Bob' );
+        expect( data[ '/data/rep/name' ] ).to.deep.equal( [ 'C', 'D' ] );
+        expect( data[ '/data/meta/instanceID' ] ).to.equal( 'uuid:a' );
+        expect( data[ '/data/meta/uuid' ] ).to.equal( undefined );
+    } );
+
+    it( 'keeps repeat positions with the indexed encoding', function() {
+        var data = ballot.getPayload( getModel(), 'abcd', getOptions( 'indexed' ) ).data;
+        expect( data[ '/data/rep/name' ] ).to.equal( 'C' );
+        expect( data[ '/data/rep[2]/name' ] ).to.equal( 'D' );
+    } );
+
+    it( 'returns the instance without excluded nodes with the xml encoding', function() {
+        var data = ballot.getPayload( getModel(), 'abcd', getOptions( 'xml', [], [ '/data/grp' ] ) ).data;
+        expect( data ).to.contain( '<name>Anna</name>' );
+        expect( data ).to.contain( '<rep><name>D</name></rep>' );
+        expect( data ).to.contain( '<uuid>x</uuid>' );
+        expect( data ).not.to.contain( 'Bob' );
+    } );
+
+    it( 'only includes the nodes matching the include list', function() {
+        var data = ballot.getPayload( getModel(), 'abcd', getOptions( 'xpath', [ '/data/grp', 'instanceID' ] ) ).data;
+        expect( Object.keys( data ) ).to.deep.equal( [ '/data/grp/name', '/data/grp/age', '/data/meta/instanceID' ] );
+    } );
+
+    it( 'lets the form override the configured encoding and field lists', function() {
+        var model = getModel( modelStr.replace( 'version="3"', 'version="3" ballot-encoding="indexed" ballot-exclude="/data/rep instanceID"' ) );
+        var options = ballot.getOptions( model );
+        expect( options.encoding ).to.equal( 'indexed' );
+        expect( options.exclude ).to.deep.equal( [ '/data/rep', 'instanceID' ] );
+        expect( Object.keys( ballot.getPayload( model, 'abcd' ).data ) )
+            .to.deep.equal( [ '/data/name', '/data/grp/name', '/data/grp/age', '/data/meta/uuid' ] );
+    } );
+
+    it( 'throws an error for an unknown encoding', function() {
+        var model = getModel( modelStr.replace( 'version="3"', 'version="3" ballot-encoding="csv"' ) );
+        expect( function() {
+            ballot.getOptions( model );
+        } ).to.throw( /Unknown ballot encoding "csv"/ );
+    } );
+
+} );
+
+describe( 'Ballot chunks', function() {
+    var payload = ballot.getPayload( getModel(), 'abcd', getOptions( 'xpath' ) );
+    var large = ballot.getPayload( getModel(), 'abcd', getOptions( 'xpath' ) );
+
+    for ( var i = 0; i < 100; i++ ) {
+        large.data[ '/data/q' + i ] = 'answer ' + i + ' ' + Math.random();
+    }
+
+    it( 'wraps a small payload in a single chunk with a header', function() {
+        var chunks = ballot.getChunks( payload, 'rec1', 300 );
+        expect( chunks.length ).to.equal( 1 );
+        expect( chunks[ 0 ] ).to.match( /^ENKB1:rec1:1\/1:[0-9a-f]{8}:/ );
+    } );
+
+    it( 'splits a large payload into a numbered sequence of chunks that fit the capacity', function() {
+        var chunks = ballot.getChunks( large, 'rec1', 200 );
+        expect( chunks.length ).to.be.above( 1 );
+        chunks.forEach( function( chunk, i ) {
+            expect( chunk.length ).to.be.at.most( 200 );
+            expect( ballot.parseChunk( chunk ).index ).to.equal( i + 1 );
+            expect( ballot.parseChunk( chunk ).total ).to.equal( chunks.length );
+        } );
+    } );
+
+    it( 're-assembles chunks in any order', function() {
+        var chunks = ballot.getChunks( large, 'rec1', 200 ).reverse();
+        expect( ballot.assemble( chunks ) ).to.deep.equal( large );
+    } );
+
+    it( 'rejects an incomplete set of chunks', function() {
+        var chunks = ballot.getChunks( large, 'rec1', 200 ).slice( 1 );
+        expect( function() {
+            ballot.assemble( chunks );
+        } ).to.throw( /QR code 1 of \d+ is missing/ );
+    } );
+
+    it( 'rejects chunks of different records', function() {
+        var chunks = ballot.getChunks( large, 'rec1', 200 );
+        chunks[ 1 ] = ballot.getChunks( large, 'rec2', 200 )[ 1 ];
+        expect( function() {
+            ballot.assemble( chunks );
+        } ).to.throw( /same ballot/ );
+    } );
+
+    it( 'rejects chunks with altered data', function() {
+        var chunks = ballot.getChunks( payload, 'rec1', 300 );
+        var last = chunks[ 0 ].length - 2;
+        chunks[ 0 ] = chunks[ 0 ].substring( 0, last ) + ( chunks[ 0 ][ last ] === 'A' ? 'B' : 'A' ) + chunks[ 0 ].substring( last + 1 );
+        expect( function() {
+            ballot.assemble( chunks );
+        } ).to.throw( /checksum/ );
+    } );
+
+    it( 'returns null when parsing something that is not a ballot chunk', function() {
+        expect( ballot.parseChunk( 'http://example.org' ) ).to.equal( null );
+        expect( ballot.parseChunk( 'ENKB1:rec1:3/2:0000abcd:abc' ) ).to.equal( null );
+    } );
+
+} );
+
+describe( 'Ballot import', function() {
+    var payload = ballot.getPayload( getModel(), 'abcd', getOptions( 'xpath' ) );
+    var emptyModelStr = '<model><instance><data id="ballot" version="3">' +
+        '<name/><grp><name/><age/></grp><rep><name/></rep><meta><instanceID/><uuid/></meta>' +
+        '</data></instance></model>';
+
+    function getRecord( p ) {
+        var record = new FormModel( {
+            modelStr: emptyModelStr,
+            instanceStr: ballot.getRecordStr( p, getModel( emptyModelStr ), [ '/data/rep' ] ),
+            submitted: false
+        } );
+        record.init();
+        return record;
+    }
+
+    it( 'assembles the ballots of several records and ignores other QR codes', function() {
+        var other = ballot.getPayload( getModel(), 'abcd', getOptions( 'indexed' ) );
+        var contents = [ 'http://example.org' ]
+            .concat( ballot.getChunks( payload, 'rec1', 100 ) )
+            .concat( ballot.getChunks( other, 'rec2', 100 ).reverse() );
+        var result = ballot.assembleAll( contents );
+        expect( result.ballots ).to.deep.equal( [ payload, other ] );
+        expect( result.errors ).to.deep.equal( [] );
+    } );
+
+    it( 'reports incomplete records', function() {
+        var result = ballot.assembleAll( ballot.getChunks( payload, 'rec1', 100 ).slice( 1 ) );
+        expect( result.ballots.length ).to.equal( 0 );
+        expect( result.errors[ 0 ] ).to.match( /^rec1: .*QR code 1 of \d+ is missing/ );
+    } );
+
+    it( 'opens a signed ballot and checks that it belongs to the form', function() {
+        var signed = {
+            schema: 'enketo-ballot-signed/1',
+            payload: JSON.stringify( payload ),
+            signature: 'abc'
+        };
+        expect( ballot.open( signed, 'abcd', '3' ) ).to.deep.equal( payload );
+        expect( function() {
+            ballot.open( payload, 'efgh', '3' );
+        } ).to.throw( /different survey/ );
+        expect( function() {
+            ballot.open( payload, 'abcd', '4' );
+        } ).to.throw( /different form version/ );
+    } );
+
+    [ 'xpath', 'indexed', 'xml' ].forEach( function( encoding ) {
+        it( 'rebuilds the record from a ballot with the ' + encoding + ' encoding', function() {
+            var record = getRecord( ballot.getPayload( getModel(), 'abcd', getOptions( encoding ) ) );
+            expect( record.node( '/data/name' ).getVal() ).to.deep.equal( [ 'Anna' ] );
+            expect( record.node( '/data/grp/age' ).getVal() ).to.deep.equal( [ '4' ] );
+            expect( record.node( '/data/rep/name' ).getVal() ).to.deep.equal( [ 'C', 'D' ] );
+            expect( record.getInstanceID() ).to.equal( 'uuid:a' );
+        } );
+    } );
+
+    it( 'rebuilds the record from a ballot with the flat encoding if node names are unique', function() {
+        var flat = ballot.getPayload( getModel(), 'abcd', getOptions( 'flat', [ 'age', 'instanceID' ] ) );
+        var record = getRecord( flat );
+        expect( record.node( '/data/grp/age' ).getVal() ).to.deep.equal( [ '4' ] );
+        expect( record.getInstanceID() ).to.equal( 'uuid:a' );
+
+        flat.data.name = 'Anna';
+        expect( function() {
+            getRecord( flat );
+        } ).to.throw( /Cannot determine the node for name/ );
+    } );
+
+    it( 'refuses to rebuild a record with fields that do not exist in the form', function() {
+        expect( function() {
+            ballot.getRecordStr( {
+                encoding: 'xpath',
+                data: {
+                    '/data/nope': 'a'
+                }
+            }, getModel(), [] );
+        } ).to.throw( /does not exist/ );
+    } );
+
+    describe( 'if ballots are signed', function() {
+        var sandbox;
+        var ballotConfig;
+        var verifyStub;
+
+        beforeEach( function() {
+            sandbox = sinon.sandbox.create();
+            verifyStub = sandbox.stub( connection, 'verifyBallot' );
+            ballotConfig = config.ballot;
+            config.ballot = {
+                signed: true
+            };
+        } );
+
+        afterEach( function() {
+            sandbox.restore();
+            config.ballot = ballotConfig;
+        } );
+
+        it( 'opens a ballot that the server verified', function() {
+            var signed = {
+                schema: 'enketo-ballot-signed/1',
+                payload: JSON.stringify( payload ),
+                signature: 'abc'
+            };
+
+            verifyStub.returns( Promise.resolve( payload ) );
+
+            return ballot.verify( signed, 'abcd', '3' )
+                .then( function( result ) {
+                    expect( verifyStub.getCall( 0 ).args[ 0 ] ).to.equal( signed );
+                    expect( result ).to.deep.equal( payload );
+                } );
+        } );
+
+        it( 'refuses a ballot with a tampered payload', function( done ) {
+            var tampered = JSON.parse( JSON.stringify( payload ) );
+            var error = new Error( 'Ballot signature is not valid. It was altered or belongs to a different survey.' );
+
+            tampered.data[ '/data/name' ] = 'Mallory';
+            error.status = 400;
+            verifyStub.returns( Promise.reject( error ) );
+
+            ballot.verify( {
+                    schema: 'enketo-ballot-signed/1',
+                    payload: JSON.stringify( tampered ),
+                    signature: 'abc'
+                }, 'abcd', '3' )
+                .then( function() {
+                    done( new Error( 'A tampered ballot was opened.' ) );
+                } )
+                .catch( function( e ) {
+                    expect( e.message ).to.match( /signature is not valid/ );
+                    done();
+                } )
+                .catch( done );
+        } );
+
+        it( 'refuses an unsigned ballot', function( done ) {
+            ballot.verify( payload, 'abcd', '3' )
+                .then( function() {
+                    done( new Error( 'An unsigned ballot was opened.' ) );
+                } )
+                .catch( function( e ) {
+                    expect( e.message ).to.equal( 'Ballot is not signed.' );
+                    expect( verifyStub.callCount ).to.equal( 0 );
+                    done();
+                } )
+                .catch( done );
+        } );
+    } );
+
+} );
+
+describe( 'Ballot summary', function() {
+    var formStr = '<form class="or">' +
+        '<label class="question"><span class="question-label active">Your name</span><input type="text" name="/data/name"/></label>' +
+        '<section class="or-group" name="/data/grp">' +
+        '<label class="question"><span class="question-label active">Friend</span><input type="text" name="/data/grp/name"/></label>' +
+        '<fieldset class="question"><legend><span class="question-label active">Age</span></legend>' +
+        '<label><input type="radio" name="/data/grp/age" value="4"/><span class="option-label active">four</span></label>' +
+        '</fieldset></section>' +
+        '<section class="or-repeat" name="/data/rep"><label class="question"><span class="question-label active">Child</span><input type="text" name="/data/rep/name"/></label></section>' +
+        '<section class="or-repeat" name="/data/rep"><label class="question"><span class="question-label active">Child</span><input type="text" name="/data/rep/name"/></label></section>' +
+        '</form>';
+
+    it( 'lists the included fields with the index amongst fields with the same path', function() {
+        var fields = ballot.getFields( getModel(), getOptions( 'xpath', [], [ '/data/meta' ] ) );
+        expect( fields ).to.deep.equal( [
+            { path: '/data/name', index: 0, value: 'Anna' },
+            { path: '/data/grp/name', index: 0, value: 'Bob' },
+            { path: '/data/grp/age', index: 0, value: '4' },
+            { path: '/data/rep/name', index: 0, value: 'C' },
+            { path: '/data/rep/name', index: 1, value: 'D' }
+        ] );
+    } );
+
+    it( 'uses the question and option labels of the form', function() {
+        var fields = ballot.getFields( getModel(), getOptions( 'xpath', [], [ '/data/meta' ] ) );
+        expect( ballotQr.getSummary( fields, $( formStr ) ) ).to.deep.equal( [
+            { label: 'Your name', value: 'Anna' },
+            { label: 'Friend', value: 'Bob' },
+            { label: 'Age', value: 'four' },
+            { label: 'Child (1)', value: 'C' },
+            { label: 'Child (2)', value: 'D' }
+        ] );
+    } );
+
+} );
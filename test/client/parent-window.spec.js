@@ -0,0 +1,117 @@
+/* global describe, require, it, beforeEach, afterEach, expect, sinon */
+'use strict';
+
+// karma runs the tests inside an iframe, so the webform is "iframed" here
+var parentWindow = require( '../../public/js/src/module/parent-window' );
+var settings = require( '../../public/js/src/module/settings' );
+
+describe( 'Parent window messages', function() {
+    var sandbox;
+    var postMessageSpy;
+    var handlers = {
+        getValidationStatus: function() {
+            return {
+                valid: true
+            };
+        }
+    };
+
+    function getEvent( data, origin ) {
+        return {
+            data: JSON.stringify( data ),
+            origin: origin || 'https://example.org',
+            source: window.parent
+        };
+    }
+
+    function getResponse() {
+        return JSON.parse( postMessageSpy.getCall( 0 ).args[ 0 ] );
+    }
+
+    beforeEach( function() {
+        sandbox = sinon.sandbox.create();
+        postMessageSpy = sandbox.stub( window.parent, 'postMessage' );
+        settings.parentWindowOrigin = 'https://example.org/page?a=b';
+    } );
+
+    afterEach( function() {
+        sandbox.restore();
+        delete settings.parentWindowOrigin;
+    } );
+
+    it( 'responds to a request from the parent window origin', function() {
+        expect( parentWindow.init( handlers ) ).to.equal( true );
+
+        return parentWindow._onMessage( getEvent( {
+                enketo: 1,
+                id: 3,
+                request: 'getValidationStatus'
+            } ) )
+            .then( function() {
+                expect( postMessageSpy.callCount ).to.equal( 1 );
+                expect( postMessageSpy.getCall( 0 ).args[ 1 ] ).to.equal( 'https://example.org' );
+                expect( getResponse() ).to.deep.equal( {
+                    enketo: 1,
+                    id: 3,
+                    response: 'getValidationStatus',
+                    result: {
+                        valid: true
+                    },
+                    error: null
+                } );
+            } );
+    } );
+
+    it( 'refuses a request with another protocol version', function() {
+        parentWindow.init( handlers );
+
+        return parentWindow._onMessage( getEvent( {
+                enketo: 2,
+                request: 'getValidationStatus'
+            } ) )
+            .then( function() {
+                expect( getResponse().result ).to.equal( null );
+                expect( getResponse().error ).to.equal( 'Unsupported version: 2. Use version 1.' );
+            } );
+    } );
+
+    it( 'ignores a request from another origin', function() {
+        parentWindow.init( handlers );
+
+        expect( parentWindow._onMessage( getEvent( {
+            enketo: 1,
+            request: 'getValidationStatus'
+        }, 'https://evil.example.org' ) ) ).to.equal( undefined );
+        expect( postMessageSpy.callCount ).to.equal( 0 );
+    } );
+
+    it( 'ignores a request from another window', function() {
+        var event = getEvent( {
+            enketo: 1,
+            request: 'getValidationStatus'
+        } );
+
+        parentWindow.init( handlers );
+        event.source = window;
+
+        expect( parentWindow._onMessage( event ) ).to.equal( undefined );
+        expect( postMessageSpy.callCount ).to.equal( 0 );
+    } );
+
+    it( 'exchanges messages with any origin of the parent window if the parentWindowOrigin is *', function() {
+        settings.parentWindowOrigin = '*';
+        parentWindow.init( handlers );
+
+        return parentWindow._onMessage( getEvent( {
+                enketo: 1,
+                request: 'getValidationStatus'
+            }, 'https://other.example.org' ) )
+            .then( function() {
+                expect( postMessageSpy.getCall( 0 ).args[ 1 ] ).to.equal( '*' );
+                expect( getResponse().result ).to.deep.equal( {
+                    valid: true
+                } );
+            } );
+    } );
+
+} );
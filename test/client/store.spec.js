@@ -313,6 +313,26 @@ describe( 'Client Storage', function() {
                 .then( done, done );
         } );
 
+        it( 'keeps the defaults and the availability window of the survey', function( done ) {
+            store.survey.set( surveyA )
+                .then( function() {
+                    surveyA.hash = '6789';
+                    surveyA.defaults = {
+                        '/data/name': 'Jane'
+                    };
+                    surveyA.openUntil = '2030-01-01T00:00:00.000Z';
+                    return store.survey.update( surveyA );
+                } )
+                .then( function() {
+                    return store.survey.get( surveyA.enketoId );
+                } )
+                .then( function( result ) {
+                    expect( result.defaults ).to.deep.equal( surveyA.defaults );
+                    expect( result.openUntil ).to.equal( surveyA.openUntil );
+                } )
+                .then( done, done );
+        } );
+
         it( 'succeeds if the survey has the required properties and contains file resources', function( done ) {
             var urlA = resourceA.url;
             var type = resourceA.item.type;
@@ -218,6 +218,26 @@ describe( 'Client Utilities', function() {
         } );
     } );
 
+    describe( 'Origin extractor', function() {
+        [
+            [ 'https://example.org', 'https://example.org' ],
+            [ 'https://Example.ORG/path?q=1#hash', 'https://example.org' ],
+            [ 'HTTP://example.org:80/path', 'http://example.org' ],
+            [ 'https://example.org:443', 'https://example.org' ],
+            [ 'https://example.org:8443/', 'https://example.org:8443' ],
+            [ 'https://example.org@evil.org/', null ],
+            [ 'https://evil.org\\@example.org/', null ],
+            [ '//evil.org/path', null ],
+            [ '/path', null ],
+            [ 'ftp://example.org', null ],
+            [ undefined, null ]
+        ].forEach( function( test ) {
+            it( 'extracts ' + test[ 1 ] + ' from ' + test[ 0 ], function() {
+                expect( utils.getOrigin( test[ 0 ] ) ).to.equal( test[ 1 ] );
+            } );
+        } );
+    } );
+
     describe( 'Title extractor', function() {
         [
             [ '<html><head><title></title></head><form><h3 id="form-title">title</h3></form></html>', 'title' ],
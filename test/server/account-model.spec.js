@@ -1,4 +1,4 @@
-/* global describe, require, it */
+/* global describe, require, it, afterEach */
 'use strict';
 
 // safer to ensure this here (in addition to grunt:env:test)
@@ -11,6 +11,10 @@ var chaiAsPromised = require( 'chai-as-promised' );
 var config = require( '../../app/models/config-model' ).server;
 config[ 'account lib' ] = undefined;
 var model = require( '../../app/models/account-model' );
+var redis = require( 'redis' );
+var client = redis.createClient( config.redis.main.port, config.redis.main.host, {
+    auth_pass: config.redis.main.password
+} );
 
 chai.use( chaiAsPromised );
 
@@ -81,4 +85,312 @@ describe( 'Account Model', function() {
 
     } );
 
+    describe( 'stored accounts', function() {
+
+        afterEach( function( done ) {
+            client.select( 15, function( err ) {
+                if ( err ) {
+                    return done( err );
+                }
+                client.flushdb( done );
+            } );
+        } );
+
+        it( 'creates an account with a generated API key and unlimited quota', function() {
+            return model.create( {
+                    linkedServer: 'https://example.org'
+                } )
+                .then( function( account ) {
+                    expect( account.key ).to.have.length( 32 );
+                    expect( account.quota ).to.equal( Infinity );
+                    expect( account.active ).to.equal( true );
+                    return expect( model.create( {
+                        linkedServer: 'http://example.org/'
+                    } ) ).to.eventually.be.rejected.and.have.property( 'status', 409 );
+                } );
+        } );
+
+        it( 'creates a complete account only once for nearly simultaneous create requests', function() {
+            return Promise.all( [ 'a', 'b' ].map( function( key ) {
+                    return model.create( {
+                            linkedServer: 'https://example.org',
+                            key: key
+                        } )
+                        .catch( function( error ) {
+                            return error.status;
+                        } );
+                } ) )
+                .then( function( results ) {
+                    var created = results.filter( function( result ) {
+                        return result !== 409;
+                    } );
+
+                    expect( created.length ).to.equal( 1 );
+                    return model.getStored( 'https://example.org' )
+                        .then( function( account ) {
+                            expect( account.keyHint ).to.equal( created[ 0 ].keyHint );
+                            expect( account.active ).to.equal( true );
+                        } );
+                } );
+        } );
+
+        it( 'stores a hash of the API key and accepts the key of an account stored by an older version', function() {
+            var key;
+
+            return model.create( {
+                    linkedServer: 'https://example.org'
+                } )
+                .then( function( account ) {
+                    key = account.key;
+                    return Promise.all( [
+                        model.getStored( 'https://example.org' ),
+                        new Promise( function( resolve, reject ) {
+                            client.hgetall( 'ac:example.org', function( error, obj ) {
+                                return error ? reject( error ) : resolve( obj );
+                            } );
+                        } ),
+                        new Promise( function( resolve, reject ) {
+                            client.hmset( 'ac:example.org/legacy', {
+                                linkedServer: 'https://example.org/legacy',
+                                key: 'legacykey',
+                                created: new Date().toISOString()
+                            }, function( error ) {
+                                return error ? reject( error ) : resolve();
+                            } );
+                        } )
+                    ] );
+                } )
+                .then( function( results ) {
+                    expect( results[ 0 ].key ).to.equal( undefined );
+                    expect( results[ 0 ].keyHint ).to.equal( key.slice( -4 ) );
+                    expect( JSON.stringify( results[ 1 ] ) ).to.not.contain( key );
+                    return model.getStored( 'https://example.org/legacy' );
+                } )
+                .then( function( legacy ) {
+                    expect( legacy.key ).to.equal( undefined );
+                    return Promise.all( [
+                        model.authenticate( legacy, 'legacykey' ),
+                        model.authenticate( legacy, 'legacykez' )
+                    ] );
+                } )
+                .then( function( apiKeys ) {
+                    expect( apiKeys[ 0 ].name ).to.equal( 'main' );
+                    expect( apiKeys[ 1 ] ).to.equal( null );
+                } );
+        } );
+
+        it( 'returns the stored account with the most specific linked server', function() {
+            return Promise.all( [
+                    model.create( {
+                        linkedServer: 'https://example.org',
+                        key: 'a'
+                    } ),
+                    model.create( {
+                        linkedServer: 'https://example.org/john',
+                        key: 'b',
+                        quota: 10
+                    } )
+                ] )
+                .then( function() {
+                    return Promise.all( [
+                        model.get( 'http://example.org/john/forms' ),
+                        model.get( 'https://example.org/jane' )
+                    ] );
+                } )
+                .then( function( accounts ) {
+                    expect( accounts[ 0 ].keyHint ).to.equal( 'b' );
+                    expect( accounts[ 0 ].quota ).to.equal( 10 );
+                    expect( accounts[ 1 ].keyHint ).to.equal( 'a' );
+                } );
+        } );
+
+        it( 'refuses a suspended account', function() {
+            return model.create( {
+                    linkedServer: 'https://example.org'
+                } )
+                .then( function() {
+                    return model.update( {
+                        linkedServer: 'https://example.org',
+                        active: false
+                    } );
+                } )
+                .then( function() {
+                    return expect( model.get( 'https://example.org' ) ).to.eventually.be.rejected.and.have.property( 'status', 403 );
+                } );
+        } );
+
+        it( 'rotates the API key and lists accounts', function() {
+            var oldKey;
+
+            return model.create( {
+                    linkedServer: 'https://example.org'
+                } )
+                .then( function( account ) {
+                    oldKey = account.key;
+                    return model.rotateKey( 'https://example.org' );
+                } )
+                .then( function( account ) {
+                    expect( account.key ).to.not.equal( oldKey );
+                    return model.list();
+                } )
+                .then( function( accounts ) {
+                    expect( accounts.length ).to.equal( 1 );
+                    expect( accounts[ 0 ].linkedServer ).to.equal( 'https://example.org' );
+                } );
+        } );
+
+        it( 'authenticates additional keys with their scopes until they expire', function() {
+            var account;
+            var keys = {};
+
+            return model.create( {
+                    linkedServer: 'https://example.org'
+                } )
+                .then( function( acc ) {
+                    account = acc;
+                    return Promise.all( [
+                        model.addKey( 'https://example.org', {
+                            name: 'dashboard',
+                            scopes: [ 'read' ]
+                        } ),
+                        model.addKey( 'https://example.org', {
+                            name: 'old',
+                            scopes: [ 'create' ],
+                            expires: new Date( Date.now() - 1000 ).toISOString()
+                        } )
+                    ] );
+                } )
+                .then( function( added ) {
+                    keys.dashboard = added[ 0 ].key;
+                    keys.old = added[ 1 ].key;
+                    return Promise.all( [
+                        model.authenticate( account, account.key ),
+                        model.authenticate( account, keys.dashboard ),
+                        model.authenticate( account, keys.old ),
+                        model.authenticate( account, 'wrong' )
+                    ] );
+                } )
+                .then( function( apiKeys ) {
+                    expect( model.hasScope( apiKeys[ 0 ], 'edit' ) ).to.equal( true );
+                    expect( apiKeys[ 1 ].name ).to.equal( 'dashboard' );
+                    expect( model.hasScope( apiKeys[ 1 ], 'read' ) ).to.equal( true );
+                    expect( model.hasScope( apiKeys[ 1 ], 'create' ) ).to.equal( false );
+                    expect( apiKeys[ 2 ] ).to.equal( null );
+                    expect( apiKeys[ 3 ] ).to.equal( null );
+                    return model.listKeys( 'https://example.org' );
+                } )
+                .then( function( list ) {
+                    var dashboard = list.filter( function( key ) {
+                        return key.name === 'dashboard';
+                    } )[ 0 ];
+                    expect( list.length ).to.equal( 2 );
+                    expect( dashboard.calls ).to.equal( 1 );
+                    expect( dashboard.hint ).to.equal( keys.dashboard.slice( -4 ) );
+                } );
+        } );
+
+        it( 'keeps the replaced main key valid during the grace period', function() {
+            var account;
+
+            return model.create( {
+                    linkedServer: 'https://example.org'
+                } )
+                .then( function( acc ) {
+                    account = acc;
+                    return model.rotateKey( 'https://example.org', {
+                        grace: 3600
+                    } );
+                } )
+                .then( function( rotated ) {
+                    return Promise.all( [
+                        model.authenticate( rotated, rotated.key ),
+                        model.authenticate( rotated, account.key )
+                    ] );
+                } )
+                .then( function( apiKeys ) {
+                    expect( apiKeys[ 0 ].name ).to.equal( 'main' );
+                    expect( apiKeys[ 1 ].name ).to.equal( 'rotated' );
+                } );
+        } );
+
+        it( 'revokes an additional key', function() {
+            var account;
+            var key;
+
+            return model.create( {
+                    linkedServer: 'https://example.org'
+                } )
+                .then( function( acc ) {
+                    account = acc;
+                    return model.addKey( 'https://example.org', {
+                        name: 'temporary',
+                        scopes: [ 'edit' ]
+                    } );
+                } )
+                .then( function( added ) {
+                    key = added.key;
+                    return model.revokeKey( 'https://example.org', added.id );
+                } )
+                .then( function() {
+                    return expect( model.authenticate( account, key ) ).to.eventually.equal( null );
+                } );
+        } );
+
+        it( 'refuses keys without valid scopes', function() {
+            return model.create( {
+                    linkedServer: 'https://example.org'
+                } )
+                .then( function() {
+                    return expect( model.addKey( 'https://example.org', {
+                        name: 'a',
+                        scopes: [ 'everything' ]
+                    } ) ).to.eventually.be.rejected.and.have.property( 'status', 400 );
+                } );
+        } );
+
+        it( 'stores normalized return URL origins and only allows return URLs with these origins', function() {
+            return model.create( {
+                    linkedServer: 'https://example.org',
+                    returnUrlOrigins: [ 'https://Example.org/', 'http://localhost:8005', 'https://example.org:443' ]
+                } )
+                .then( function( account ) {
+                    expect( account.returnUrlOrigins ).to.deep.equal( [ 'https://example.org', 'http://localhost:8005' ] );
+                    expect( model.isAllowedReturnUrl( account, 'https://example.org/thanks?a=b' ) ).to.equal( true );
+                    expect( model.isAllowedReturnUrl( account, 'http://localhost:8005/' ) ).to.equal( true );
+                    expect( model.isAllowedReturnUrl( account, 'http://example.org/thanks' ) ).to.equal( false );
+                    expect( model.isAllowedReturnUrl( account, 'https://example.org.evil.org' ) ).to.equal( false );
+                    expect( model.isAllowedReturnUrl( account, 'https://example.org@evil.org' ) ).to.equal( false );
+                    expect( model.isAllowedReturnUrl( account, '/thanks' ) ).to.equal( false );
+                    return model.update( {
+                        linkedServer: 'https://example.org',
+                        returnUrlOrigins: []
+                    } );
+                } )
+                .then( function( account ) {
+                    expect( account.returnUrlOrigins ).to.deep.equal( [] );
+                    expect( model.isAllowedReturnUrl( account, 'https://anywhere.org' ) ).to.equal( true );
+                    expect( model.isAllowedReturnUrl( account, 'ftp://anywhere.org' ) ).to.equal( false );
+                    expect( model.isAllowedReturnUrl( account, 'data:text/html,hello' ) ).to.equal( false );
+                    expect( model.isAllowedReturnUrl( account, '/thanks' ) ).to.equal( false );
+                } );
+        } );
+
+        it( 'refuses invalid return URL origins', function() {
+            return Promise.all( [ 'example.org', 'ftp://example.org', 'https://example.org/path' ].map( function( origin ) {
+                return expect( model.create( {
+                    linkedServer: 'https://example.org',
+                    returnUrlOrigins: [ origin ]
+                } ) ).to.eventually.be.rejected.and.have.property( 'status', 400 );
+            } ) );
+        } );
+
+        it( 'returns 404 when updating a non-existing account', function() {
+            return expect( model.update( {
+                linkedServer: 'https://example.org',
+                quota: 5
+            } ) ).to.eventually.be.rejected.and.have.property( 'status', 404 );
+        } );
+
+    } );
+
 } );
@@ -0,0 +1,450 @@
+/* global describe, require, it, before, after, afterEach */
+'use strict';
+
+// safer to ensure this here (in addition to grunt:env:test)
+process.env.NODE_ENV = 'test';
+
+var request = require( 'supertest' );
+var chai = require( 'chai' );
+var expect = chai.expect;
+var config = require( '../../app/models/config-model' ).server;
+config[ 'base path' ] = '';
+var app = require( '../../config/express' );
+var redis = require( 'redis' );
+var client = redis.createClient( config.redis.main.port, config.redis.main.host, {
+    auth_pass: config.redis.main.password
+} );
+
+describe( 'Admin API', function() {
+    var adminKey = 'admin-secret';
+    var validAuth = {
+        'Authorization': 'Basic ' + new Buffer( adminKey + ':' ).toString( 'base64' )
+    };
+    var invalidAuth = {
+        'Authorization': 'Basic ' + new Buffer( 'wrong:' ).toString( 'base64' )
+    };
+    var server = 'https://example.org/jane';
+    var originalKey;
+
+    before( function() {
+        originalKey = config[ 'admin api key' ];
+        config[ 'admin api key' ] = adminKey;
+    } );
+
+    after( function() {
+        config[ 'admin api key' ] = originalKey;
+    } );
+
+    afterEach( function( done ) {
+        client.select( 15, function( err ) {
+            if ( err ) {
+                return done( err );
+            }
+            client.flushdb( done );
+        } );
+    } );
+
+    function createAccount() {
+        return request( app )
+            .post( '/api/admin/account' )
+            .set( validAuth )
+            .send( {
+                server_url: server,
+                quota: 20
+            } );
+    }
+
+    it( 'responds with 401 for an invalid admin key', function( done ) {
+        request( app )
+            .get( '/api/admin/accounts' )
+            .set( invalidAuth )
+            .expect( 401, done );
+    } );
+
+    it( 'responds with 405 if the admin API is not enabled', function( done ) {
+        config[ 'admin api key' ] = '';
+        request( app )
+            .get( '/api/admin/accounts' )
+            .set( validAuth )
+            .expect( 405 )
+            .end( function( err ) {
+                config[ 'admin api key' ] = adminKey;
+                done( err );
+            } );
+    } );
+
+    it( 'creates an account that can use the API', function( done ) {
+        createAccount()
+            .expect( 201 )
+            .end( function( err, res ) {
+                if ( err ) {
+                    return done( err );
+                }
+                expect( res.body.server_url ).to.equal( server );
+                expect( res.body.quota ).to.equal( 20 );
+                expect( res.body.active ).to.equal( true );
+                expect( res.body.require_signed_urls ).to.equal( false );
+                request( app )
+                    .get( '/api/v2/surveys/number' )
+                    .set( 'Authorization', 'Basic ' + new Buffer( res.body.api_key + ':' ).toString( 'base64' ) )
+                    .query( {
+                        server_url: server
+                    } )
+                    .expect( 404, done );
+            } );
+    } );
+
+    it( 'responds with 409 if the account exists already', function( done ) {
+        createAccount()
+            .expect( 201 )
+            .end( function( err ) {
+                if ( err ) {
+                    return done( err );
+                }
+                createAccount().expect( 409, done );
+            } );
+    } );
+
+    it( 'updates, suspends and lists accounts', function( done ) {
+        createAccount()
+            .expect( 201 )
+            .end( function( err ) {
+                if ( err ) {
+                    return done( err );
+                }
+                request( app )
+                    .put( '/api/admin/account' )
+                    .set( validAuth )
+                    .send( {
+                        server_url: server,
+                        quota: '',
+                        require_signed_urls: 'true'
+                    } )
+                    .expect( 200 )
+                    .expect( function( res ) {
+                        expect( res.body.quota ).to.equal( null );
+                        expect( res.body.require_signed_urls ).to.equal( true );
+                    } )
+                    .end( function( err ) {
+                        if ( err ) {
+                            return done( err );
+                        }
+                        request( app )
+                            .delete( '/api/admin/account' )
+                            .set( validAuth )
+                            .send( {
+                                server_url: server
+                            } )
+                            .expect( 204 )
+                            .end( function( err ) {
+                                if ( err ) {
+                                    return done( err );
+                                }
+                                request( app )
+                                    .get( '/api/admin/accounts' )
+                                    .set( validAuth )
+                                    .expect( 200 )
+                                    .expect( function( res ) {
+                                        expect( res.body.accounts.length ).to.equal( 1 );
+                                        expect( res.body.accounts[ 0 ].active ).to.equal( false );
+                                    } )
+                                    .end( done );
+                            } );
+                    } );
+            } );
+    } );
+
+    it( 'rotates the API key of an account', function( done ) {
+        createAccount()
+            .expect( 201 )
+            .end( function( err, res ) {
+                if ( err ) {
+                    return done( err );
+                }
+                request( app )
+                    .post( '/api/admin/account/key' )
+                    .set( validAuth )
+                    .send( {
+                        server_url: server
+                    } )
+                    .expect( 200 )
+                    .expect( function( resp ) {
+                        expect( resp.body.api_key ).to.not.equal( res.body.api_key );
+                    } )
+                    .end( done );
+            } );
+    } );
+
+    it( 'adds, lists and revokes API keys', function( done ) {
+        createAccount()
+            .expect( 201 )
+            .end( function( err ) {
+                if ( err ) {
+                    return done( err );
+                }
+                request( app )
+                    .post( '/api/admin/account/keys' )
+                    .set( validAuth )
+                    .send( {
+                        server_url: server,
+                        name: 'dashboard',
+                        scopes: 'read,create'
+                    } )
+                    .expect( 201 )
+                    .end( function( err, res ) {
+                        if ( err ) {
+                            return done( err );
+                        }
+                        expect( res.body.api_key ).to.be.a( 'string' );
+                        expect( res.body.scopes ).to.deep.equal( [ 'read', 'create' ] );
+                        request( app )
+                            .delete( '/api/admin/account/keys' )
+                            .set( validAuth )
+                            .send( {
+                                server_url: server,
+                                id: res.body.id
+                            } )
+                            .expect( 204 )
+                            .end( function( err ) {
+                                if ( err ) {
+                                    return done( err );
+                                }
+                                request( app )
+                                    .get( '/api/admin/account/keys' )
+                                    .set( validAuth )
+                                    .query( {
+                                        server_url: server
+                                    } )
+                                    .expect( 200 )
+                                    .expect( function( resp ) {
+                                        expect( resp.body.keys ).to.deep.equal( [] );
+                                    } )
+                                    .end( done );
+                            } );
+                    } );
+            } );
+    } );
+
+    describe( 'audit log', function() {
+        var apiAuth;
+
+        function createSurvey( formId ) {
+            return request( app )
+                .post( '/api/v2/survey' )
+                .set( apiAuth )
+                .send( {
+                    server_url: server,
+                    form_id: formId
+                } );
+        }
+
+        function getAuditLog( query ) {
+            return request( app )
+                .get( '/api/admin/audit' )
+                .set( validAuth )
+                .query( query );
+        }
+
+        it( 'records API calls that change something and returns them filtered by account and survey', function( done ) {
+            createAccount()
+                .expect( 201 )
+                .end( function( err, res ) {
+                    if ( err ) {
+                        return done( err );
+                    }
+                    apiAuth = {
+                        'Authorization': 'Basic ' + new Buffer( res.body.api_key + ':' ).toString( 'base64' )
+                    };
+                    createSurvey( 'a' )
+                        .expect( 201 )
+                        .end( function( err ) {
+                            if ( err ) {
+                                return done( err );
+                            }
+                            createSurvey( 'b' )
+                                .expect( 201 )
+                                .end( function( err ) {
+                                    if ( err ) {
+                                        return done( err );
+                                    }
+                                    // entries are added after the response has been sent
+                                    setTimeout( function() {
+                                        getAuditLog( {
+                                                server_url: server,
+                                                form_id: 'a'
+                                            } )
+                                            .expect( 200 )
+                                            .expect( function( resp ) {
+                                                expect( resp.body.entries.length ).to.equal( 1 );
+                                                expect( resp.body.entries[ 0 ] ).to.include( {
+                                                    server_url: server,
+                                                    key_name: 'main',
+                                                    method: 'POST',
+                                                    endpoint: '/api/v2/survey',
+                                                    form_id: 'a',
+                                                    status: 201
+                                                } );
+                                                expect( resp.body.entries[ 0 ].time ).to.be.a( 'string' );
+                                            } )
+                                            .end( function( err ) {
+                                                if ( err ) {
+                                                    return done( err );
+                                                }
+                                                getAuditLog( {
+                                                        server_url: 'https://example.org/john'
+                                                    } )
+                                                    .expect( 200 )
+                                                    .expect( function( resp ) {
+                                                        expect( resp.body.entries ).to.deep.equal( [] );
+                                                    } )
+                                                    .end( done );
+                                            } );
+                                    }, 100 );
+                                } );
+                        } );
+                } );
+        } );
+
+        it( 'returns a page of the entries of an account', function( done ) {
+            createAccount()
+                .expect( 201 )
+                .end( function( err, res ) {
+                    if ( err ) {
+                        return done( err );
+                    }
+                    apiAuth = {
+                        'Authorization': 'Basic ' + new Buffer( res.body.api_key + ':' ).toString( 'base64' )
+                    };
+                    createSurvey( 'a' )
+                        .expect( 201 )
+                        .end( function( err ) {
+                            if ( err ) {
+                                return done( err );
+                            }
+                            createSurvey( 'b' )
+                                .expect( 201 )
+                                .end( function( err ) {
+                                    if ( err ) {
+                                        return done( err );
+                                    }
+                                    // entries are added after the response has been sent
+                                    setTimeout( function() {
+                                        getAuditLog( {
+                                                server_url: server,
+                                                offset: 1,
+                                                limit: 1
+                                            } )
+                                            .expect( 200 )
+                                            .expect( function( resp ) {
+                                                expect( resp.body.entries.length ).to.equal( 1 );
+                                                expect( resp.body.entries[ 0 ].form_id ).to.equal( 'a' );
+                                            } )
+                                            .end( done );
+                                    }, 100 );
+                                } );
+                        } );
+                } );
+        } );
+
+        it( 'records a bulk call with invalid form IDs without the form IDs', function( done ) {
+            var formIds = [];
+
+            for ( var i = 0; i < 501; i++ ) {
+                formIds.push( 'f' + i );
+            }
+
+            createAccount()
+                .expect( 201 )
+                .end( function( err, res ) {
+                    if ( err ) {
+                        return done( err );
+                    }
+                    request( app )
+                        .post( '/api/v2/surveys' )
+                        .set( {
+                            'Authorization': 'Basic ' + new Buffer( res.body.api_key + ':' ).toString( 'base64' )
+                        } )
+                        .send( {
+                            server_url: server,
+                            form_ids: formIds
+                        } )
+                        .expect( 400 )
+                        .end( function( err ) {
+                            if ( err ) {
+                                return done( err );
+                            }
+                            // entries are added after the response has been sent
+                            setTimeout( function() {
+                                getAuditLog( {
+                                        server_url: server
+                                    } )
+                                    .expect( 200 )
+                                    .expect( function( resp ) {
+                                        expect( resp.body.entries.length ).to.equal( 1 );
+                                        expect( resp.body.entries[ 0 ].status ).to.equal( 400 );
+                                        expect( resp.body.entries[ 0 ].form_id ).to.equal( undefined );
+                                    } )
+                                    .end( function( err ) {
+                                        if ( err ) {
+                                            return done( err );
+                                        }
+                                        getAuditLog( {
+                                                form_id: 'f0'
+                                            } )
+                                            .expect( 200 )
+                                            .expect( function( resp ) {
+                                                expect( resp.body.entries ).to.deep.equal( [] );
+                                            } )
+                                            .end( done );
+                                    } );
+                            }, 100 );
+                        } );
+                } );
+        } );
+
+        it( 'returns no entries outside the time range', function( done ) {
+            getAuditLog( {
+                    to: '2000-01-01'
+                } )
+                .expect( 200 )
+                .expect( function( resp ) {
+                    expect( resp.body.entries ).to.deep.equal( [] );
+                } )
+                .end( done );
+        } );
+
+        it( 'responds with 400 for an invalid offset', function( done ) {
+            getAuditLog( {
+                    offset: '-1'
+                } )
+                .expect( 400, done );
+        } );
+
+        [ 'a', '0', '1001' ].forEach( function( limit ) {
+            it( 'responds with 400 for an invalid limit: ' + limit, function( done ) {
+                getAuditLog( {
+                        limit: limit
+                    } )
+                    .expect( 400, done );
+            } );
+        } );
+
+        it( 'responds with 400 for an invalid date', function( done ) {
+            getAuditLog( {
+                    from: 'yesterday'
+                } )
+                .expect( 400, done );
+        } );
+    } );
+
+    it( 'responds with 404 for a non-existing account', function( done ) {
+        request( app )
+            .get( '/api/admin/account' )
+            .set( validAuth )
+            .query( {
+                server_url: server
+            } )
+            .expect( 404, done );
+    } );
+
+} );
@@ -0,0 +1,157 @@
+/* global describe, require, it, beforeEach, afterEach */
+'use strict';
+
+// safer to ensure this here (in addition to grunt:env:test)
+process.env.NODE_ENV = 'test';
+
+var Promise = require( 'lie' );
+var chai = require( 'chai' );
+var expect = chai.expect;
+var chaiAsPromised = require( 'chai-as-promised' );
+var redis = require( 'redis' );
+var config = require( '../../app/models/config-model' ).server;
+var model = require( '../../app/models/alias-model' );
+var surveyModel = require( '../../app/models/survey-model' );
+var client = redis.createClient( config.redis.main.port, config.redis.main.host, {
+    auth_pass: config.redis.main.password
+} );
+
+chai.use( chaiAsPromised );
+
+describe( 'Alias Model', function() {
+    var id1;
+    var id2;
+    var id3;
+
+    beforeEach( function() {
+        return Promise.all( [
+            surveyModel.set( {
+                openRosaServer: 'https://ona.io/enketo',
+                openRosaId: 'a'
+            } ),
+            surveyModel.set( {
+                openRosaServer: 'https://ona.io/enketo',
+                openRosaId: 'b'
+            } ),
+            surveyModel.set( {
+                openRosaServer: 'https://kobo.org/enketo',
+                openRosaId: 'a'
+            } )
+        ] ).then( function( ids ) {
+            id1 = ids[ 0 ];
+            id2 = ids[ 1 ];
+            id3 = ids[ 2 ];
+        } );
+    } );
+
+    afterEach( function( done ) {
+        // select test database and flush it
+        client.select( 15, function( err ) {
+            if ( err ) {
+                return done( err );
+            }
+            client.flushdb( done );
+        } );
+    } );
+
+    it( 'sets and obtains an alias, ignoring case', function() {
+        return model.set( 'Household-2026', id1 )
+            .then( function( result ) {
+                expect( result ).to.deep.equal( {
+                    alias: 'household-2026',
+                    enketoId: id1,
+                    previous: null
+                } );
+                return expect( model.get( 'HOUSEHOLD-2026' ) ).to.eventually.equal( id1 );
+            } );
+    } );
+
+    [ 'ab', 'with space', 'under_score', '-start', 'a/b' ].forEach( function( alias ) {
+        it( 'rejects an invalid alias: "' + alias + '"', function() {
+            return expect( model.set( alias, id1 ) ).to.eventually.be.rejected.and.have.property( 'status', 400 );
+        } );
+    } );
+
+    it( 'rejects a non-existing alias with a 404 error', function() {
+        return expect( model.get( 'nope' ) ).to.eventually.be.rejected.and.have.property( 'status', 404 );
+    } );
+
+    it( 'moves an alias to another survey of the same server', function() {
+        return model.set( 'household', id1 )
+            .then( function() {
+                return model.set( 'household', id2 );
+            } )
+            .then( function( result ) {
+                expect( result.previous ).to.equal( id1 );
+                return Promise.all( [
+                    expect( model.get( 'household' ) ).to.eventually.equal( id2 ),
+                    expect( model.list( id1 ) ).to.eventually.deep.equal( [] ),
+                    expect( model.list( id2 ) ).to.eventually.deep.equal( [ 'household' ] )
+                ] );
+            } );
+    } );
+
+    it( 'moves an alias consistently for simultaneous requests', function() {
+        var id4;
+
+        return surveyModel.set( {
+                openRosaServer: 'https://ona.io/enketo',
+                openRosaId: 'c'
+            } )
+            .then( function( id ) {
+                id4 = id;
+                return model.set( 'household', id1 );
+            } )
+            .then( function() {
+                return Promise.all( [
+                    model.set( 'household', id2 ),
+                    model.set( 'household', id4 )
+                ] );
+            } )
+            .then( function() {
+                return Promise.all( [
+                    model.get( 'household' ),
+                    model.list( id1 ),
+                    model.list( id2 ),
+                    model.list( id4 )
+                ] );
+            } )
+            .then( function( results ) {
+                var owner = results[ 0 ];
+
+                expect( [ id2, id4 ] ).to.include( owner );
+                expect( results[ 1 ] ).to.deep.equal( [] );
+                expect( results[ 2 ] ).to.deep.equal( owner === id2 ? [ 'household' ] : [] );
+                expect( results[ 3 ] ).to.deep.equal( owner === id4 ? [ 'household' ] : [] );
+            } );
+    } );
+
+    it( 'rejects an alias of a survey of another server with a 409 error', function() {
+        return model.set( 'household', id1 )
+            .then( function() {
+                return expect( model.set( 'household', id3 ) ).to.eventually.be.rejected.and.have.property( 'status', 409 );
+            } );
+    } );
+
+    it( 'lists and removes the aliases of a survey', function() {
+        return model.set( 'zebra', id1 )
+            .then( function() {
+                return model.set( 'alpha', id1 );
+            } )
+            .then( function() {
+                return expect( model.list( id1 ) ).to.eventually.deep.equal( [ 'alpha', 'zebra' ] );
+            } )
+            .then( function() {
+                return expect( model.remove( 'zebra', id2 ) ).to.eventually.be.rejected.and.have.property( 'status', 404 );
+            } )
+            .then( function() {
+                return model.remove( 'zebra', id1 );
+            } )
+            .then( function() {
+                return Promise.all( [
+                    expect( model.list( id1 ) ).to.eventually.deep.equal( [ 'alpha' ] ),
+                    expect( model.get( 'zebra' ) ).to.eventually.be.rejected
+                ] );
+            } );
+    } );
+} );
@@ -13,6 +13,7 @@ var config = require( '../../app/models/config-model' ).server;
 config[ 'base path' ] = '';
 var app = require( '../../config/express' );
 var surveyModel = require( '../../app/models/survey-model' );
+var accountModel = require( '../../app/models/account-model' );
 var instanceModel = require( '../../app/models/instance-model' );
 var redis = require( 'redis' );
 var client = redis.createClient( config.redis.main.port, config.redis.main.host, {
@@ -37,13 +38,22 @@ describe( 'api', function() {
     var invalidServer = 'https://someotherserver.com/john';
 
     beforeEach( function( done ) {
-        // add survey if it doesn't exist in the db
-        surveyModel.set( {
-            openRosaServer: validServer,
-            openRosaId: validFormId,
-        } ).then( function() {
-            done();
-        } );
+        // add account and survey if they don't exist in the db
+        accountModel.create( {
+                linkedServer: validServer,
+                key: validApiKey,
+                quota: 100
+            } )
+            .catch( function() {} )
+            .then( function() {
+                return surveyModel.set( {
+                    openRosaServer: validServer,
+                    openRosaId: validFormId,
+                } );
+            } )
+            .then( function() {
+                done();
+            } );
     } );
 
     afterEach( function( done ) {
@@ -790,6 +800,26 @@ describe( 'api', function() {
                     expected: /.+\?.*parentWindowOrigin=http%3A%2F%2Fexample.com%2F/
                 }
             },
+            // a wildcard and origins with a path are accepted as well
+            {
+                endpoint: '/survey/iframe',
+                parentWindowOrigin: '*',
+                method: 'post',
+                status: 200,
+                res: {
+                    property: 'iframe_url',
+                    expected: /.+\?.*parentWindowOrigin=\*/
+                }
+            }, {
+                endpoint: '/survey/iframe',
+                parentWindowOrigin: 'http://example.com/path',
+                method: 'post',
+                status: 200,
+                res: {
+                    property: 'iframe_url',
+                    expected: /.+\?.*parentWindowOrigin=http%3A%2F%2Fexample.com%2Fpath/
+                }
+            },
             // non-iframe endpoints will ignore the parentWindowOrigin parameter
             {
                 endpoint: '/survey',
@@ -859,5 +889,621 @@ describe( 'api', function() {
             return obj;
         } ).forEach( testResponse );
 
+        describe( 'surveys/list pagination and filters', function() {
+
+            beforeEach( function() {
+                return surveyModel.set( {
+                    openRosaServer: validServer,
+                    openRosaId: 'other'
+                } );
+            } );
+
+            it( 'returns a page of the list with the total', function( done ) {
+                request( app )
+                    .get( '/api/v2/surveys/list' )
+                    .set( validAuth )
+                    .query( {
+                        server_url: validServer,
+                        offset: 1,
+                        limit: 1
+                    } )
+                    .expect( 200 )
+                    .expect( function( resp ) {
+                        if ( resp.body.total !== 2 || resp.body.offset !== 1 || resp.body.limit !== 1 ||
+                            resp.body.forms.length !== 1 || resp.body.forms[ 0 ].form_id !== 'other' ) {
+                            return new Error( 'Unexpected response ' + JSON.stringify( resp.body ) );
+                        }
+                    } )
+                    .end( done );
+            } );
+
+            it( 'filters the list and the number by form ID prefix', function( done ) {
+                request( app )
+                    .post( '/api/v2/surveys/number' )
+                    .set( validAuth )
+                    .send( {
+                        server_url: validServer,
+                        form_id_prefix: 'oth'
+                    } )
+                    .expect( 200 )
+                    .expect( function( resp ) {
+                        return responseCheck( resp.body.number, 1 );
+                    } )
+                    .end( done );
+            } );
+
+            it( 'filters by active state with a boolean', function( done ) {
+                request( app )
+                    .post( '/api/v2/surveys/number' )
+                    .set( validAuth )
+                    .send( {
+                        server_url: validServer,
+                        active: false
+                    } )
+                    .expect( 200 )
+                    .expect( function( resp ) {
+                        return responseCheck( resp.body.number, 0 );
+                    } )
+                    .end( function( error ) {
+                        if ( error ) {
+                            return done( error );
+                        }
+                        request( app )
+                            .post( '/api/v2/surveys/number' )
+                            .set( validAuth )
+                            .send( {
+                                server_url: validServer,
+                                active: true
+                            } )
+                            .expect( 200 )
+                            .expect( function( resp ) {
+                                return responseCheck( resp.body.number, 2 );
+                            } )
+                            .end( done );
+                    } );
+            } );
+
+            it( 'filters by active state with a string', function( done ) {
+                request( app )
+                    .get( '/api/v2/surveys/number' )
+                    .set( validAuth )
+                    .query( {
+                        server_url: validServer,
+                        active: 'false'
+                    } )
+                    .expect( 200 )
+                    .expect( function( resp ) {
+                        return responseCheck( resp.body.number, 0 );
+                    } )
+                    .end( function( error ) {
+                        if ( error ) {
+                            return done( error );
+                        }
+                        request( app )
+                            .get( '/api/v2/surveys/number' )
+                            .set( validAuth )
+                            .query( {
+                                server_url: validServer,
+                                active: 'true'
+                            } )
+                            .expect( 200 )
+                            .expect( function( resp ) {
+                                return responseCheck( resp.body.number, 2 );
+                            } )
+                            .end( done );
+                    } );
+            } );
+
+            it( 'responds with 400 for an invalid active parameter', function( done ) {
+                request( app )
+                    .post( '/api/v2/surveys/number' )
+                    .set( validAuth )
+                    .send( {
+                        server_url: validServer,
+                        active: 'yes'
+                    } )
+                    .expect( 400, done );
+            } );
+
+            it( 'responds with 400 for invalid pagination parameters', function( done ) {
+                request( app )
+                    .get( '/api/v2/surveys/list' )
+                    .set( validAuth )
+                    .query( {
+                        server_url: validServer,
+                        limit: -1
+                    } )
+                    .expect( 400, done );
+            } );
+
+            it( 'responds with 400 for an invalid launch date', function( done ) {
+                request( app )
+                    .get( '/api/v2/surveys/list' )
+                    .set( validAuth )
+                    .query( {
+                        server_url: validServer,
+                        launched_after: 'yesterday'
+                    } )
+                    .expect( 400, done );
+            } );
+        } );
+
+        describe( 'survey/info and surveys/info', function() {
+
+            it( 'returns the usage information of a survey', function( done ) {
+                request( app )
+                    .get( '/api/v2/survey/info' )
+                    .set( validAuth )
+                    .query( {
+                        server_url: validServer,
+                        form_id: validFormId
+                    } )
+                    .expect( 200 )
+                    .expect( function( resp ) {
+                        var body = resp.body;
+                        if ( body.form_id !== validFormId || body.active !== true || body.submissions !== 0 ||
+                            !body.launch_date || body.last_accessed !== null || body.form_hash !== null || !body.enketo_id ) {
+                            return new Error( 'Unexpected response ' + JSON.stringify( body ) );
+                        }
+                    } )
+                    .end( done );
+            } );
+
+            it( 'returns the usage information of a deactivated survey', function( done ) {
+                surveyModel.update( {
+                        openRosaServer: validServer,
+                        openRosaId: validFormId,
+                        active: false
+                    } )
+                    .then( function() {
+                        request( app )
+                            .get( '/api/v2/survey/info' )
+                            .set( validAuth )
+                            .query( {
+                                server_url: validServer,
+                                form_id: validFormId
+                            } )
+                            .expect( 200 )
+                            .expect( function( resp ) {
+                                return responseCheck( resp.body.active, false );
+                            } )
+                            .end( done );
+                    } )
+                    .catch( done );
+            } );
+
+            it( 'responds with 404 for a non-existing survey', function( done ) {
+                request( app )
+                    .get( '/api/v2/survey/info' )
+                    .set( validAuth )
+                    .query( {
+                        server_url: validServer,
+                        form_id: 'nonexisting'
+                    } )
+                    .expect( 404, done );
+            } );
+
+            it( 'returns the usage information of multiple surveys', function( done ) {
+                request( app )
+                    .post( '/api/v2/surveys/info' )
+                    .set( validAuth )
+                    .send( {
+                        server_url: validServer,
+                        form_ids: [ validFormId, 'nonexisting' ]
+                    } )
+                    .expect( 200 )
+                    .expect( function( resp ) {
+                        var body = resp.body;
+                        if ( body.surveys.length !== 1 || body.surveys[ 0 ].form_id !== validFormId ||
+                            body.not_found.length !== 1 || body.not_found[ 0 ] !== 'nonexisting' ) {
+                            return new Error( 'Unexpected response ' + JSON.stringify( body ) );
+                        }
+                    } )
+                    .end( done );
+            } );
+
+            it( 'responds with 400 if form_ids is missing', function( done ) {
+                request( app )
+                    .get( '/api/v2/surveys/info' )
+                    .set( validAuth )
+                    .query( {
+                        server_url: validServer
+                    } )
+                    .expect( 400, done );
+            } );
+        } );
+
+        describe( 'availability window', function() {
+
+            function createSurvey( params ) {
+                params.server_url = validServer;
+                params.form_id = 'window';
+                return request( app )
+                    .post( '/api/v2/survey' )
+                    .set( validAuth )
+                    .send( params );
+            }
+
+            it( 'stores the open_from and open_until dates of a survey', function( done ) {
+                createSurvey( {
+                        open_from: '2016-07-01T00:00:00.000Z',
+                        open_until: '2016-08-01T00:00:00.000Z'
+                    } )
+                    .expect( 201 )
+                    .end( function( err ) {
+                        if ( err ) {
+                            return done( err );
+                        }
+                        request( app )
+                            .get( '/api/v2/survey/info' )
+                            .set( validAuth )
+                            .query( {
+                                server_url: validServer,
+                                form_id: 'window'
+                            } )
+                            .expect( 200 )
+                            .expect( function( resp ) {
+                                if ( resp.body.open_from !== '2016-07-01T00:00:00.000Z' || resp.body.open_until !== '2016-08-01T00:00:00.000Z' ) {
+                                    return new Error( 'Unexpected response ' + JSON.stringify( resp.body ) );
+                                }
+                            } )
+                            .end( done );
+                    } );
+            } );
+
+            [
+                [ 'an invalid date', {
+                    open_from: 'tomorrow'
+                } ],
+                [ 'an open_from date after the open_until date', {
+                    open_from: '2016-08-01',
+                    open_until: '2016-07-01'
+                } ]
+            ].forEach( function( test ) {
+                it( 'responds with 400 for ' + test[ 0 ], function( done ) {
+                    createSurvey( test[ 1 ] )
+                        .expect( 400, done );
+                } );
+            } );
+        } );
+
+        describe( 'scoped API keys', function() {
+            var readOnlyAuth;
+
+            beforeEach( function() {
+                return accountModel.addKey( validServer, {
+                        name: 'dashboard',
+                        scopes: [ 'read' ]
+                    } )
+                    .then( function( key ) {
+                        readOnlyAuth = {
+                            'Authorization': 'Basic ' + new Buffer( key.key + ':' ).toString( 'base64' )
+                        };
+                    } );
+            } );
+
+            it( 'allows a read-only key to obtain a survey', function( done ) {
+                request( app )
+                    .get( '/api/v2/survey' )
+                    .set( readOnlyAuth )
+                    .query( {
+                        server_url: validServer,
+                        form_id: validFormId
+                    } )
+                    .expect( 200, done );
+            } );
+
+            it( 'refuses to create a survey with a read-only key', function( done ) {
+                request( app )
+                    .post( '/api/v2/survey' )
+                    .set( readOnlyAuth )
+                    .send( {
+                        server_url: validServer,
+                        form_id: 'new'
+                    } )
+                    .expect( 403, done );
+            } );
+
+            it( 'refuses to deactivate a survey with a read-only key', function( done ) {
+                request( app )
+                    .delete( '/api/v2/survey' )
+                    .set( readOnlyAuth )
+                    .send( {
+                        server_url: validServer,
+                        form_id: validFormId
+                    } )
+                    .expect( 403, done );
+            } );
+        } );
+
+        describe( 'variants', function() {
+
+            it( 'refuses a variant of a survey that does not exist', function( done ) {
+                request( app )
+                    .post( '/api/v2/survey' )
+                    .set( validAuth )
+                    .send( {
+                        server_url: validServer,
+                        form_id: 'nonexisting',
+                        variant: 'north'
+                    } )
+                    .expect( 404, done );
+            } );
+
+            it( 'creates a variant without counting it towards the quota', function( done ) {
+                accountModel.update( {
+                        linkedServer: validServer,
+                        quota: 1
+                    } )
+                    .then( function() {
+                        request( app )
+                            .post( '/api/v2/survey' )
+                            .set( validAuth )
+                            .send( {
+                                server_url: validServer,
+                                form_id: validFormId,
+                                variant: 'north'
+                            } )
+                            .expect( 201 )
+                            .end( function( err ) {
+                                if ( err ) {
+                                    return done( err );
+                                }
+                                request( app )
+                                    .get( '/api/v2/surveys/number' )
+                                    .set( validAuth )
+                                    .query( {
+                                        server_url: validServer
+                                    } )
+                                    .expect( 200 )
+                                    .expect( function( resp ) {
+                                        if ( resp.body.number !== 1 ) {
+                                            return new Error( 'Unexpected number of surveys ' + resp.body.number );
+                                        }
+                                    } )
+                                    .end( done );
+                            } );
+                    } )
+                    .catch( done );
+            } );
+        } );
+
+        describe( 'accounts that require signed URLs', function() {
+
+            beforeEach( function() {
+                return accountModel.update( {
+                    linkedServer: validServer,
+                    requireSignedUrls: true
+                } );
+            } );
+
+            it( 'signs the offline webform URL', function( done ) {
+                app.set( 'offline enabled', true );
+
+                request( app )
+                    .post( '/api/v2/survey/offline' )
+                    .set( validAuth )
+                    .send( {
+                        server_url: validServer,
+                        form_id: validFormId
+                    } )
+                    .expect( 200 )
+                    .expect( function( resp ) {
+                        if ( !/\/x\/\?signature=[0-9a-f]{32}#[A-z0-9]{4,8}$/.test( resp.body.offline_url ) ) {
+                            return new Error( 'Unexpected offline URL ' + resp.body.offline_url );
+                        }
+                    } )
+                    .end( done );
+            } );
+        } );
+
+        describe( 'return URL origins', function() {
+
+            beforeEach( function() {
+                return accountModel.update( {
+                    linkedServer: validServer,
+                    returnUrlOrigins: [ 'https://example.org' ]
+                } );
+            } );
+
+            function cacheInstance( returnUrl ) {
+                return request( app )
+                    .post( '/api/v2/instance' )
+                    .set( validAuth )
+                    .send( {
+                        server_url: validServer,
+                        form_id: validFormId,
+                        instance: '<data></data>',
+                        instance_id: 'someUUID:' + Math.random(),
+                        return_url: returnUrl
+                    } );
+            }
+
+            it( 'adds an allowed return URL to the edit URL', function( done ) {
+                cacheInstance( 'https://example.org/done' )
+                    .expect( 201 )
+                    .expect( function( resp ) {
+                        if ( !/returnUrl=https%3A%2F%2Fexample.org%2Fdone/.test( resp.body.edit_url ) || resp.body.warning ) {
+                            return new Error( 'Unexpected response ' + JSON.stringify( resp.body ) );
+                        }
+                    } )
+                    .end( done );
+            } );
+
+            it( 'drops a return URL with another origin with a warning', function( done ) {
+                cacheInstance( 'https://evil.org/phish' )
+                    .expect( 201 )
+                    .expect( function( resp ) {
+                        if ( /returnUrl/.test( resp.body.edit_url ) || !resp.body.warning ) {
+                            return new Error( 'Unexpected response ' + JSON.stringify( resp.body ) );
+                        }
+                    } )
+                    .end( done );
+            } );
+        } );
+
+        describe( 'rate limiting', function() {
+            var originalSettings;
+
+            beforeEach( function() {
+                originalSettings = config[ 'rate limit' ];
+                config[ 'rate limit' ] = {
+                    'window': 3600,
+                    'requests per ip': 0,
+                    'requests per key': 100,
+                    'writes per key': 1
+                };
+            } );
+
+            afterEach( function() {
+                config[ 'rate limit' ] = originalSettings;
+            } );
+
+            it( 'includes rate limit headers', function( done ) {
+                request( app )
+                    .get( '/api/v2/survey' )
+                    .set( validAuth )
+                    .query( {
+                        server_url: validServer,
+                        form_id: validFormId
+                    } )
+                    .expect( 200 )
+                    .expect( 'X-RateLimit-Limit', '100' )
+                    .expect( 'X-RateLimit-Remaining', '99' )
+                    .expect( 'X-RateLimit-Reset', /^\d+$/, done );
+            } );
+
+            it( 'throttles write requests with a stricter budget', function( done ) {
+                request( app )
+                    .post( '/api/v2/survey' )
+                    .set( validAuth )
+                    .send( {
+                        server_url: validServer,
+                        form_id: validFormId
+                    } )
+                    .expect( 200 )
+                    .end( function( err ) {
+                        if ( err ) {
+                            return done( err );
+                        }
+                        request( app )
+                            .post( '/api/v2/survey' )
+                            .set( validAuth )
+                            .send( {
+                                server_url: validServer,
+                                form_id: validFormId
+                            } )
+                            .expect( 429 )
+                            .expect( 'Retry-After', /^\d+$/ )
+                            .expect( 'X-RateLimit-Remaining', '0', done );
+                    } );
+            } );
+        } );
+
+        describe( 'bulk surveys', function() {
+
+            it( 'creates new surveys and reports existing surveys', function( done ) {
+                request( app )
+                    .post( '/api/v2/surveys' )
+                    .set( validAuth )
+                    .send( {
+                        server_url: validServer,
+                        form_ids: [ validFormId, 'new1', 'new2', 'new1' ]
+                    } )
+                    .expect( 200 )
+                    .expect( function( resp ) {
+                        var statuses = resp.body.surveys.map( function( item ) {
+                            return item.form_id + ':' + item.status + ':' + item.code + ':' + !!item.url;
+                        } );
+                        return responseCheck( statuses.join( ',' ), validFormId + ':existing:200:true,new1:created:201:true,new2:created:201:true' );
+                    } )
+                    .end( done );
+            } );
+
+            it( 'deactivates surveys and reports failures', function( done ) {
+                request( app )
+                    .delete( '/api/v2/surveys' )
+                    .set( validAuth )
+                    .send( {
+                        server_url: validServer,
+                        form_ids: validFormId + ',nonexisting'
+                    } )
+                    .expect( 200 )
+                    .expect( function( resp ) {
+                        var items = resp.body.surveys;
+                        if ( items[ 0 ].status !== 'deactivated' || items[ 1 ].status !== 'failed' ||
+                            items[ 1 ].code !== 404 || !items[ 1 ].reason ) {
+                            return new Error( 'Unexpected response ' + JSON.stringify( resp.body ) );
+                        }
+                    } )
+                    .end( done );
+            } );
+
+            it( 'responds with 400 if form_ids is missing', function( done ) {
+                request( app )
+                    .post( '/api/v2/surveys' )
+                    .set( validAuth )
+                    .send( {
+                        server_url: validServer
+                    } )
+                    .expect( 400, done );
+            } );
+        } );
+
+        describe( 'survey/submissions and surveys/submissions', function() {
+            var today = new Date().toISOString().substring( 0, 10 );
+
+            beforeEach( function() {
+                return surveyModel.getId( {
+                        openRosaServer: validServer,
+                        openRosaId: validFormId
+                    } )
+                    .then( surveyModel.incrementSubmissions );
+            } );
+
+            it( 'returns the daily submission counts of a survey', function( done ) {
+                request( app )
+                    .get( '/api/v2/survey/submissions' )
+                    .set( validAuth )
+                    .query( {
+                        server_url: validServer,
+                        form_id: validFormId
+                    } )
+                    .expect( 200 )
+                    .expect( function( resp ) {
+                        var counts = resp.body.counts;
+                        if ( resp.body.total !== 1 || counts.length !== 30 || counts[ 29 ].period !== today || counts[ 29 ].submissions !== 1 ) {
+                            return new Error( 'Unexpected response ' + JSON.stringify( resp.body ) );
+                        }
+                    } )
+                    .end( done );
+            } );
+
+            it( 'returns the daily submission counts of the account as CSV', function( done ) {
+                request( app )
+                    .get( '/api/v2/surveys/submissions' )
+                    .set( validAuth )
+                    .query( {
+                        server_url: validServer,
+                        from: today,
+                        format: 'csv'
+                    } )
+                    .expect( 200 )
+                    .expect( 'Content-Type', /text\/csv/ )
+                    .expect( 'period,submissions\n' + today + ',1', done );
+            } );
+
+            it( 'responds with 400 for a date range that is too large', function( done ) {
+                request( app )
+                    .get( '/api/v2/surveys/submissions' )
+                    .set( validAuth )
+                    .query( {
+                        server_url: validServer,
+                        from: '2000-01-01'
+                    } )
+                    .expect( 400, done );
+            } );
+        } );
+
     } );
 } );
@@ -0,0 +1,333 @@
+/* global describe, require, it, beforeEach, afterEach, before, after */
+'use strict';
+
+// safer to ensure this here (in addition to grunt:env:test)
+process.env.NODE_ENV = 'test';
+
+var chai = require( 'chai' );
+var expect = chai.expect;
+var request = require( 'supertest' );
+var pako = require( 'pako' );
+var crc32 = require( 'pako/lib/zlib/crc32' );
+var app = require( '../../config/express' );
+var ballot = require( '../../app/lib/ballot' );
+var surveyModel = require( '../../app/models/survey-model' );
+var cacheModel = require( '../../app/models/cache-model' );
+var submissionModel = require( '../../app/models/submission-model' );
+var accountModel = require( '../../app/models/account-model' );
+var config = require( '../../app/models/config-model' ).server;
+var redis = require( 'redis' );
+var client = redis.createClient( config.redis.main.port, config.redis.main.host, {
+    auth_pass: config.redis.main.password
+} );
+
+var MODEL = '<model><instance><data id="ballot" version="2016-07-01"><a/><meta><instanceID/></meta></data></instance><instance id="list"><root/></instance></model>';
+var REPEAT_MODEL = '<model xmlns="http://www.w3.org/2002/xforms" xmlns:jr="http://openrosa.org/javarosa"><instance>' +
+    '<data id="rep" version="1"><name/><rep jr:template=""><q/></rep><rep><q/></rep><meta><instanceID/></meta></data>' +
+    '</instance></model>';
+var REPEAT_FORM = '<form><section class="or-repeat" name="/data/rep"></section></form>';
+
+// mimics the client-side encoding in public/js/src/module/ballot.js
+function getChunks( doc, recordId, size ) {
+    var data = new Buffer( pako.deflate( JSON.stringify( doc ), {
+        to: 'string'
+    } ), 'binary' ).toString( 'base64' );
+    var bytes = new Buffer( data, 'binary' );
+    var checksum = ( '0000000' + ( crc32( 0, bytes, bytes.length, 0 ) >>> 0 ).toString( 16 ) ).slice( -8 );
+    var total = Math.ceil( data.length / size );
+    var chunks = [];
+
+    for ( var i = 0; i < total; i++ ) {
+        chunks.push( [ 'ENKB1', recordId, ( i + 1 ) + '/' + total, checksum, data.substr( i * size, size ) ].join( ':' ) );
+    }
+
+    return chunks;
+}
+
+function getPayload( enketoId, formVersion ) {
+    return {
+        schema: 'enketo-ballot/1',
+        encoding: 'xpath',
+        enketoId: enketoId,
+        formVersion: formVersion,
+        data: {
+            '/data/a': 'yes'
+        }
+    };
+}
+
+describe( 'Ballots', function() {
+    var originalKey;
+
+    before( function() {
+        originalKey = config.ballot[ 'signing key' ];
+        config.ballot[ 'signing key' ] = 'test-secret';
+    } );
+
+    after( function() {
+        config.ballot[ 'signing key' ] = originalKey;
+    } );
+
+    describe( 'library', function() {
+
+        it( 'decodes a ballot from QR code contents in any order', function() {
+            var doc = getPayload( 'abcd', '1' );
+            var chunks = getChunks( doc, 'rec1', 20 ).reverse();
+            expect( chunks.length ).to.be.above( 1 );
+            expect( ballot.decode( chunks ) ).to.deep.equal( doc );
+        } );
+
+        it( 'refuses to decode an incomplete ballot', function() {
+            var chunks = getChunks( getPayload( 'abcd', '1' ), 'rec1', 20 ).slice( 1 );
+            expect( function() {
+                ballot.decode( chunks );
+            } ).to.throw( /QR code 1 of \d+ is missing/ );
+        } );
+
+        it( 'refuses to decode a ballot with a checksum mismatch', function() {
+            var chunks = getChunks( getPayload( 'abcd', '1' ), 'rec1', 1000 );
+            chunks[ 0 ] = chunks[ 0 ].replace( /:([^:])([^:]*)$/, function( match, first, rest ) {
+                return ':' + ( first === 'A' ? 'B' : 'A' ) + rest;
+            } );
+            expect( function() {
+                ballot.decode( chunks );
+            } ).to.throw( /checksum/ );
+        } );
+
+        it( 'verifies a signed ballot and returns the payload', function() {
+            var payload = getPayload( 'abcd', '1' );
+            var signed = ballot.sign( payload, 'abcd' );
+            expect( signed.schema ).to.equal( 'enketo-ballot-signed/1' );
+            expect( ballot.verify( signed, 'abcd', '1' ) ).to.deep.equal( payload );
+        } );
+
+        it( 'rejects an altered ballot', function() {
+            var signed = ballot.sign( getPayload( 'abcd', '1' ), 'abcd' );
+            signed.payload = signed.payload.replace( '"yes"', '"no"' );
+            expect( function() {
+                ballot.verify( signed, 'abcd', '1' );
+            } ).to.throw( /signature is not valid/ );
+        } );
+
+        it( 'rejects a ballot signed for a different enketo ID', function() {
+            var signed = ballot.sign( getPayload( 'abcd', '1' ), 'abcd' );
+            expect( function() {
+                ballot.verify( signed, 'efgh', '1' );
+            } ).to.throw( /signature is not valid/ );
+        } );
+
+        it( 'rejects a ballot for a different form version', function() {
+            var signed = ballot.sign( getPayload( 'abcd', '1' ), 'abcd' );
+            expect( function() {
+                ballot.verify( signed, 'abcd', '2' );
+            } ).to.throw( /different form version/ );
+        } );
+
+        it( 'rejects an unsigned ballot', function() {
+            expect( function() {
+                ballot.verify( getPayload( 'abcd', '1' ), 'abcd', '1' );
+            } ).to.throw( /not signed/ );
+        } );
+
+        it( 'extracts the form version from the primary instance of a model', function() {
+            expect( ballot.getFormVersion( MODEL ) ).to.equal( '2016-07-01' );
+            expect( ballot.getFormVersion( '<model><instance><data id="a"/></instance></model>' ) ).to.equal( '' );
+        } );
+
+        it( 'rebuilds an instance with repeats from a payload with the xpath encoding', function() {
+            var xml = ballot.toInstance( {
+                encoding: 'xpath',
+                data: {
+                    '/data/name': 'a & b',
+                    '/data/rep/q': [ '1', '2' ]
+                }
+            }, REPEAT_MODEL, REPEAT_FORM );
+            expect( xml ).to.equal( '<data xmlns:jr="http://openrosa.org/javarosa" id="rep" version="1"><name>a &amp; b</name>' +
+                '<rep><q>1</q></rep><rep><q>2</q></rep><meta><instanceID/></meta></data>' );
+        } );
+
+        it( 'rebuilds an instance from a payload with the indexed encoding', function() {
+            var xml = ballot.toInstance( {
+                encoding: 'indexed',
+                data: {
+                    '/data/rep[3]/q': 'c',
+                    '/data/meta/instanceID': 'uuid:x'
+                }
+            }, REPEAT_MODEL );
+            expect( xml ).to.contain( '<rep><q/></rep><rep><q/></rep><rep><q>c</q></rep>' );
+            expect( ballot.getInstanceId( xml ) ).to.equal( 'uuid:x' );
+        } );
+
+        it( 'refuses to rebuild an instance with fields that do not exist in the form', function() {
+            expect( function() {
+                ballot.toInstance( {
+                    encoding: 'xpath',
+                    data: {
+                        '/data/other': 'a'
+                    }
+                }, REPEAT_MODEL, REPEAT_FORM );
+            } ).to.throw( /does not exist/ );
+        } );
+
+        it( 'sets the instanceID of an instance', function() {
+            var xml = ballot.setInstanceId( '<data><a/></data>', 'uuid:y' );
+            expect( xml ).to.equal( '<data><a/><meta><instanceID>uuid:y</instanceID></meta></data>' );
+        } );
+
+    } );
+
+    describe( 'endpoints', function() {
+        var enketoId;
+        var survey = {
+            openRosaServer: 'https://testserver.com/bob',
+            openRosaId: 'ballot'
+        };
+        var validAuth = {
+            'Authorization': 'Basic ' + new Buffer( 'abc:' ).toString( 'base64' )
+        };
+
+        beforeEach( function() {
+            return accountModel.create( {
+                    linkedServer: survey.openRosaServer,
+                    key: 'abc'
+                } )
+                .then( function() {
+                    return surveyModel.set( survey );
+                } )
+                .then( function( id ) {
+                    enketoId = id;
+                    return cacheModel.set( {
+                        openRosaServer: survey.openRosaServer,
+                        openRosaId: survey.openRosaId,
+                        info: {
+                            hash: 'abc'
+                        },
+                        form: '<form/>',
+                        model: MODEL
+                    } );
+                } );
+        } );
+
+        afterEach( function( done ) {
+            cacheModel.flushAll()
+                .then( function() {
+                    client.select( 15, function( err ) {
+                        if ( err ) {
+                            return done( err );
+                        }
+                        client.flushdb( done );
+                    } );
+                } )
+                .catch( done );
+        } );
+
+        it( 'signs a payload for the current form version', function( done ) {
+            request( app )
+                .post( '/ballot/sign/::' + enketoId )
+                .set( validAuth )
+                .send( {
+                    payload: getPayload( enketoId, '2016-07-01' )
+                } )
+                .expect( 200 )
+                .expect( function( res ) {
+                    expect( ballot.verify( res.body, enketoId, '2016-07-01' ) ).to.deep.equal( getPayload( enketoId, '2016-07-01' ) );
+                } )
+                .end( done );
+        } );
+
+        it( 'refuses to sign a payload for an old form version', function( done ) {
+            request( app )
+                .post( '/ballot/sign/::' + enketoId )
+                .set( validAuth )
+                .send( {
+                    payload: getPayload( enketoId, '2016-01-01' )
+                } )
+                .expect( 400, done );
+        } );
+
+        it( 'refuses to sign a payload for an unauthenticated caller', function( done ) {
+            request( app )
+                .post( '/ballot/sign/::' + enketoId )
+                .send( {
+                    payload: getPayload( enketoId, '2016-07-01' )
+                } )
+                .expect( 401 )
+                .expect( function( res ) {
+                    expect( res.body.signature ).to.equal( undefined );
+                    expect( res.body.payload ).to.equal( undefined );
+                } )
+                .end( done );
+        } );
+
+        it( 'refuses to sign a payload for a caller with an invalid API key', function( done ) {
+            request( app )
+                .post( '/ballot/sign/::' + enketoId )
+                .set( 'Authorization', 'Basic ' + new Buffer( 'def:' ).toString( 'base64' ) )
+                .send( {
+                    payload: getPayload( enketoId, '2016-07-01' )
+                } )
+                .expect( 401, done );
+        } );
+
+        it( 'verifies scanned QR code contents of a signed ballot', function( done ) {
+            var chunks = getChunks( ballot.sign( getPayload( enketoId, '2016-07-01' ), enketoId ), 'rec1', 50 );
+
+            request( app )
+                .post( '/ballot/verify/::' + enketoId )
+                .send( {
+                    chunks: chunks
+                } )
+                .expect( 200 )
+                .expect( function( res ) {
+                    expect( res.body.valid ).to.equal( true );
+                    expect( res.body.payload.data[ '/data/a' ] ).to.equal( 'yes' );
+                } )
+                .end( done );
+        } );
+
+        it( 'rejects a signed ballot of a different survey', function( done ) {
+            request( app )
+                .post( '/ballot/verify/::' + enketoId )
+                .send( {
+                    ballot: ballot.sign( getPayload( 'other', '2016-07-01' ), 'other' )
+                } )
+                .expect( 400, done );
+        } );
+
+        it( 'refuses to submit an unsigned ballot when signing is enabled', function( done ) {
+            request( app )
+                .post( '/submission/ballot/::' + enketoId )
+                .send( {
+                    ballot: getPayload( enketoId, '2016-07-01' )
+                } )
+                .expect( 400, done );
+        } );
+
+        it( 'refuses to submit a ballot that was submitted before', function( done ) {
+            var payload = getPayload( enketoId, '2016-07-01' );
+            payload.data[ '/data/meta/instanceID' ] = 'uuid:dupe';
+
+            submissionModel.isNew( enketoId, 'uuid:dupe' )
+                .then( function() {
+                    request( app )
+                        .post( '/submission/ballot/::' + enketoId )
+                        .send( {
+                            chunks: getChunks( ballot.sign( payload, enketoId ), 'rec1', 50 )
+                        } )
+                        .expect( 409, done );
+                } )
+                .catch( done );
+        } );
+
+        it( 'responds with 404 for a non-existing survey', function( done ) {
+            request( app )
+                .post( '/ballot/verify/::nope' )
+                .send( {
+                    ballot: {}
+                } )
+                .expect( 404, done );
+        } );
+
+    } );
+
+} );
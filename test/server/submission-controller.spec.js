@@ -1,4 +1,4 @@
-/* global describe, require, it, beforeEach, afterEach */
+/* global describe, require, it, beforeEach, afterEach, before, after */
 'use strict';
 
 /* 
@@ -9,10 +9,13 @@
 // safer to ensure this here (in addition to grunt:env:test)
 process.env.NODE_ENV = 'test';
 
+var http = require( 'http' );
 var request = require( 'supertest' );
 var app = require( '../../config/express' );
 var surveyModel = require( '../../app/models/survey-model' );
 var instanceModel = require( '../../app/models/instance-model' );
+var tokenModel = require( '../../app/models/token-model' );
+var accountModel = require( '../../app/models/account-model' );
 var redis = require( 'redis' );
 var config = require( '../../app/models/config-model' ).server;
 var client = redis.createClient( config.redis.main.port, config.redis.main.host, {
@@ -109,6 +112,297 @@ describe( 'Submissions', function() {
 
     } );
 
+    describe( 'for closed or capped surveys', function() {
+
+        it( 'using POST to a survey that closed responds with 403', function( done ) {
+            surveyModel.update( {
+                openRosaServer: validServer,
+                openRosaId: validFormId,
+                openUntil: new Date( Date.now() - 1000 * 24 * 60 * 60 * 1000 )
+            } ).then( function() {
+                request( app )
+                    .post( '/submission/::' + enketoId )
+                    .field( 'xml_submission_file', '<data></data>' )
+                    .expect( 403, done );
+            } ).catch( done );
+        } );
+
+        it( 'using POST to a survey that closed within the grace period responds with 403 for a record created after closing', function( done ) {
+            surveyModel.update( {
+                openRosaServer: validServer,
+                openRosaId: validFormId,
+                openUntil: new Date( Date.now() - 60 * 1000 )
+            } ).then( function() {
+                request( app )
+                    .post( '/submission/::' + enketoId )
+                    .set( 'X-Enketo-Record-Created', new Date().toISOString() )
+                    .field( 'xml_submission_file', '<data></data>' )
+                    .expect( 403, done );
+            } ).catch( done );
+        } );
+
+        it( 'using POST to a survey that reached its submission cap responds with 403', function( done ) {
+            surveyModel.update( {
+                    openRosaServer: validServer,
+                    openRosaId: validFormId,
+                    submissionCap: 1
+                } )
+                .then( surveyModel.incrementSubmissions )
+                .then( function() {
+                    request( app )
+                        .post( '/submission/::' + enketoId )
+                        .set( 'X-OpenRosa-Instance-Id', 'uuid:a' )
+                        .field( 'xml_submission_file', '<data></data>' )
+                        .expect( 403, done );
+                } ).catch( done );
+        } );
+
+        it( 'using POST with an answer that reached its submission cap responds with 403', function( done ) {
+            surveyModel.update( {
+                    openRosaServer: validServer,
+                    openRosaId: validFormId,
+                    submissionCap: 1,
+                    capField: 'district'
+                } )
+                .then( function( id ) {
+                    return surveyModel.incrementSubmissions( id, 'north' );
+                } )
+                .then( function() {
+                    request( app )
+                        .post( '/submission/::' + enketoId )
+                        .set( 'X-OpenRosa-Instance-Id', 'uuid:b' )
+                        .field( 'xml_submission_file', '<data><district>north</district></data>' )
+                        .expect( 403, done );
+                } ).catch( done );
+        } );
+
+        describe( 'below the cap of an answer', function() {
+            var server;
+            var openRosaServer;
+            var received;
+            var status;
+            var cappedId;
+
+            before( function( done ) {
+                // mimics an OpenRosa server
+                server = http.createServer( function( req, res ) {
+                    var chunks = [];
+
+                    req.on( 'data', function( chunk ) {
+                        chunks.push( chunk );
+                    } );
+                    req.on( 'end', function() {
+                        if ( req.method !== 'HEAD' ) {
+                            received = {
+                                method: req.method,
+                                body: Buffer.concat( chunks ).toString( 'utf8' )
+                            };
+                        }
+                        res.writeHead( req.method === 'HEAD' ? 204 : status );
+                        res.end();
+                    } );
+                } );
+                // server URLs with an ephemeral port are not valid
+                server.listen( 8006, '127.0.0.1', function() {
+                    openRosaServer = 'http://127.0.0.1:8006';
+                    done();
+                } );
+            } );
+
+            after( function( done ) {
+                server.close( done );
+            } );
+
+            beforeEach( function() {
+                received = null;
+                status = 201;
+                return surveyModel.set( {
+                        openRosaServer: openRosaServer,
+                        openRosaId: validFormId
+                    } )
+                    .then( function( id ) {
+                        cappedId = id;
+                        return surveyModel.update( {
+                            openRosaServer: openRosaServer,
+                            openRosaId: validFormId,
+                            submissionCap: 1,
+                            capField: 'district'
+                        } );
+                    } );
+            } );
+
+            it( 'using POST passes the complete submission on to the OpenRosa server', function( done ) {
+                request( app )
+                    .post( '/submission/::' + cappedId )
+                    .set( 'X-OpenRosa-Instance-Id', 'uuid:f' )
+                    .field( 'xml_submission_file', '<data><district>south</district></data>' )
+                    .field( 'Date', 'Mon, 1 Aug 2016 10:00:00 GMT' )
+                    .expect( 201 )
+                    .end( function( err ) {
+                        if ( err ) {
+                            return done( err );
+                        }
+                        if ( !received || received.method !== 'POST' || received.body.indexOf( '<district>south</district>' ) === -1 ||
+                            received.body.indexOf( 'Mon, 1 Aug 2016 10:00:00 GMT' ) === -1 ) {
+                            return done( new Error( 'Unexpected request to OpenRosa server ' + JSON.stringify( received ) ) );
+                        }
+                        done();
+                    } );
+            } );
+
+            it( 'using POST does not count a submission that the OpenRosa server refused', function( done ) {
+                status = 500;
+                request( app )
+                    .post( '/submission/::' + cappedId )
+                    .set( 'X-OpenRosa-Instance-Id', 'uuid:j' )
+                    .field( 'xml_submission_file', '<data><district>south</district></data>' )
+                    .expect( 500 )
+                    .end( function( err ) {
+                        if ( err ) {
+                            return done( err );
+                        }
+                        // the reserved submission is released after the response has been passed on
+                        setTimeout( function() {
+                            surveyModel.getRemainingSubmissions( cappedId )
+                                .then( function( result ) {
+                                    if ( result.values.south !== 1 ) {
+                                        throw new Error( 'Unexpected remaining submissions ' + JSON.stringify( result ) );
+                                    }
+                                    done();
+                                } )
+                                .catch( done );
+                        }, 100 );
+                    } );
+            } );
+        } );
+
+        it( 'returns the remaining number of submissions', function( done ) {
+            surveyModel.update( {
+                    openRosaServer: validServer,
+                    openRosaId: validFormId,
+                    submissionCap: 2,
+                    capField: 'district'
+                } )
+                .then( function( id ) {
+                    return surveyModel.incrementSubmissions( id, 'north' );
+                } )
+                .then( function() {
+                    request( app )
+                        .get( '/submission/remaining/::' + enketoId )
+                        .expect( 200, {
+                            cap: 2,
+                            field: 'district',
+                            remaining: null,
+                            values: {
+                                north: 1
+                            }
+                        }, done );
+                } ).catch( done );
+        } );
+    } );
+
+    describe( 'for surveys with respondent tokens', function() {
+        var token;
+
+        beforeEach( function() {
+            return tokenModel.create( enketoId, {
+                count: 1
+            } ).then( function( tokens ) {
+                token = tokens[ 0 ].token;
+            } );
+        } );
+
+        it( 'using POST without a token responds with 403', function( done ) {
+            request( app )
+                .post( '/submission/::' + enketoId )
+                .set( 'X-OpenRosa-Instance-Id', 'uuid:c' )
+                .field( 'xml_submission_file', '<data></data>' )
+                .expect( 403, done );
+        } );
+
+        it( 'using POST without a token of an edit that the server does not know about responds with 403', function( done ) {
+            request( app )
+                .post( '/submission/::' + enketoId )
+                .set( 'X-OpenRosa-Instance-Id', 'uuid:g' )
+                .set( 'X-OpenRosa-Deprecated-Id', 'uuid:h' )
+                .field( 'xml_submission_file', '<data></data>' )
+                .expect( 403, done );
+        } );
+
+        it( 'using POST with a used token responds with 410', function( done ) {
+            tokenModel.consume( enketoId, token )
+                .then( function() {
+                    request( app )
+                        .post( '/submission/::' + enketoId + '?token=' + token )
+                        .set( 'X-OpenRosa-Instance-Id', 'uuid:d' )
+                        .field( 'xml_submission_file', '<data></data>' )
+                        .expect( 410, done );
+                } ).catch( done );
+        } );
+    } );
+
+    describe( 'for accounts that require signed URLs', function() {
+
+        beforeEach( function() {
+            return accountModel.create( {
+                linkedServer: validServer,
+                key: 'abc',
+                requireSignedUrls: true
+            } );
+        } );
+
+        it( 'using POST without a signature responds with 403', function( done ) {
+            request( app )
+                .post( '/submission/::' + enketoId )
+                .set( 'X-OpenRosa-Instance-Id', 'uuid:e' )
+                .field( 'xml_submission_file', '<data></data>' )
+                .expect( 403, done );
+        } );
+
+        it( 'using POST of a ballot without a signature responds with 403', function( done ) {
+            request( app )
+                .post( '/submission/ballot/::' + enketoId )
+                .send( {
+                    ballot: {}
+                } )
+                .expect( 403, done );
+        } );
+    } );
+
+    describe( 'for accounts that are not active', function() {
+
+        beforeEach( function() {
+            return accountModel.create( {
+                    linkedServer: validServer,
+                    key: 'abc',
+                    requireSignedUrls: true
+                } )
+                .then( function() {
+                    return accountModel.update( {
+                        linkedServer: validServer,
+                        active: false
+                    } );
+                } );
+        } );
+
+        it( 'using POST without a signature does not respond with 403 because of the missing signature', function( done ) {
+            tokenModel.create( enketoId, {
+                    count: 1
+                } )
+                .then( function( tokens ) {
+                    return tokenModel.consume( enketoId, tokens[ 0 ].token )
+                        .then( function() {
+                            // the used token is only checked after the signature
+                            request( app )
+                                .post( '/submission/::' + enketoId + '?token=' + tokens[ 0 ].token )
+                                .set( 'X-OpenRosa-Instance-Id', 'uuid:i' )
+                                .field( 'xml_submission_file', '<data></data>' )
+                                .expect( 410, done );
+                        } );
+                } ).catch( done );
+        } );
+    } );
+
     describe( 'using GET (existing submissions) for an existing/active Enketo IDs', function() {
 
         it( 'responds with 400 if no instanceID provided', function( done ) {
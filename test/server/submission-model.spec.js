@@ -4,6 +4,7 @@
 // safer to ensure this here (in addition to grunt:env:test)
 process.env.NODE_ENV = 'test';
 
+var Promise = require( 'lie' );
 var chai = require( 'chai' );
 var expect = chai.expect;
 var chaiAsPromised = require( 'chai-as-promised' );
@@ -83,4 +84,45 @@ describe( 'Survey Model', function() {
 
     } );
 
+    describe( 'edit sessions and batch markers', function() {
+        var id = 'AAAA';
+        var instanceId = 'uuid:BBBB';
+
+        it( 'recognizes an edit only during an edit session', function() {
+            var test = submission.isEditSession( id, instanceId )
+                .then( function( before ) {
+                    expect( before ).to.equal( false );
+                    return submission.startEditSession( id, instanceId );
+                } )
+                .then( function() {
+                    return submission.isEditSession( id, instanceId );
+                } )
+                .then( function( during ) {
+                    expect( during ).to.equal( true );
+                    return submission.endEditSession( id, instanceId );
+                } )
+                .then( function() {
+                    return submission.isEditSession( id, instanceId );
+                } );
+            return expect( test ).to.eventually.equal( false );
+        } );
+
+        it( 'recognizes a subsequent batch after a batch was accepted', function() {
+            var test = submission.hasBatchMarker( id, instanceId )
+                .then( function( before ) {
+                    expect( before ).to.equal( false );
+                    return submission.setBatchMarker( id, instanceId );
+                } )
+                .then( function() {
+                    return Promise.all( [
+                        submission.hasBatchMarker( id, instanceId ),
+                        submission.hasBatchMarker( 'CCCC', instanceId ),
+                        submission.hasBatchMarker( id, undefined )
+                    ] );
+                } );
+            return expect( test ).to.eventually.deep.equal( [ true, false, false ] );
+        } );
+
+    } );
+
 } );
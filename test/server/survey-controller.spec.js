@@ -1,4 +1,4 @@
-/* global describe, require, it */
+/* global describe, require, it, before, after */
 'use strict';
 
 // safer to ensure this here (in addition to grunt:env:test)
@@ -8,6 +8,15 @@ var request = require( 'supertest' );
 var config = require( '../../app/models/config-model' ).server;
 config[ 'base path' ] = '';
 var app = require( '../../config/express' );
+var surveyModel = require( '../../app/models/survey-model' );
+var aliasModel = require( '../../app/models/alias-model' );
+var tokenModel = require( '../../app/models/token-model' );
+var account = require( '../../app/models/account-model' );
+var urlSignature = require( '../../app/lib/url-signature' );
+var redis = require( 'redis' );
+var client = redis.createClient( config.redis.main.port, config.redis.main.host, {
+    auth_pass: config.redis.main.password
+} );
 
 describe( 'Survey Controller', function() {
 
@@ -24,4 +33,176 @@ describe( 'Survey Controller', function() {
             } );
         } );
     } );
+
+    describe( 'aliases: ', function() {
+        var enketoId;
+
+        before( function() {
+            return surveyModel.set( {
+                    openRosaServer: 'https://testserver.com/bob',
+                    openRosaId: 'household'
+                } )
+                .then( function( id ) {
+                    enketoId = id;
+                    return aliasModel.set( 'household-2026', id );
+                } );
+        } );
+
+        after( function( done ) {
+            client.select( 15, function( err ) {
+                if ( err ) {
+                    return done( err );
+                }
+                client.flushdb( done );
+            } );
+        } );
+
+        it( 'redirects the webform alias to the enketo ID, keeping the query string', function( done ) {
+            request( app ).get( '/s/household-2026?lang=fr' )
+                .expect( 302 )
+                .expect( 'location', '/::' + enketoId + '?lang=fr' )
+                .end( done );
+        } );
+
+        it( 'redirects the preview alias', function( done ) {
+            request( app ).get( '/preview/s/household-2026' )
+                .expect( 302 )
+                .expect( 'location', '/preview/::' + enketoId )
+                .end( done );
+        } );
+
+        it( 'redirects the offline alias', function( done ) {
+            request( app ).get( '/x/s/household-2026' )
+                .expect( 302 )
+                .expect( 'location', '/x/#' + enketoId )
+                .end( done );
+        } );
+
+        it( 'responds with 404 for an unknown alias', function( done ) {
+            request( app ).get( '/s/unknown' )
+                .expect( 404, done );
+        } );
+    } );
+
+    describe( 'respondent tokens: ', function() {
+        var enketoId;
+        var token;
+
+        before( function() {
+            return surveyModel.set( {
+                    openRosaServer: 'https://testserver.com/bob',
+                    openRosaId: 'invitation'
+                } )
+                .then( function( id ) {
+                    enketoId = id;
+                    return tokenModel.create( id, {
+                        count: 1
+                    } );
+                } )
+                .then( function( tokens ) {
+                    token = tokens[ 0 ].token;
+                } );
+        } );
+
+        after( function( done ) {
+            client.select( 15, function( err ) {
+                if ( err ) {
+                    return done( err );
+                }
+                client.flushdb( done );
+            } );
+        } );
+
+        it( 'responds with 403 without a token', function( done ) {
+            request( app ).get( '/::' + enketoId )
+                .expect( 403, done );
+        } );
+
+        it( 'responds with 403 with an invalid token', function( done ) {
+            request( app ).get( '/::' + enketoId + '?token=abcdefghijkl.000000000000' )
+                .expect( 403, done );
+        } );
+
+        it( 'loads the webform with a valid token', function( done ) {
+            request( app ).get( '/::' + enketoId + '?token=' + token )
+                .expect( 200, done );
+        } );
+
+        it( 'shows the completed page with a used token', function( done ) {
+            tokenModel.consume( enketoId, token )
+                .then( function() {
+                    request( app ).get( '/::' + enketoId + '?token=' + token )
+                        .expect( 410 )
+                        .expect( /Already Completed/ )
+                        .end( done );
+                } )
+                .catch( done );
+        } );
+    } );
+
+    describe( 'signed URLs: ', function() {
+        var enketoId;
+        var query = '?d%5B%2Fdata%2Fname%5D=Jane&returnUrl=https%3A%2F%2Fexample.org';
+
+        before( function() {
+            return surveyModel.set( {
+                    openRosaServer: 'https://testserver.com/bob',
+                    openRosaId: 'signed'
+                } )
+                .then( function( id ) {
+                    enketoId = id;
+                } );
+        } );
+
+        after( function( done ) {
+            client.select( 15, function( err ) {
+                if ( err ) {
+                    return done( err );
+                }
+                client.flushdb( done );
+            } );
+        } );
+
+        it( 'loads the webform with a signed URL', function( done ) {
+            request( app ).get( urlSignature.sign( enketoId, '/::' + enketoId + query ) )
+                .expect( 200, done );
+        } );
+
+        it( 'loads the webform with a signed URL with an unprotected parameter added', function( done ) {
+            request( app ).get( urlSignature.sign( enketoId, '/::' + enketoId + query ) + '&touch=true' )
+                .expect( 200, done );
+        } );
+
+        it( 'responds with 403 if a protected parameter was changed', function( done ) {
+            request( app ).get( urlSignature.sign( enketoId, '/::' + enketoId + query ).replace( 'Jane', 'John' ) )
+                .expect( 403, done );
+        } );
+
+        it( 'responds with 403 if a protected parameter was added', function( done ) {
+            request( app ).get( urlSignature.sign( enketoId, '/::' + enketoId + query ) + '&parentWindowOrigin=http%3A%2F%2Fevil.org' )
+                .expect( 403, done );
+        } );
+
+        it( 'responds with 403 if the URL expired', function( done ) {
+            request( app ).get( urlSignature.sign( enketoId, '/::' + enketoId + query, new Date( Date.now() - 1000 ) ) )
+                .expect( 403, done );
+        } );
+
+        it( 'loads the webform without a signature if the account does not require one', function( done ) {
+            request( app ).get( '/::' + enketoId + query )
+                .expect( 200, done );
+        } );
+
+        it( 'responds with 403 without a signature if the account requires one', function( done ) {
+            account.create( {
+                    linkedServer: 'https://testserver.com/bob',
+                    requireSignedUrls: true
+                } )
+                .then( function() {
+                    request( app ).get( '/::' + enketoId + query )
+                        .expect( 403, done );
+                } )
+                .catch( done );
+        } );
+    } );
 } );
@@ -97,12 +97,19 @@ describe( 'Survey Model', function() {
             return expect( model.set( survey ) ).to.eventually.equal( 'YYYp' );
         } );
 
-        it( 'drops nearly simultaneous set requests to avoid db corruption', function() {
+        it( 'returns the same enketo ID for nearly simultaneous set requests', function() {
             return Promise.all( [
-                expect( model.set( survey ) ).to.eventually.equal( 'YYYp' ),
-                expect( model.set( survey ) ).to.eventually.be.rejected,
-                expect( model.set( survey ) ).to.eventually.be.rejected
-            ] );
+                model.set( survey ),
+                model.set( survey ),
+                model.set( survey )
+            ] ).then( function( ids ) {
+                expect( ids[ 0 ] ).to.be.a( 'string' );
+                expect( ids[ 1 ] ).to.equal( ids[ 0 ] );
+                expect( ids[ 2 ] ).to.equal( ids[ 0 ] );
+                return model.getNumber( survey.openRosaServer );
+            } ).then( function( number ) {
+                expect( number ).to.equal( 1 );
+            } );
         } );
     } );
 
@@ -299,6 +306,483 @@ describe( 'Survey Model', function() {
     } );
 
 
+    describe( 'getInfo', function() {
+        var survey = {
+            openRosaId: 'widgets',
+            openRosaServer: 'https://ona.io/enketo'
+        };
+
+        it( 'returns the usage information without updating lastAccessed', function() {
+            return model.set( survey )
+                .then( model.incrementSubmissions )
+                .then( function() {
+                    return model.getInfo( survey );
+                } )
+                .then( function( info ) {
+                    expect( info.submissions ).to.equal( 1 );
+                    expect( info.active ).to.equal( true );
+                    expect( info.lastAccessed ).to.equal( null );
+                    expect( info.launchDate ).to.be.a( 'string' );
+                    return model.getInfo( survey );
+                } )
+                .then( function( info ) {
+                    expect( info.lastAccessed ).to.equal( null );
+                } );
+        } );
+
+        it( 'rejects for a non-existing survey', function() {
+            return expect( model.getInfo( survey ) ).to.eventually.be.rejected.and.have.property( 'status', 404 );
+        } );
+    } );
+
+    describe( 'getDefaults and setDefaults', function() {
+        var survey = {
+            openRosaId: 'widgets',
+            openRosaServer: 'https://ona.io/enketo'
+        };
+
+        it( 'stores, replaces and removes the defaults of a survey', function() {
+            var id;
+
+            return model.set( survey )
+                .then( function( enketoId ) {
+                    id = enketoId;
+                    return expect( model.getDefaults( id ) ).to.eventually.equal( null );
+                } )
+                .then( function() {
+                    return model.setDefaults( id, {
+                        '/data/a': '1',
+                        '/data/b': '2'
+                    } );
+                } )
+                .then( function() {
+                    return model.setDefaults( id, {
+                        '/data/a': '3'
+                    } );
+                } )
+                .then( function() {
+                    return expect( model.getDefaults( id ) ).to.eventually.deep.equal( {
+                        '/data/a': '3'
+                    } );
+                } )
+                .then( function() {
+                    return model.set( survey );
+                } )
+                .then( function() {
+                    // updating the survey does not remove the defaults
+                    return expect( model.getDefaults( id ) ).to.eventually.have.property( '/data/a', '3' );
+                } )
+                .then( function() {
+                    return model.setDefaults( id, null );
+                } )
+                .then( function() {
+                    return expect( model.getDefaults( id ) ).to.eventually.equal( null );
+                } );
+        } );
+    } );
+
+    describe( 'variants', function() {
+        var survey = {
+            openRosaId: 'widgets',
+            openRosaServer: 'https://ona.io/enketo'
+        };
+
+        function variant( name, props ) {
+            var obj = {
+                openRosaId: survey.openRosaId,
+                openRosaServer: survey.openRosaServer,
+                variant: name
+            };
+            for ( var prop in props ) {
+                obj[ prop ] = props[ prop ];
+            }
+            return obj;
+        }
+
+        it( 'creates a variant with its own enketo ID and settings', function() {
+            var baseId;
+
+            return model.set( survey )
+                .then( function( id ) {
+                    baseId = id;
+                    return model.set( variant( 'north', {
+                        theme: 'grid',
+                        defaults: {
+                            '/data/region': 'north'
+                        },
+                        submissionParameter: 'campaign-north'
+                    } ) );
+                } )
+                .then( function( id ) {
+                    expect( id ).to.be.a( 'string' ).and.not.equal( baseId );
+                    return Promise.all( [
+                        expect( model.getId( variant( 'north' ) ) ).to.eventually.equal( id ),
+                        expect( model.getId( survey ) ).to.eventually.equal( baseId ),
+                        expect( model.get( id ) ).to.eventually.have.property( 'theme', 'grid' )
+                    ] );
+                } )
+                .then( function() {
+                    return model.getInfo( variant( 'north' ) );
+                } )
+                .then( function( info ) {
+                    expect( info.variant ).to.equal( 'north' );
+                    expect( info.defaults ).to.deep.equal( {
+                        '/data/region': 'north'
+                    } );
+                    expect( info.submissionParameter ).to.equal( 'campaign-north' );
+                } );
+        } );
+
+        it( 'updates an existing variant', function() {
+            var variantId;
+
+            return model.set( variant( 'north' ) )
+                .then( function( id ) {
+                    variantId = id;
+                    return model.set( variant( 'north', {
+                        theme: 'formhub'
+                    } ) );
+                } )
+                .then( function( id ) {
+                    expect( id ).to.equal( variantId );
+                    return expect( model.get( id ) ).to.eventually.have.property( 'theme', 'formhub' );
+                } );
+        } );
+
+        it( 'lists the variants alphabetically, without listing them as surveys', function() {
+            return model.set( survey )
+                .then( function() {
+                    return model.set( variant( 'south' ) );
+                } )
+                .then( function() {
+                    return model.set( variant( 'north' ) );
+                } )
+                .then( function() {
+                    return model.getVariants( survey );
+                } )
+                .then( function( variants ) {
+                    expect( variants.map( function( info ) {
+                        return info.variant;
+                    } ) ).to.deep.equal( [ 'north', 'south' ] );
+                    return expect( model.getNumber( survey.openRosaServer ) ).to.eventually.equal( 1 );
+                } );
+        } );
+
+        [ 'North', 'with space', '-start', 'a,b' ].forEach( function( name ) {
+            it( 'rejects an invalid variant name: "' + name + '"', function() {
+                return expect( model.set( variant( name ) ) ).to.eventually.be.rejected.and.have.property( 'status', 400 );
+            } );
+        } );
+    } );
+
+    describe( 'checkOpen', function() {
+        var DAY = 24 * 60 * 60 * 1000;
+        var survey;
+
+        beforeEach( function() {
+            survey = {
+                openRosaId: 'widgets',
+                openRosaServer: 'https://ona.io/enketo'
+            };
+        } );
+
+        it( 'resolves for a survey without availability window', function() {
+            return expect( model.set( survey ).then( model.checkOpen ) ).to.eventually.be.a( 'string' );
+        } );
+
+        it( 'resolves for a non-existing survey', function() {
+            return expect( model.checkOpen( 'abcd' ) ).to.eventually.equal( 'abcd' );
+        } );
+
+        it( 'rejects with a 403 error for a survey that is not yet open', function() {
+            survey.openFrom = new Date( Date.now() + DAY );
+            return model.set( survey )
+                .then( function( id ) {
+                    return Promise.all( [
+                        expect( model.checkOpen( id ) ).to.eventually.be.rejected.and.have.property( 'status', 403 ),
+                        expect( model.checkOpen( id ) ).to.eventually.be.rejected.and.have.property( 'translationKey', 'error.surveynotyetopen' )
+                    ] );
+                } );
+        } );
+
+        it( 'rejects with a 403 error for a closed survey, unless the grace period has not passed for a record created before closing', function() {
+            var closed = new Date( Date.now() - 60 * 60 * 1000 );
+            survey.openUntil = closed;
+            return model.set( survey )
+                .then( function( id ) {
+                    return Promise.all( [
+                        expect( model.checkOpen( id ) ).to.eventually.be.rejected.and.have.property( 'translationKey', 'error.surveyclosed' ),
+                        expect( model.checkOpen( id, 2 * 60 * 60, new Date( closed.getTime() - 1000 ) ) ).to.eventually.equal( id ),
+                        expect( model.checkOpen( id, 30 * 60, new Date( closed.getTime() - 1000 ) ) ).to.eventually.be.rejected.and.have.property( 'status', 403 )
+                    ] );
+                } );
+        } );
+
+        it( 'does not apply the grace period to records created after closing or without creation time', function() {
+            var closed = new Date( Date.now() - 60 * 60 * 1000 );
+            survey.openUntil = closed;
+            return model.set( survey )
+                .then( function( id ) {
+                    return Promise.all( [
+                        expect( model.checkOpen( id, 2 * 60 * 60, new Date() ) ).to.eventually.be.rejected.and.have.property( 'status', 403 ),
+                        expect( model.checkOpen( id, 2 * 60 * 60 ) ).to.eventually.be.rejected.and.have.property( 'status', 403 )
+                    ] );
+                } );
+        } );
+
+        it( 'stores, updates and removes the availability window', function() {
+            survey.openFrom = new Date( Date.now() - DAY );
+            survey.openUntil = new Date( Date.now() + DAY );
+            return model.set( survey )
+                .then( function() {
+                    return model.getInfo( survey );
+                } )
+                .then( function( info ) {
+                    expect( info.openFrom ).to.equal( survey.openFrom.toISOString() );
+                    expect( info.openUntil ).to.equal( survey.openUntil.toISOString() );
+                    // omitted dates are not changed, null removes a date
+                    return model.set( {
+                        openRosaId: survey.openRosaId,
+                        openRosaServer: survey.openRosaServer,
+                        openUntil: null
+                    } );
+                } )
+                .then( function() {
+                    return model.getInfo( survey );
+                } )
+                .then( function( info ) {
+                    expect( info.openFrom ).to.equal( survey.openFrom.toISOString() );
+                    expect( info.openUntil ).to.equal( null );
+                } );
+        } );
+    } );
+
+    describe( 'getRemainingSubmissions and checkCap', function() {
+        var survey;
+
+        beforeEach( function() {
+            survey = {
+                openRosaId: 'widgets',
+                openRosaServer: 'https://ona.io/enketo',
+                submissionCap: 2
+            };
+        } );
+
+        it( 'returns no cap for a survey without submission cap', function() {
+            delete survey.submissionCap;
+            return expect( model.set( survey ).then( model.getRemainingSubmissions ) ).to.eventually.deep.equal( {
+                cap: null,
+                field: null,
+                remaining: null,
+                values: null
+            } );
+        } );
+
+        it( 'counts down the remaining submissions and rejects with a 403 error once the cap is reached', function() {
+            var id;
+
+            return model.set( survey )
+                .then( function( enketoId ) {
+                    id = enketoId;
+                    return model.incrementSubmissions( id );
+                } )
+                .then( function() {
+                    return model.getRemainingSubmissions( id );
+                } )
+                .then( function( result ) {
+                    expect( result.remaining ).to.equal( 1 );
+                    return model.checkCap( id );
+                } )
+                .then( function() {
+                    return model.incrementSubmissions( id );
+                } )
+                .then( function() {
+                    return expect( model.checkCap( id ) ).to.eventually.be.rejected.and.have.property( 'status', 403 );
+                } );
+        } );
+
+        it( 'counts submissions per value of the cap field', function() {
+            var id;
+
+            survey.capField = 'district';
+            return model.set( survey )
+                .then( function( enketoId ) {
+                    id = enketoId;
+                    return model.incrementSubmissions( id, 'north' );
+                } )
+                .then( function() {
+                    return model.incrementSubmissions( id, 'north' );
+                } )
+                .then( function() {
+                    return model.incrementSubmissions( id, 'south' );
+                } )
+                .then( function() {
+                    return model.getRemainingSubmissions( id );
+                } )
+                .then( function( result ) {
+                    expect( result.values ).to.deep.equal( {
+                        north: 0,
+                        south: 1
+                    } );
+                    return Promise.all( [
+                        expect( model.checkCap( id, 'north' ) ).to.eventually.be.rejected
+                        .and.have.property( 'translationKey', 'error.submissioncapreachedfor' ),
+                        expect( model.checkCap( id, 'south' ) ).to.eventually.equal( id ),
+                        expect( model.checkCap( id, 'east' ) ).to.eventually.equal( id )
+                    ] );
+                } );
+        } );
+    } );
+
+    describe( 'reserveSubmission and releaseSubmission', function() {
+        var survey;
+
+        beforeEach( function() {
+            survey = {
+                openRosaId: 'widgets',
+                openRosaServer: 'https://ona.io/enketo',
+                submissionCap: 2
+            };
+        } );
+
+        it( 'does not reserve a submission of a survey without submission cap', function() {
+            delete survey.submissionCap;
+            return expect( model.set( survey ).then( model.reserveSubmission ) ).to.eventually.equal( false );
+        } );
+
+        it( 'reserves concurrent submissions up to the cap only', function() {
+            var id;
+
+            return model.set( survey )
+                .then( function( enketoId ) {
+                    id = enketoId;
+                    return Promise.all( [ 1, 2, 3 ].map( function() {
+                        return model.reserveSubmission( id )
+                            .catch( function( error ) {
+                                return error.status;
+                            } );
+                    } ) );
+                } )
+                .then( function( results ) {
+                    expect( results.sort() ).to.deep.equal( [ 403, true, true ] );
+                    return model.getRemainingSubmissions( id );
+                } )
+                .then( function( result ) {
+                    expect( result.remaining ).to.equal( 0 );
+                } );
+        } );
+
+        it( 'releases a reserved submission and does not count a reserved submission again', function() {
+            var id;
+
+            return model.set( survey )
+                .then( function( enketoId ) {
+                    id = enketoId;
+                    return model.reserveSubmission( id );
+                } )
+                .then( function() {
+                    return model.reserveSubmission( id );
+                } )
+                .then( function() {
+                    return model.releaseSubmission( id );
+                } )
+                .then( function() {
+                    return model.incrementSubmissions( id, undefined, true );
+                } )
+                .then( function() {
+                    return model.getRemainingSubmissions( id );
+                } )
+                .then( function( result ) {
+                    expect( result.remaining ).to.equal( 1 );
+                } );
+        } );
+
+        it( 'reserves submissions per value of the cap field', function() {
+            var id;
+
+            survey.capField = 'district';
+            return model.set( survey )
+                .then( function( enketoId ) {
+                    id = enketoId;
+                    return model.reserveSubmission( id, 'district', 'north' );
+                } )
+                .then( function() {
+                    return model.reserveSubmission( id, 'district', 'north' );
+                } )
+                .then( function() {
+                    return Promise.all( [
+                        expect( model.reserveSubmission( id, 'district', 'north' ) ).to.eventually.be.rejected
+                        .and.have.property( 'translationKey', 'error.submissioncapreachedfor' ),
+                        expect( model.reserveSubmission( id, 'district', 'south' ) ).to.eventually.equal( true )
+                    ] );
+                } )
+                .then( function() {
+                    return model.getRemainingSubmissions( id );
+                } )
+                .then( function( result ) {
+                    expect( result.values ).to.deep.equal( {
+                        north: 0,
+                        south: 1
+                    } );
+                } );
+        } );
+    } );
+
+    describe( 'getSubmissionCounts', function() {
+        var server = 'https://ona.io/enketo';
+        var today = new Date().toISOString().substring( 0, 10 );
+        var id;
+
+        beforeEach( function() {
+            return model.set( {
+                    openRosaId: 'widgets',
+                    openRosaServer: server
+                } )
+                .then( function( enketoId ) {
+                    id = enketoId;
+                    return model.incrementSubmissions( id );
+                } )
+                .then( model.incrementSubmissions );
+        } );
+
+        it( 'returns the daily counts of a survey for a date range, including days without submissions', function() {
+            var from = new Date( Date.now() - 24 * 60 * 60 * 1000 );
+            return model.getSubmissionCounts( {
+                    enketoId: id,
+                    from: from,
+                    to: new Date()
+                } )
+                .then( function( counts ) {
+                    expect( counts ).to.deep.equal( [ {
+                        period: from.toISOString().substring( 0, 10 ),
+                        submissions: 0
+                    }, {
+                        period: today,
+                        submissions: 2
+                    } ] );
+                } );
+        } );
+
+        it( 'returns the hourly counts of today for the server and its parent paths', function() {
+            return Promise.all( [ server, 'https://ona.io' ].map( function( url ) {
+                    return model.getSubmissionCounts( {
+                        server: url,
+                        interval: 'hour'
+                    } );
+                } ) )
+                .then( function( results ) {
+                    results.forEach( function( counts ) {
+                        var total = counts.reduce( function( sum, count ) {
+                            return sum + count.submissions;
+                        }, 0 );
+                        expect( counts.length ).to.equal( 24 );
+                        expect( counts[ 0 ].period ).to.equal( today + 'T00:00Z' );
+                        expect( total ).to.equal( 2 );
+                    } );
+                } );
+        } );
+    } );
+
     describe( 'getNumber', function() {
         var server = 'https://kobotoolbox.org/enketo';
         var survey1 = {
@@ -364,6 +848,15 @@ describe( 'Survey Model', function() {
                 } );
             return expect( getNumber ).to.eventually.equal( 2 );
         } );
+
+        // as before the survey index existed, e.g. for the quota of an account without linked server
+        it( 'obtains 0 for an empty server URL', function() {
+            var getNumber = model.set( survey1 )
+                .then( function() {
+                    return model.getNumber( '' );
+                } );
+            return expect( getNumber ).to.eventually.equal( 0 );
+        } );
     } );
 
     describe( 'getList', function() {
@@ -456,6 +949,183 @@ describe( 'Survey Model', function() {
         } );
     } );
 
+    describe( 'getPage', function() {
+        var server = 'https://kobotoolbox.org/enketo';
+        var surveys = [ 'a1', 'a2', 'b1', 'a3' ].map( function( id ) {
+            return {
+                openRosaId: id,
+                openRosaServer: server
+            };
+        } );
+        var launched;
+
+        beforeEach( function() {
+            return surveys.reduce( function( prevPromise, survey, index ) {
+                return prevPromise
+                    .then( _wait1ms )
+                    .then( function() {
+                        if ( index === 2 ) {
+                            launched = new Date();
+                        }
+                        return model.set( survey );
+                    } );
+            }, Promise.resolve() ).then( function() {
+                return model.update( {
+                    openRosaServer: server,
+                    openRosaId: 'a2',
+                    active: false
+                } );
+            } );
+        } );
+
+        function getIds( page ) {
+            return page.surveys.map( function( survey ) {
+                return survey.openRosaId;
+            } );
+        }
+
+        it( 'returns a page of active surveys with the total', function() {
+            return model.getPage( server, {
+                    offset: 1,
+                    limit: 1
+                } )
+                .then( function( page ) {
+                    expect( page.total ).to.equal( 3 );
+                    expect( getIds( page ) ).to.deep.equal( [ 'b1' ] );
+                } );
+        } );
+
+        it( 'filters by active state', function() {
+            return Promise.all( [
+                model.getPage( server, {
+                    active: false
+                } ),
+                model.getPage( server, {
+                    active: null
+                } )
+            ] ).then( function( pages ) {
+                expect( getIds( pages[ 0 ] ) ).to.deep.equal( [ 'a2' ] );
+                expect( getIds( pages[ 1 ] ) ).to.deep.equal( [ 'a1', 'a2', 'b1', 'a3' ] );
+            } );
+        } );
+
+        it( 'filters by launch date and form ID prefix', function() {
+            return Promise.all( [
+                model.getPage( server, {
+                    launchedAfter: launched
+                } ),
+                model.getPage( server, {
+                    launchedBefore: launched
+                } ),
+                model.getPage( server, {
+                    formIdPrefix: 'a'
+                } )
+            ] ).then( function( pages ) {
+                expect( getIds( pages[ 0 ] ) ).to.deep.equal( [ 'b1', 'a3' ] );
+                expect( getIds( pages[ 1 ] ) ).to.deep.equal( [ 'a1' ] );
+                expect( getIds( pages[ 2 ] ) ).to.deep.equal( [ 'a1', 'a3' ] );
+                expect( pages[ 2 ].total ).to.equal( 2 );
+            } );
+        } );
+
+        it( 'pages the surveys with a form ID prefix', function() {
+            return model.getPage( server, {
+                    formIdPrefix: 'a',
+                    active: null,
+                    offset: 1,
+                    limit: 1
+                } )
+                .then( function( page ) {
+                    expect( page.total ).to.equal( 3 );
+                    expect( getIds( page ) ).to.deep.equal( [ 'a2' ] );
+                } );
+        } );
+
+        it( 'moves a reactivated survey back to the active surveys', function() {
+            return model.update( {
+                    openRosaServer: server,
+                    openRosaId: 'a2',
+                    active: true
+                } )
+                .then( function() {
+                    return Promise.all( [
+                        model.getPage( server ),
+                        model.getNumber( server, {
+                            active: false
+                        } )
+                    ] );
+                } )
+                .then( function( results ) {
+                    expect( getIds( results[ 0 ] ) ).to.deep.equal( [ 'a1', 'a2', 'b1', 'a3' ] );
+                    expect( results[ 1 ] ).to.equal( 0 );
+                } );
+        } );
+
+        it( 'counts with the same filter', function() {
+            return expect( model.getNumber( server, {
+                formIdPrefix: 'a',
+                active: null
+            } ) ).to.eventually.equal( 3 );
+        } );
+    } );
+
+    describe( 'index', function() {
+        var survey = {
+            openRosaId: 'widgets',
+            openRosaServer: 'https://kobotoolbox.org/enketo'
+        };
+
+        it( 'includes a new survey in the lists of its server and parent paths', function() {
+            return model.set( survey )
+                .then( function() {
+                    return Promise.all( [
+                        model.getNumber( 'https://kobotoolbox.org/enketo' ),
+                        model.getNumber( 'https://kobotoolbox.org' ),
+                        model.getNumber( 'https://kobotoolbox.org/other' )
+                    ] );
+                } )
+                .then( function( numbers ) {
+                    expect( numbers ).to.deep.equal( [ 1, 1, 0 ] );
+                } );
+        } );
+
+        it( 'restores the index of an existing survey', function() {
+            var id;
+
+            return model.set( survey )
+                .then( function( enketoId ) {
+                    id = enketoId;
+                    return new Promise( function( resolve, reject ) {
+                        client.select( 15 );
+                        client.del( 'sv:kobotoolbox.org/enketo', 'sv:kobotoolbox.org', 'sa:kobotoolbox.org/enketo', 'sa:kobotoolbox.org', function( error ) {
+                            if ( error ) {
+                                reject( error );
+                            } else {
+                                resolve();
+                            }
+                        } );
+                    } );
+                } )
+                .then( function() {
+                    return model.getNumber( 'https://kobotoolbox.org/enketo' );
+                } )
+                .then( function( number ) {
+                    expect( number ).to.equal( 0 );
+                    return model.index( id );
+                } )
+                .then( function() {
+                    return model.getList( 'https://kobotoolbox.org/enketo' );
+                } )
+                .then( function( list ) {
+                    expect( list ).to.deep.equal( [ {
+                        openRosaServer: 'https://kobotoolbox.org/enketo',
+                        openRosaId: 'widgets',
+                        enketoId: id
+                    } ] );
+                } );
+        } );
+    } );
+
     describe( 'creates enketoIds', function() {
         it( 'without duplicates', function() {
             var ids = [];
@@ -0,0 +1,185 @@
+/* global describe, require, it, beforeEach, afterEach */
+'use strict';
+
+// safer to ensure this here (in addition to grunt:env:test)
+process.env.NODE_ENV = 'test';
+
+var Promise = require( 'lie' );
+var chai = require( 'chai' );
+var expect = chai.expect;
+var chaiAsPromised = require( 'chai-as-promised' );
+var redis = require( 'redis' );
+var config = require( '../../app/models/config-model' ).server;
+var model = require( '../../app/models/token-model' );
+var surveyModel = require( '../../app/models/survey-model' );
+var client = redis.createClient( config.redis.main.port, config.redis.main.host, {
+    auth_pass: config.redis.main.password
+} );
+
+chai.use( chaiAsPromised );
+
+describe( 'Token Model', function() {
+    var id;
+
+    beforeEach( function() {
+        return surveyModel.set( {
+            openRosaServer: 'https://ona.io/enketo',
+            openRosaId: 'a'
+        } ).then( function( enketoId ) {
+            id = enketoId;
+        } );
+    } );
+
+    afterEach( function( done ) {
+        // select test database and flush it
+        client.select( 15, function( err ) {
+            if ( err ) {
+                return done( err );
+            }
+            client.flushdb( done );
+        } );
+    } );
+
+    it( 'creates tokens and requires a token for the survey', function() {
+        return expect( model.isRequired( id ) ).to.eventually.equal( false )
+            .then( function() {
+                return model.create( id, {
+                    count: 3
+                } );
+            } )
+            .then( function( tokens ) {
+                expect( tokens ).to.have.length( 3 );
+                expect( tokens[ 0 ].token ).to.match( /^[a-zA-Z0-9]{12}\.[0-9a-f]{12}$/ );
+                expect( tokens[ 0 ].uses ).to.equal( 1 );
+                return expect( model.isRequired( id ) ).to.eventually.equal( true );
+            } );
+    } );
+
+    it( 'creates a token with its prefill values for each prefill', function() {
+        return model.create( id, {
+                prefills: [ {
+                    '/data/name': 'Jane'
+                }, {
+                    '/data/name': 'John'
+                } ],
+                uses: 2
+            } )
+            .then( function( tokens ) {
+                expect( tokens ).to.have.length( 2 );
+                return model.check( id, tokens[ 1 ].token );
+            } )
+            .then( function( record ) {
+                expect( record ).to.deep.equal( {
+                    uses: 2,
+                    used: 0,
+                    defaults: {
+                        '/data/name': 'John'
+                    }
+                } );
+            } );
+    } );
+
+    [ undefined, 'abc', 'abcdefghijkl.000000000000' ].forEach( function( token ) {
+        it( 'rejects a missing or invalid token with a 403 error: ' + token, function() {
+            return expect( model.check( id, token ) ).to.eventually.be.rejected.and.have.property( 'status', 403 );
+        } );
+    } );
+
+    it( 'rejects a token of another survey', function() {
+        return model.create( id, {
+                count: 1
+            } )
+            .then( function( tokens ) {
+                return expect( model.check( 'other', tokens[ 0 ].token ) ).to.eventually.be.rejected.and.have.property( 'status', 403 );
+            } );
+    } );
+
+    it( 'consumes a token only once, also when used simultaneously', function() {
+        var token;
+
+        return model.create( id, {
+                count: 1
+            } )
+            .then( function( tokens ) {
+                token = tokens[ 0 ].token;
+                return Promise.all( [
+                    model.consume( id, token ).then( function() {
+                        return true;
+                    }, function() {
+                        return false;
+                    } ),
+                    model.consume( id, token ).then( function() {
+                        return true;
+                    }, function() {
+                        return false;
+                    } )
+                ] );
+            } )
+            .then( function( results ) {
+                expect( results.filter( Boolean ) ).to.have.length( 1 );
+                return expect( model.check( id, token ) ).to.eventually.be.rejected.and.have.property( 'status', 410 );
+            } );
+    } );
+
+    it( 'releases a token after a failed submission', function() {
+        var token;
+
+        return model.create( id, {
+                count: 1
+            } )
+            .then( function( tokens ) {
+                token = tokens[ 0 ].token;
+                return model.consume( id, token );
+            } )
+            .then( function() {
+                return model.release( id, token );
+            } )
+            .then( function() {
+                return expect( model.check( id, token ) ).to.eventually.have.property( 'used', 0 );
+            } );
+    } );
+
+    it( 'binds defaults to a token, also after it was used', function() {
+        var token;
+
+        return model.create( id, {
+                count: 1
+            } )
+            .then( function( tokens ) {
+                token = tokens[ 0 ].token;
+                return model.consume( id, token );
+            } )
+            .then( function() {
+                return model.setDefaults( id, token, {
+                    '/data/name': 'Jane'
+                } );
+            } )
+            .then( function() {
+                return expect( model.getDefaults( id, token ) ).to.eventually.deep.equal( {
+                    '/data/name': 'Jane'
+                } );
+            } )
+            .then( function() {
+                // the used count is not reset
+                return expect( model.check( id, token ) ).to.eventually.be.rejected.and.have.property( 'status', 410 );
+            } );
+    } );
+
+    it( 'removes all tokens of a survey', function() {
+        var token;
+
+        return model.create( id, {
+                count: 1
+            } )
+            .then( function( tokens ) {
+                token = tokens[ 0 ].token;
+                return model.remove( id );
+            } )
+            .then( function() {
+                return Promise.all( [
+                    expect( model.isRequired( id ) ).to.eventually.equal( false ),
+                    expect( model.check( id, token ) ).to.eventually.be.rejected.and.have.property( 'status', 403 )
+                ] );
+            } );
+    } );
+} );
@@ -132,6 +132,23 @@ describe( 'Utilities', function() {
         } );
     } );
 
+    describe( 'constant-time string comparison', function() {
+        [
+            [ 'abc', 'abc', true ],
+            [ 'abc', 'abd', false ],
+            [ 'abc', 'ab', false ],
+            [ 'ab', 'abc', false ],
+            [ '', '', true ],
+            [ '', 'a', false ],
+            [ 'a', undefined, false ],
+            [ null, null, false ]
+        ].forEach( function( test ) {
+            it( 'returns ' + test[ 2 ] + ' when comparing ' + JSON.stringify( test[ 0 ] ) + ' with ' + JSON.stringify( test[ 1 ] ), function() {
+                expect( utils.equals( test[ 0 ], test[ 1 ] ) ).to.equal( test[ 2 ] );
+            } );
+        } );
+    } );
+
     describe( 'helper to test validity of URLs', function() {
         [
             'http://example.org',
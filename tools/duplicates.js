@@ -136,16 +136,29 @@ function getDuplicates() {
         } );
 }
 
-function getAllKeys() {
+/**
+ * Obtains all openRosa keys in batches with SCAN, to avoid blocking the database like KEYS would.
+ *
+ * @param  {string=} cursor SCAN cursor
+ * @param  {Array=} keys   keys found so far
+ * @return {Promise}
+ */
+function getAllKeys( cursor, keys ) {
+    keys = keys || [];
+
     return new Promise( function( resolve, reject ) {
-        mainClient.keys( 'or:*', function( error, keys ) {
-            if ( error ) {
-                reject( error );
-            } else {
-                resolve( keys );
-            }
+            mainClient.scan( cursor || '0', 'MATCH', 'or:*', 'COUNT', 1000, function( error, reply ) {
+                if ( error ) {
+                    reject( error );
+                } else {
+                    resolve( reply );
+                }
+            } );
+        } )
+        .then( function( reply ) {
+            keys = keys.concat( reply[ 1 ] );
+            return reply[ 0 ] === '0' ? keys : getAllKeys( reply[ 0 ], keys );
         } );
-    } );
 }
 
 function getId( key ) {
@@ -0,0 +1,59 @@
+/* global: console, process, require, Promise */
+'use strict';
+
+/**
+ * Builds the per-server survey indices for surveys that were created before these indices existed.
+ * See https://github.com/kobotoolbox/enketo-express/blob/master/doc/survey-index.md for more information about this tool.
+ *
+ * It is safe to run this script multiple times.
+ */
+var config = require( '../app/models/config-model' ).server;
+var surveyModel = require( '../app/models/survey-model' );
+var mainClient = require( 'redis' ).createClient( config.redis.main.port, config.redis.main.host, {
+    auth_pass: config.redis.main.password
+} );
+var count = 0;
+
+console.log( '\nIndexing surveys...\n' );
+
+indexAll( '0' )
+    .then( function() {
+        console.log( '\nIndexed %d survey(s).\n', count );
+    } )
+    .catch( function( error ) {
+        console.error( error );
+    } )
+    .then( function() {
+        process.exit( 0 );
+    } );
+
+/**
+ * Iterates over all survey keys in batches, without blocking the database.
+ *
+ * @param  {string} cursor SCAN cursor
+ * @return {Promise}
+ */
+function indexAll( cursor ) {
+    return new Promise( function( resolve, reject ) {
+            mainClient.scan( cursor, 'MATCH', 'id:*', 'COUNT', 1000, function( error, reply ) {
+                if ( error ) {
+                    reject( error );
+                } else {
+                    resolve( reply );
+                }
+            } );
+        } )
+        .then( function( reply ) {
+            var tasks = reply[ 1 ].map( function( key ) {
+                return surveyModel.index( key.substring( 3 ) );
+            } );
+
+            return Promise.all( tasks )
+                .then( function( ids ) {
+                    count += ids.length;
+                    if ( reply[ 0 ] !== '0' ) {
+                        return indexAll( reply[ 0 ] );
+                    }
+                } );
+        } );
+}